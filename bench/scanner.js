@@ -0,0 +1,141 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Benchmark comparing the single-pass scanner with the regex pipeline it replaced.
+//
+// Usage: node bench/scanner.js [mode]
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var headerParse = require('../header-parse');
+
+//---------------------------------------------------------------------------------------------------------------------
+
+var mode = process.argv[2] || 'lenient';
+var dialect = headerParse.getDialect({mode: mode});
+
+/**
+ * Extract and parse the header block using the dialect's regexes, as `extractHeaderBlock()` used to.
+ */
+function regexPath(data)
+{
+    var re = dialect.regexes;
+    var headers = {};
+
+    var match = re.headerBlock.exec(data);
+    if(!match)
+    {
+        return headers;
+    } // end if
+
+    re.header.lastIndex = 0;
+    var field = re.header.exec(match[1]);
+    while(field)
+    {
+        headers[field[1]] = field[2].replace(re.trim, '$1').replace(re.linearWhiteSpace, ' ');
+        field = re.header.exec(match[1]);
+    } // end while
+
+    return headers;
+} // end regexPath
+
+/**
+ * Extract and parse the header block using the dialect's scanner.
+ */
+function scannerPath(data)
+{
+    var scan = dialect.scanner;
+    var headers = {};
+
+    var block = scan.headerBlock(data);
+    if(!block)
+    {
+        return headers;
+    } // end if
+
+    var field = scan.nextField(block.headerBlock, 0);
+    while(field)
+    {
+        headers[field.name] = scan.collapseWhitespace(scan.trim(field.value));
+        field = scan.nextField(block.headerBlock, field.end);
+    } // end while
+
+    return headers;
+} // end scannerPath
+
+function time(fn, data, iterations)
+{
+    // Warm up, so that the JIT has compiled both paths before they are timed.
+    for(var warmup = 0; warmup < 3; warmup++)
+    {
+        fn(data);
+    } // end for
+
+    var start = process.hrtime();
+    for(var idx = 0; idx < iterations; idx++)
+    {
+        fn(data);
+    } // end for
+
+    var elapsed = process.hrtime(start);
+    return (elapsed[0] * 1e3 + elapsed[1] / 1e6) / iterations;
+} // end time
+
+//---------------------------------------------------------------------------------------------------------------------
+
+var newline = dialect.newline == '\n' ? '\n' : '\r\n';
+
+function repeat(str, count)
+{
+    return new Array(count + 1).join(str);
+} // end repeat
+
+var cases = [
+    {
+        name: 'typical header block',
+        data: ['Host: example.com', 'Accept: text/html,  application/xhtml+xml', 'Subject: A folded',
+            '\tsubject line', 'Content-Type: text/plain; charset=utf-8', '', 'Body'].join(newline),
+        iterations: 20000,
+    },
+    {
+        name: '2000 fields',
+        data: repeat('X-Field: some   value' + newline, 2000) + newline + 'Body',
+        iterations: 50,
+    },
+    {
+        name: 'no null line (200 folded fields)',
+        data: repeat('X-Field: value' + newline + ' continued' + newline, 200),
+        iterations: 50,
+    },
+    {
+        name: 'no null line (800 folded fields)',
+        data: repeat('X-Field: value' + newline + ' continued' + newline, 800),
+        iterations: 10,
+    },
+    {
+        name: 'long whitespace run',
+        data: 'X-Field: a' + repeat(' ', 20000) + 'b' + newline + newline,
+        iterations: 20,
+    },
+    {
+        name: 'no null line (one long line of colons)',
+        data: repeat('a:', 5000),
+        iterations: 5,
+    },
+    {
+        name: 'trim() of whitespace before a newline',
+        data: repeat(' ', 5000) + newline,
+        iterations: 5,
+        regexPath: function(data) { return data.replace(dialect.regexes.trim, '$1'); },
+        scannerPath: function(data) { return dialect.scanner.trim(data); },
+    },
+];
+
+console.log(util.format('Mode: %s', mode));
+cases.forEach(function(benchCase)
+{
+    var regexTime = time(benchCase.regexPath || regexPath, benchCase.data, benchCase.iterations);
+    var scannerTime = time(benchCase.scannerPath || scannerPath, benchCase.data, benchCase.iterations);
+
+    console.log(util.format('%s (%d bytes): regex %s ms, scanner %s ms (%sx)', benchCase.name,
+        benchCase.data.length, regexTime.toFixed(4), scannerTime.toFixed(4), (regexTime / scannerTime).toFixed(1)));
+});
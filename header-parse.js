@@ -13,6 +13,21 @@
 
 var util = require('util');
 
+var Headers = require('./lib/headers');
+var decodeWords = require('./lib/encoded-words').decodeWords;
+var parseParameterizedValue = require('./lib/parameters').parseParameterizedValue;
+var parseAddressList = require('./lib/addresses').parseAddressList;
+var parseList = require('./lib/lists').parseList;
+var negotiation = require('./lib/negotiation');
+var cookies = require('./lib/cookies');
+var structured = require('./lib/structured');
+var dates = require('./lib/dates');
+var errors = require('./lib/errors');
+var scanner = require('./lib/scanner');
+var schema = require('./lib/schema');
+var symbols = require('./lib/symbols');
+var setField = require('./lib/fields').setField;
+
 //---------------------------------------------------------------------------------------------------------------------
 
 /**
@@ -21,8 +36,61 @@ var util = require('util');
  * @typedef {object} HeaderParseDocument
  *
  * @property {?string} headerBlock - the raw, unparsed header block of the document, if one was present
- * @property {?Object.<string, string>} headers - the parsed headers, if headers were present and parsing was performed
+ * @property {?(Object.<string, string>|Object.<string, string[]>|HeaderEntry[]|Headers)} headers - the parsed
+ *          headers, if headers were present and parsing was performed (see the `repeated` and `collection` options of
+ *          `parseHeaders()`)
  * @property {string} body - the body of the document
+ * @property {?HeaderLocation[]} locations - the location of each field in the document, in order, if the `locations`
+ *          option was set and headers were parsed
+ * @property {?SourcePosition} bodyLocation - the position at which the body starts, if the `locations` option was set
+ * @property {?Diagnostic[]} diagnostics - the problems found in the header block, if the `diagnostics` option was set
+ *          and headers were parsed
+ * @property {?SchemaError[]} schemaErrors - the problems found by applying the `schema` option, if it was set (even
+ *          if there is no header block)
+ */
+
+/**
+ * A position in the source data. Offsets count UTF-16 code units (i.e., string indices); lines and columns start at 1.
+ *
+ * @typedef {object} SourcePosition
+ *
+ * @property {number} offset
+ * @property {number} line
+ * @property {number} column
+ */
+
+/**
+ * A problem found in a header block by `validateHeaders()`.
+ *
+ * @typedef {object} Diagnostic
+ * @extends SourcePosition
+ *
+ * @property {string} code - a short, stable identifier for the kind of problem (e.g. `'bare-lf'`)
+ * @property {string} message - a human-readable description of the problem
+ * @property {string} severity - `'error'` if the problem causes data to be lost (or, in **strict** mode, would cause
+ *          `parseHeaders()` to throw an error); otherwise `'warning'`
+ */
+
+/**
+ * The location of a single header field in the source data, as returned by `parseHeaders()` and
+ * `extractHeaderBlock()` when the `locations` option is set.
+ *
+ * @typedef {object} HeaderLocation
+ * @extends SourcePosition
+ *
+ * @property {string} name - the field name, as it appeared in the header block
+ * @property {string} raw - the unprocessed text of the field, from the start of its name to the end of its body
+ *          (including any folding, but not the final newline)
+ * @property {number} end - the offset just after the end of the field's `raw` text
+ */
+
+/**
+ * A single header field, as returned by `parseHeaders()` when `repeated` is `'list'`.
+ *
+ * @typedef {object} HeaderEntry
+ *
+ * @property {string} name - the field name, as it appeared in the header block
+ * @property {string} value - the (processed) field body
  */
 
 //---------------------------------------------------------------------------------------------------------------------
@@ -30,21 +98,124 @@ var util = require('util');
 /**
  * General options for header-parse functions.
  *
+ * The field body parsers (`parseDate()`, `parseList()`, etc.) follow their **strict** rules in the **strict** and
+ * **http** dialects (and dialects built on **strict**), and their **lenient** rules otherwise.
+ *
  * @typedef {object} GeneralOptions
  *
  * @property {?boolean} strict - `true` for **strict** mode (strict RFC822 compliance); default is **lenient** mode
+ * @property {?string} mode - the header dialect to use: `'strict'`, `'lenient'` or `'http'` (see `dialects`); if
+ *          given, this overrides `strict`
+ * @property {?(string|Dialect)} dialect - the header dialect to use, including those added by `defineDialect()`; if
+ *          given, this overrides `mode` and `strict`
+ */
+
+/**
+ * A header dialect, as listed in `dialects`.
+ *
+ * @typedef {object} Dialect
+ *
+ * @property {string} name
+ * @property {object} regexes - the regexes which define the dialect's syntax
+ * @property {Scanner} scanner - a linear-time scanner which matches the same way as `regexes`
+ * @property {string} newline - the newline sequence used by `formatHeaders()`
+ * @property {?function(string, string): ?string} validate - the dialect's validation hook (see `DialectSpec`)
+ */
+
+/**
+ * The rules of a custom header dialect, for `defineDialect()`. Anything not given is taken from the base dialect.
+ *
+ * @typedef {object} DialectSpec
+ *
+ * @property {?string} base - the dialect to build on: `'strict'`, `'lenient'` (the default), or a dialect added by
+ *          `defineDialect()`; its newlines and linear whitespace are always used
+ * @property {?RegExp} fieldNameChar - matches a single character which may appear in field names (e.g.
+ *          `/[A-Za-z0-9_.-]/`); it must not match whitespace, and its flags are ignored
+ * @property {?string} separator - the character between a field name and its body (`':'` in the built-in dialects,
+ *          `'='` for `key=value` pairs); it must not be whitespace
+ * @property {?boolean} whitespaceBeforeSeparator - `true` to allow linear whitespace between a field name and the
+ *          separator; the whitespace is not part of the field name
+ * @property {?string[]} commentPrefixes - lines starting with any of these (e.g. `['#', '//']`) are comments; they may
+ *          appear anywhere in the header block, and are never fields
+ * @property {?function(string, string): ?string} validate - called with the name and (collapsed) body of each field;
+ *          returns a message describing the problem if the field is invalid, and nothing otherwise
+ */
+
+/**
+ * Options for `collapse()` and `trim()`
+ *
+ * @typedef {object} CollapseOptions
+ * @extends GeneralOptions
+ *
+ * @property {?boolean} structured - `true` to treat the data as a structured field body, leaving the whitespace
+ *          inside its quoted-strings, comments and quoted-pairs alone (see `splitStructured()`)
  */
 
 /**
  * Options for `parseHeaders()`
  *
  * @typedef {object} ParseHeadersOptions
- * @extends GeneralOptions
+ * @extends CollapseOptions
  *
  * @property {?boolean} collapse - `false` to preserve internal linear whitespace other than newlines in field bodies
  * @property {?boolean} trim - `false` to preserve leading and trailing linear whitespace in field bodies (ignored if
  *          `collapse` is not `false`)
  * @property {?boolean} unfold - `false` to preserve newlines in field bodies (ignored if `collapse` is not `false`)
+ * @property {?boolean} stripComments - `true` to remove comments from field bodies (see `stripComments()`), before
+ *          any other whitespace processing; only use this for fields whose bodies are all structured
+ * @property {?boolean} decodeEncodedWords - `true` to decode RFC 2047 encoded-words in field bodies (see
+ *          `decodeWords()`)
+ * @property {?(boolean|Object.<string, function>)} valueParsers - functions to convert field bodies to typed values,
+ *          keyed by (case-insensitive) field name; each is called as `parser(value, options)`, after all other
+ *          processing. `true` to use `defaultValueParsers`, which parse the bodies of date fields with `parseDate()`.
+ *          If a parser throws an error, the field's value is `null` (reported as an `invalid-value` diagnostic, if the
+ *          `diagnostics` option is set), so an invalid field body (such as `Expires: 0`, which RFC7234 section 5.3
+ *          says means "already expired") never stops the rest of the header block from being parsed.
+ * @property {?string} repeated - how to handle fields that occur more than once: `'last'` (the default) keeps only the
+ *          last value of each field, `'array'` maps each field name to an array of all its values (in order), and
+ *          `'list'` returns an ordered array of `{name, value}` entries instead of an object
+ * @property {?boolean} collection - `true` to return a case-insensitive `Headers` collection (which keeps every
+ *          occurrence of every field) instead of a plain object; `repeated` is ignored if this is set
+ * @property {?boolean} canonicalize - `true` to canonicalize field names in the returned `Headers` collection (e.g.
+ *          `content-type` becomes `Content-Type`; ignored if `collection` is not `true`)
+ * @property {?boolean} locations - `true` to record the location of each field; the returned headers will hold a
+ *          `HeaderLocation` for each field, in order, under the (non-enumerable) `symbols.locations` key
+ * @property {?string} obsFold - in **http** mode, how to handle obsolete line folding: `'reject'` (the default)
+ *          throws an error, and `'replace'` replaces each fold with a single space
+ * @property {?boolean} diagnostics - `true` to collect every problem in the header block (see `validateHeaders()`,
+ *          whose options are also accepted) instead of throwing an error in **strict** mode; the returned headers will
+ *          hold the list of `Diagnostic`s under the (non-enumerable) `symbols.diagnostics` key
+ * @property {?number} maxHeaderBlockSize - the maximum length of the header block, in characters (not counting the
+ *          null line which ends it); a longer header block throws a `HeaderBlockSizeError`
+ * @property {?number} maxFields - the maximum number of fields; more fields throw a `FieldCountError`
+ * @property {?number} maxLineLength - the maximum length of each line, in characters (not counting its newline); a
+ *          longer line throws a `LineLengthError`. If the `diagnostics` option is set, longer lines are reported as
+ *          `line-too-long` diagnostics instead (see `validateHeaders()`).
+ * @property {?number} maxValueLength - the maximum length of each field body, in characters (including any folds,
+ *          before unfolding); a longer field body throws a `ValueLengthError`
+ * @property {?HeaderSchema} schema - a schema to convert and validate the field bodies with (see `applySchema()`);
+ *          the returned headers are an object holding the typed values, with the list of `SchemaError`s under the
+ *          (non-enumerable) `symbols.schemaErrors` key. `repeated` and `collection` are ignored if this is set.
+ */
+
+/**
+ * Options for `validateHeaders()`
+ *
+ * @typedef {object} ValidateHeadersOptions
+ * @extends GeneralOptions
+ *
+ * @property {?number} maxLineLength - the length above which lines are reported as too long (default: 998)
+ */
+
+/**
+ * Options for `formatHeaders()`
+ *
+ * @typedef {object} FormatHeadersOptions
+ * @extends GeneralOptions
+ *
+ * @property {?number} foldWidth - the line length at which to fold long field bodies (default: 78); `0` to disable
+ *          folding
+ * @property {?(string|Buffer)} body - if given, a null line and this body are appended after the header block
  */
 
 /**
@@ -67,14 +238,35 @@ function genRegexes(parts)
         parts.nonLWSPChar = (lwspChar.slice(0, 2) == '[^') ? ('[' + lwspChar.slice(2)) : ('[^' + lwspChar.slice(1));
     } // end if
 
-    return {
-        headerBlock: fmtRE('^((?:{fieldName}:(?:.*{newline}{lwspChar})*.*{newline})*){newline}', ''),
-        header: fmtRE('^({fieldName}):((?:.*{newline}{lwspChar})*.*)$', 'gm'),
+    parts.separator = parts.separator || ':';
+    parts.beforeSeparator = parts.beforeSeparator || '';
+
+    // Comment lines (if the dialect has any) may appear anywhere in the header block, but are never fields.
+    parts.commentLine = parts.commentStart ? (parts.commentStart + '.*' + parts.newline + '|') : '';
+    parts.notComment = parts.commentStart ? ('(?!' + parts.commentStart + ')') : '';
+
+    var result = {
+        headerBlock: fmtRE('^((?:{commentLine}{notComment}{fieldName}{beforeSeparator}{separator}' +
+            '(?:.*{newline}{lwspChar})*.*{newline})*){newline}', ''),
+        header: fmtRE('^{notComment}({fieldName}){beforeSeparator}{separator}((?:.*{newline}{lwspChar})*.*)$', 'gm'),
         fold: fmtRE('{newline}({lwspChar})', 'g'),
         trim: fmtRE('^{lwspChar}*((?:{nonLWSPChar}[^]*)?{nonLWSPChar})?{lwspChar}*$', ''),
         linearWhiteSpace: fmtRE('(?:{newline})?{lwspChar}+', 'g'),
+        obsFold: fmtRE('{newline}{lwspChar}+', 'g'),
+        fieldName: fmtRE('^{fieldName}$', ''),
+        fieldLine: fmtRE('^{notComment}{fieldName}{beforeSeparator}{separator}', ''),
+        fieldLinePrefix: fmtRE('^{fieldName}{beforeSeparator}$', ''),
+        foldPoint: fmtRE('{lwspChar}*{nonLWSPChar}+|{lwspChar}+$', 'g'),
+        leadingLWSP: fmtRE('^{lwspChar}', ''),
     };
 
+    if(parts.commentStart)
+    {
+        result.commentLine = fmtRE('^{commentStart}', '');
+    } // end if
+
+    return result;
+
     function fmtRE(reSrc, flags)
     {
         reSrc = reSrc.replace(templateRE, function(m, varname)
@@ -86,10 +278,36 @@ function genRegexes(parts)
     } // end fmtRE
 } // end genRegexes
 
+/**
+ * The regex snippets (for `genRegexes()`) and scanner rules of each dialect that `defineDialect()` can build on.
+ *
+ * @private
+ */
+var dialectSpecs = {
+    strict: {
+        parts: {newline: '\\r\\n', fieldName: '[!-9;-~]+', lwspChar: '[ \\t]'},
+        scanner: {
+            fieldNameChar: scanner.charClasses.fieldNameChar,
+            lwspChar: scanner.charClasses.lwspChar,
+        },
+        newline: '\r\n',
+    },
+    lenient: {
+        parts: {newline: '\\r?\\n', fieldName: '\\S+', lwspChar: '[^\\S\\r\\n]', nonLWSPChar: '\\S'},
+        scanner: {
+            fieldNameChar: scanner.charClasses.nonWhitespace,
+            lwspChar: scanner.charClasses.lenientLWSPChar,
+            nonLWSPChar: scanner.charClasses.nonWhitespace,
+            bareLF: true,
+        },
+        newline: '\n',
+    },
+};
+
 /**
  * Regular expressions to parse and transform header blocks.
  *
- * Note: The following regex snippets, used in the **strict** regexes below, match rules from from RFC822 sections
+ * Note: The following regex snippets, used in the **strict** regexes, match rules from from RFC822 sections
  * [3.2][RFC822 section 3.2] and [3.3][RFC822 section 3.3]:
  *
  * - "field-name": `/[!-9;-~]+/` (`1*<any CHAR, excluding CTLs, SPACE, and ":">`)
@@ -105,12 +323,237 @@ function genRegexes(parts)
  * [RFC822 section 3.3]: https://tools.ietf.org/html/rfc822#section-3.3 "LEXICAL TOKENS"
  */
 var regexes = {
-    strict: genRegexes({newline: '\\r\\n', fieldName: '[!-9;-~]+', lwspChar: '[ \\t]'}),
-    lenient: genRegexes({newline: '\\r?\\n', fieldName: '\\S+', lwspChar: '[^\\S\\r\\n]', nonLWSPChar: '\\S'}),
+    strict: genRegexes(dialectSpecs.strict.parts),
+    lenient: genRegexes(dialectSpecs.lenient.parts),
+    http: genRegexes({newline: '\\r\\n', fieldName: '[!#$%&\'*+\\-.^_`|~0-9A-Za-z]+', lwspChar: '[ \\t]'}),
 };
 
 regexes.strict.invalidHeaderBlock = /(?:^|[^\r])\n/;
 
+// In **http** mode, the header block runs to the first null line, whatever it contains; `parseHeaders()` then rejects
+// anything invalid, rather than letting it be mistaken for the body.
+regexes.http.headerBlock = /^((?:[^]*?\r\n)??)\r\n/;
+
+/**
+ * The supported header dialects, selected by the `dialect` or `mode` (or `strict`) option.
+ *
+ * - **strict**: strict RFC822 compliance
+ * - **lenient**: RFC822, but accepting `\n` as well as `\r\n`, and any non-whitespace characters in field names
+ * - **http**: the stricter rules for HTTP/1.1 header fields from [RFC7230 section 3.2][]: field names must be tokens,
+ *   whitespace between the field name and colon is an error, obsolete line folding is an error (or is replaced with a
+ *   space, if the `obsFold` option is `'replace'`), lines must end in `\r\n`, and field values may contain any
+ *   characters other than controls (including "obs-text"); any line that isn't a valid field is an error, rather than
+ *   being skipped
+ *
+ * More dialects can be added with `defineDialect()`.
+ *
+ * Each dialect has both a set of `regexes` and a `Scanner` (see `lib/scanner.js`) which gives the same results in a
+ * single, linear-time pass; the parsing functions use the scanner, so that large or hostile input can't cause
+ * excessive backtracking.
+ *
+ * [RFC7230 section 3.2]: https://tools.ietf.org/html/rfc7230#section-3.2 "Header Fields"
+ */
+var dialects = {
+    strict: {
+        name: 'strict',
+        regexes: regexes.strict,
+        scanner: new scanner.Scanner(dialectSpecs.strict.scanner),
+        newline: '\r\n',
+    },
+    lenient: {
+        name: 'lenient',
+        regexes: regexes.lenient,
+        scanner: new scanner.Scanner(dialectSpecs.lenient.scanner),
+        newline: '\n',
+    },
+    http: {
+        name: 'http',
+        regexes: regexes.http,
+        scanner: new scanner.Scanner({
+            fieldNameChar: scanner.charClasses.tchar,
+            lwspChar: scanner.charClasses.lwspChar,
+            opaqueHeaderBlock: true,
+        }),
+        newline: '\r\n',
+    },
+};
+
+/**
+ * Get the header dialect selected by the given options.
+ *
+ * @param {GeneralOptions} options
+ *
+ * @returns {Dialect} the dialect
+ */
+function getDialect(options)
+{
+    options = options || {};
+    var mode = options.dialect || options.mode || (options.strict ? 'strict' : 'lenient');
+
+    if(typeof mode == 'object')
+    {
+        return mode;
+    } // end if
+
+    if(!Object.prototype.hasOwnProperty.call(dialects, mode))
+    {
+        throw new Error(util.format("Unknown mode: %j", mode));
+    } // end if
+
+    return dialects[mode];
+} // end getDialect
+
+/**
+ * Define a custom header dialect, built on the rules of an existing one. Once defined, the dialect can be selected by
+ * passing its name (or the returned dialect) as the `dialect` option of any function which takes `GeneralOptions`,
+ * and it is listed in `dialects`.
+ *
+ * Comment lines may appear anywhere in the header block; they are never fields, and are skipped by `parseHeaders()`
+ * (and kept as non-field nodes by `HeaderDocument`). The `validate` hook is called on every field by `parseHeaders()`
+ * (which throws an error on the first invalid field, unless the `diagnostics` option is set), `validateHeaders()`
+ * (which reports each invalid field as an `invalid-field` error) and `formatHeaders()` (which throws an error).
+ *
+ * @param {string} name - the name of the new dialect
+ * @param {DialectSpec} spec - how the new dialect differs from its base dialect
+ *
+ * @returns {Dialect} the new dialect
+ */
+function defineDialect(name, spec)
+{
+    spec = spec || {};
+    var baseName = spec.base || 'lenient';
+
+    if(typeof name != 'string' || name === '')
+    {
+        throw new Error(util.format("Invalid dialect name: %j", name));
+    } // end if
+
+    if(Object.prototype.hasOwnProperty.call(dialects, name))
+    {
+        throw new Error(util.format("Dialect already defined: %j", name));
+    } // end if
+
+    if(!Object.prototype.hasOwnProperty.call(dialectSpecs, baseName))
+    {
+        throw new Error(util.format("Invalid base dialect: %j", baseName));
+    } // end if
+
+    var base = dialectSpecs[baseName];
+    var parts = copyObject(base.parts);
+    var scannerSpec = copyObject(base.scanner);
+    var validate = (spec.validate === undefined) ? base.validate : spec.validate;
+
+    if(spec.fieldNameChar !== undefined)
+    {
+        // Build the matcher from the source alone, so flags (like `g`, which makes `test()` stateful) are ignored.
+        var charRE = spec.fieldNameChar instanceof RegExp && new RegExp('^(?:' + spec.fieldNameChar.source + ')$');
+        if(!charRE || [' ', '\t', '\r', '\n'].some(charRE.test, charRE))
+        {
+            throw new Error(util.format("Invalid fieldNameChar: %s", spec.fieldNameChar));
+        } // end if
+
+        parts.fieldName = '(?:' + spec.fieldNameChar.source + ')+';
+        scannerSpec.fieldNameChar = function(code) { return charRE.test(String.fromCharCode(code)); };
+    } // end if
+
+    if(spec.separator !== undefined)
+    {
+        if(typeof spec.separator != 'string' || spec.separator.length != 1 || /\s/.test(spec.separator))
+        {
+            throw new Error(util.format("Invalid separator: %j", spec.separator));
+        } // end if
+
+        parts.separator = escapeRE(spec.separator);
+        scannerSpec.separator = spec.separator;
+    } // end if
+
+    if(spec.whitespaceBeforeSeparator !== undefined)
+    {
+        parts.beforeSeparator = spec.whitespaceBeforeSeparator ? (parts.lwspChar + '*') : '';
+        scannerSpec.whitespaceBeforeSeparator = !!spec.whitespaceBeforeSeparator;
+    } // end if
+
+    if(spec.commentPrefixes !== undefined)
+    {
+        var prefixes = [].concat(spec.commentPrefixes);
+        if(prefixes.some(function(prefix) { return typeof prefix != 'string' || !/^\S+$/.test(prefix); }))
+        {
+            throw new Error(util.format("Invalid commentPrefixes: %j", spec.commentPrefixes));
+        } // end if
+
+        parts.commentStart = prefixes.length ? ('(?:' + prefixes.map(escapeRE).join('|') + ')') : undefined;
+        scannerSpec.commentPrefixes = prefixes;
+    } // end if
+
+    if(validate !== undefined && typeof validate != 'function')
+    {
+        throw new Error(util.format("Invalid validate hook: %j", validate));
+    } // end if
+
+    // Dialect names may be anything, including `__proto__` and the names of `Object.prototype` methods.
+    setField(dialectSpecs, name, {parts: parts, scanner: scannerSpec, newline: base.newline, validate: validate});
+
+    var dialectRegexes = genRegexes(parts);
+    if(!scannerSpec.bareLF)
+    {
+        dialectRegexes.invalidHeaderBlock = regexes.strict.invalidHeaderBlock;
+    } // end if
+
+    setField(dialects, name, {
+        name: name,
+        regexes: dialectRegexes,
+        scanner: new scanner.Scanner(scannerSpec),
+        newline: base.newline,
+        validate: validate,
+    });
+
+    return dialects[name];
+} // end defineDialect
+
+/**
+ * Make a shallow copy of the given object.
+ *
+ * @private
+ */
+function copyObject(obj)
+{
+    return Object.keys(obj).reduce(function(copy, key)
+    {
+        copy[key] = obj[key];
+        return copy;
+    }, {});
+} // end copyObject
+
+/**
+ * Escape the given string for use in a regular expression.
+ *
+ * @private
+ */
+function escapeRE(str)
+{
+    return str.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+} // end escapeRE
+
+/**
+ * Run a dialect's `validate` hook (if it has one) on a field found by its scanner.
+ *
+ * @param {Dialect} dialect
+ * @param {ScannedField} field
+ *
+ * @returns {?string} a message describing the problem, or `null` if the field is valid
+ *
+ * @private
+ */
+function checkField(dialect, field)
+{
+    if(!dialect.validate)
+    {
+        return null;
+    } // end if
+
+    return dialect.validate(field.name, collapse(field.value, {dialect: dialect})) || null;
+} // end checkField
+
 //---------------------------------------------------------------------------------------------------------------------
 
 /**
@@ -129,6 +572,15 @@ regexes.strict.invalidHeaderBlock = /(?:^|[^\r])\n/;
  * If `parse` is not disabled, `parseHeaders()` will be called with the same mode with which `extractHeaderBlock()` was
  * called.
  *
+ * To extract the header block from a stream without buffering the whole document, use `HeaderBlockStream` instead.
+ *
+ * If the `locations` option is set, the returned document also has the location of each field (`locations`) and the
+ * position at which the body starts (`bodyLocation`), so that problems in the header block or body can be traced back
+ * to the source data.
+ *
+ * If the `schema` option is set, the schema is applied even if there is no header block, so that the returned document
+ * has its defaults (as `headers`) and any errors for its required fields (as `schemaErrors`).
+ *
  * [RFC822 section 3.1]: https://tools.ietf.org/html/rfc822#section-3.1 "GENERAL DESCRIPTION"
  *
  * @param {(string|Buffer)} data
@@ -139,29 +591,71 @@ regexes.strict.invalidHeaderBlock = /(?:^|[^\r])\n/;
 function extractHeaderBlock(data, options)
 {
     options = options || {};
-    var re = options.strict ? regexes.strict : regexes.lenient;
+    var dialect = getDialect(options);
 
     var parse = options.parse === undefined || options.parse; // default to true
 
     data = data.toString();
 
-    var match = re.headerBlock.exec(data);
-    if(match)
+    // The scanner stops at the first line which can't be part of a header block, so a document without one is never
+    // mistaken for a header block which is too large.
+    var block = dialect.scanner.headerBlock(data);
+    if(options.maxHeaderBlockSize !== undefined && block && block.headerBlock.length > options.maxHeaderBlockSize)
+    {
+        throw new errors.HeaderBlockSizeError(options.maxHeaderBlockSize);
+    } // end if
+
+    if(block)
     {
         var doc = {
-            headerBlock: match[1],
-            body: data.slice(match[0].length),
+            headerBlock: block.headerBlock,
+            body: data.slice(block.length),
         };
 
         if(parse)
         {
             doc.headers = parseHeaders(doc.headerBlock, options);
+
+            if(options.locations)
+            {
+                doc.locations = doc.headers[symbols.locations];
+            } // end if
+
+            if(options.diagnostics)
+            {
+                doc.diagnostics = doc.headers[symbols.diagnostics];
+            } // end if
+
+            if(options.schema)
+            {
+                doc.schemaErrors = doc.headers[symbols.schemaErrors];
+            } // end if
+        } // end if
+
+        if(options.locations)
+        {
+            doc.bodyLocation = {offset: block.length, line: data.slice(0, block.length).split('\n').length, column: 1};
         } // end if
 
         return doc;
     } // end if
 
-    return {body: data};
+    var bodyOnly = {body: data};
+
+    if(options.locations)
+    {
+        bodyOnly.bodyLocation = {offset: 0, line: 1, column: 1};
+    } // end if
+
+    if(options.schema && parse)
+    {
+        // Without a header block, every field is missing; the schema still supplies defaults and reports required
+        // fields.
+        bodyOnly.headers = schema.applySchema([], options.schema, options);
+        bodyOnly.schemaErrors = bodyOnly.headers[symbols.schemaErrors];
+    } // end if
+
+    return bodyOnly;
 } // end extractHeaderBlock
 
 /**
@@ -177,8 +671,17 @@ function extractHeaderBlock(data, options)
  *
  * In **strict** mode, headers are separated by "CRLF" sequences (`\r\n`, as defined by [RFC822 section 3.3][]).
  * In **lenient** mode, headers are separated by newline sequences (either `\r\n` or just `\n`).
- * Depending on the passed options, this function may call `collapse()`, `trim()`, and/or `unfold()`; see those
- * functions for more effects of the chosen mode.
+ * In a custom dialect (see `defineDialect()`), comment lines are skipped, and each field is passed to the dialect's
+ * `validate` hook; an error is thrown on the first invalid field, unless the `diagnostics` option is set.
+ * Depending on the passed options, this function may call `stripComments()`, `collapse()`, `trim()`, and/or
+ * `unfold()`; see those functions for more effects of the chosen mode. If `decodeEncodedWords` is set,
+ * `decodeWords()` is called next, and finally, if `valueParsers` are given, the field's value parser (if any) converts
+ * the value to a typed value.
+ *
+ * Fields such as `Received` or `Set-Cookie` may legitimately occur more than once in a header block. By default, only
+ * the last occurrence of each field is kept; set the `repeated` option to `'array'` or `'list'` to keep all of them, or
+ * set the `collection` option to get a `Headers` collection, which keeps all of them and looks them up
+ * case-insensitively.
  *
  * [RFC822 section 3.1.2]: https://tools.ietf.org/html/rfc822#section-3.1.2 "STRUCTURE OF HEADER FIELDS"
  * [RFC822 section 3.3]: https://tools.ietf.org/html/rfc822#section-3.3 "LEXICAL TOKENS"
@@ -186,19 +689,64 @@ function extractHeaderBlock(data, options)
  * @param {(string|Buffer)} data - the raw header block
  * @param {ParseHeadersOptions} options - options to control the parsing process
  *
- * @returns {Object.<string, string>} parsed headers
+ * @returns {(Object.<string, string>|Object.<string, string[]>|HeaderEntry[]|Headers)} parsed headers
  */
 function parseHeaders(data, options)
 {
     options = options || {};
-    var re = options.strict ? regexes.strict : regexes.lenient;
+    var dialect = getDialect(options);
+    var re = dialect.regexes;
+    var scan = dialect.scanner;
+    var http = dialect.name == 'http';
 
     var doCollapse = options.collapse === undefined || options.collapse; // default to true
     var doTrim = options.trim === undefined || options.trim; // default to true
     var doUnfold = options.unfold === undefined || options.unfold; // default to true
+    var doDecode = !!options.decodeEncodedWords; // default to false
+    var replaceObsFold = http && options.obsFold == 'replace';
+
+    var valueParsers = Object.create(null);
+    var parsers = options.valueParsers === true ? dates.defaultValueParsers : options.valueParsers || {};
+    Object.keys(parsers).forEach(function(name)
+    {
+        valueParsers[name.toLowerCase()] = parsers[name];
+    });
+
+    var repeated = (options.collection || options.schema) ? 'list' : (options.repeated || 'last');
+
+    if(repeated != 'last' && repeated != 'array' && repeated != 'list')
+    {
+        throw new Error(util.format("Invalid value for the 'repeated' option: %j", repeated));
+    } // end if
+
+    if(options.obsFold !== undefined && options.obsFold != 'reject' && options.obsFold != 'replace')
+    {
+        throw new Error(util.format("Invalid value for the 'obsFold' option: %j", options.obsFold));
+    } // end if
+
+    data = data.toString();
+
+    checkLimits(data, options);
+
+    var diagnostics;
+    if(options.diagnostics || http)
+    {
+        diagnostics = validateHeaders(data, options);
+    } // end if
+
+    if(http && !options.diagnostics)
+    {
+        // In **http** mode, anything that isn't a valid field is an error, rather than being skipped.
+        var fatal = diagnostics.filter(function(diag) { return diag.severity == 'error'; });
+        if(fatal.length > 0)
+        {
+            throw new Error(util.format("Invalid header block data! (%s at line %d, column %d)", fatal[0].message,
+                fatal[0].line, fatal[0].column));
+        } // end if
+    } // end if
 
     var match;
-    if(re.invalidHeaderBlock)
+    if(re.invalidHeaderBlock && !options.diagnostics)
     {
         match = re.invalidHeaderBlock.exec(data);
         if(match)
@@ -207,12 +755,56 @@ function parseHeaders(data, options)
         } // end if
     } // end if
 
-    var headers = {};
+    var headers = (repeated == 'list') ? [] : {};
+    var locations = [];
+    var valueErrors = [];
+    var line = 1, lineStart = 0, scanned = 0;
+    var fieldCount = 0;
 
-    match = re.header.exec(data);
-    while(match)
+    var field = scan.nextField(data, 0);
+    while(field)
     {
-        var value = match[2];
+        var value = field.value;
+
+        if(options.maxFields !== undefined && ++fieldCount > options.maxFields)
+        {
+            throw new errors.FieldCountError(options.maxFields);
+        } // end if
+
+        if(options.maxValueLength !== undefined && value.length > options.maxValueLength)
+        {
+            throw new errors.ValueLengthError(options.maxValueLength, field.name);
+        } // end if
+
+        var problem = !options.diagnostics && checkField(dialect, field);
+        if(problem)
+        {
+            throw new Error(util.format("Invalid field %j: %s", field.name, problem));
+        } // end if
+
+        if(replaceObsFold)
+        {
+            // From RFC7230 section 3.2.4: "replace each received obs-fold with one or more SP octets"
+            value = scan.replaceFolds(value);
+        } // end if
+
+        if(options.stripComments)
+        {
+            value = structured.stripComments(value);
+        } // end if
+
+        if(options.locations)
+        {
+            countLines(field.index);
+            locations.push({
+                name: field.name,
+                raw: field.raw,
+                offset: field.index,
+                end: field.end,
+                line: line,
+                column: field.index - lineStart + 1,
+            });
+        } // end if
 
         if(doCollapse)
         {
@@ -231,14 +823,348 @@ function parseHeaders(data, options)
             } // end if
         } // end if
 
-        headers[match[1]] = value;
+        if(doDecode)
+        {
+            value = decodeWords(value, options);
+        } // end if
+
+        var valueParser = valueParsers[field.name.toLowerCase()];
+        if(valueParser)
+        {
+            try
+            {
+                value = valueParser(value, options);
+            }
+            catch(exc)
+            {
+                value = null;
+
+                countLines(field.index);
+                valueErrors.push({
+                    code: 'invalid-value',
+                    message: util.format("Invalid value for field %j: %s", field.name, exc.message),
+                    severity: 'error',
+                    offset: field.index,
+                    line: line,
+                    column: field.index - lineStart + 1,
+                });
+            } // end try
+        } // end if
+
+        switch(repeated)
+        {
+            case 'array':
+                if(!Object.prototype.hasOwnProperty.call(headers, field.name))
+                {
+                    setField(headers, field.name, []);
+                } // end if
 
-        match = re.header.exec(data);
+                headers[field.name].push(value);
+                break;
+
+            case 'list':
+                headers.push({name: field.name, value: value});
+                break;
+
+            default:
+                setField(headers, field.name, value);
+        } // end switch
+
+        field = scan.nextField(data, field.end);
     } // end while
 
+    if(options.schema)
+    {
+        headers = schema.applySchema(headers, options.schema, options);
+    }
+    else if(options.collection)
+    {
+        headers = new Headers(headers, options);
+    } // end if
+
+    if(options.locations)
+    {
+        Object.defineProperty(headers, symbols.locations, {value: locations});
+    } // end if
+
+    if(options.diagnostics)
+    {
+        Object.defineProperty(headers, symbols.diagnostics, {value: sortDiagnostics(diagnostics.concat(valueErrors))});
+    } // end if
+
     return headers;
+
+    // Count the lines up to the given offset (which is never before the previous one).
+    function countLines(offset)
+    {
+        for(; scanned < offset; scanned++)
+        {
+            if(data[scanned] == '\n')
+            {
+                line++;
+                lineStart = scanned + 1;
+            } // end if
+        } // end for
+    } // end countLines
 } // end parseHeaders
 
+/**
+ * Sort the given diagnostics by their position in the data, keeping diagnostics at the same position in order.
+ *
+ * @private
+ */
+function sortDiagnostics(diagnostics)
+{
+    return diagnostics
+        .map(function(diag, idx) { return {diag: diag, idx: idx}; })
+        .sort(function(a, b) { return (a.diag.offset - b.diag.offset) || (a.idx - b.idx); })
+        .map(function(item) { return item.diag; });
+} // end sortDiagnostics
+
+/**
+ * Check the header block against the `maxHeaderBlockSize` and `maxLineLength` limits (if set), before anything else
+ * scans it.
+ *
+ * @param {string} data - the raw header block
+ * @param {ParseHeadersOptions} options
+ *
+ * @private
+ */
+function checkLimits(data, options)
+{
+    if(options.maxHeaderBlockSize !== undefined && data.length > options.maxHeaderBlockSize)
+    {
+        throw new errors.HeaderBlockSizeError(options.maxHeaderBlockSize);
+    } // end if
+
+    // With `diagnostics` set, `maxLineLength` is the threshold for `line-too-long` diagnostics instead.
+    if(options.maxLineLength !== undefined && !options.diagnostics)
+    {
+        var line = 1, lineStart = 0;
+        while(lineStart < data.length)
+        {
+            var lineEnd = data.indexOf('\n', lineStart);
+            if(lineEnd == -1)
+            {
+                lineEnd = data.length;
+            } // end if
+
+            var length = lineEnd - lineStart;
+            if(data[lineEnd - 1] == '\r')
+            {
+                length--;
+            } // end if
+
+            if(length > options.maxLineLength)
+            {
+                throw new errors.LineLengthError(options.maxLineLength, line);
+            } // end if
+
+            line++;
+            lineStart = lineEnd + 1;
+        } // end while
+    } // end if
+} // end checkLimits
+
+/**
+ * Check the given header block data for problems, returning a list of every problem found instead of stopping at the
+ * first one.
+ *
+ * The following problems are reported, each with a distinct `code`:
+ *
+ * - `bare-lf`: a line ends with `\n` rather than `\r\n`
+ * - `invalid-field-name`: a field name is empty, or contains characters not allowed by [RFC822 section 3.2][]
+ * - `whitespace-before-colon`: a field name is followed by whitespace before its colon (or the dialect's separator,
+ *   unless the dialect allows whitespace there)
+ * - `not-a-field`: a line is neither a field, a comment, nor the continuation of a folded field
+ * - `non-ascii`: a line contains non-ASCII characters
+ * - `line-too-long`: a line is longer than `maxLineLength` characters (default: 998, the limit from
+ *   [RFC5322 section 2.1.1][])
+ * - `obs-fold` (**http** mode only): a field is folded (an error, unless the `obsFold` option is `'replace'`)
+ * - `invalid-field-value` (**http** mode only): a field value contains a control character other than HTAB
+ * - `invalid-field`: a field is rejected by the dialect's `validate` hook (see `defineDialect()`)
+ * - `invalid-value` (`parseHeaders()` only): a field body is rejected by its value parser (see the `valueParsers`
+ *   option)
+ *
+ * Problems which cause data to be dropped by `parseHeaders()` (such as lines that aren't fields, which are silently
+ * skipped in **lenient** mode) are always errors. Other problems are errors in **strict** and **http** modes, and
+ * warnings in **lenient** mode (and in dialects built on it). In **http** mode, non-ASCII characters are only reported
+ * in field names.
+ *
+ * [RFC822 section 3.2]: https://tools.ietf.org/html/rfc822#section-3.2 "HEADER FIELD DEFINITIONS"
+ * [RFC5322 section 2.1.1]: https://tools.ietf.org/html/rfc5322#section-2.1.1 "Line Length Limits"
+ *
+ * @param {(string|Buffer)} data - the raw header block
+ * @param {ValidateHeadersOptions} options - options to control the validation process
+ *
+ * @returns {Diagnostic[]} the problems found, in order of their position in the data
+ */
+function validateHeaders(data, options)
+{
+    options = options || {};
+    var dialect = getDialect(options);
+    var re = dialect.regexes;
+    var scan = dialect.scanner;
+    var http = dialect.name == 'http';
+
+    var maxLineLength = options.maxLineLength === undefined ? 998 : options.maxLineLength;
+    var relaxedSeverity = scan.bareLF ? 'warning' : 'error';
+    var separatorName = (scan.separator == ':') ? 'colon' : util.format("%j", scan.separator);
+
+    // Dialects with their own field name characters (see `defineDialect()`) aren't held to RFC822's.
+    var charClasses = scanner.charClasses;
+    var customNames = [charClasses.fieldNameChar, charClasses.nonWhitespace, charClasses.tchar]
+        .indexOf(scan.fieldNameChar) == -1;
+
+    data = data.toString();
+
+    var diagnostics = [];
+    var lineRE = /([^\n]*)(\n|$)/g;
+    var lineNum = 0, lineStart;
+    var inField = false;
+    var match;
+
+    while((match = lineRE.exec(data)) && match.index < data.length)
+    {
+        var line = match[1];
+
+        lineNum++;
+        lineStart = match.index;
+
+        if(line.slice(-1) == '\r')
+        {
+            line = line.slice(0, -1);
+        }
+        else if(match[2])
+        {
+            report('bare-lf', relaxedSeverity, line.length, "Line ends with a bare LF instead of CRLF");
+        } // end if
+
+        if(line.length > maxLineLength)
+        {
+            report('line-too-long', relaxedSeverity, maxLineLength,
+                util.format("Line is %d characters long (the maximum is %d)", line.length, maxLineLength));
+        } // end if
+
+        // In **http** mode, non-ASCII characters are allowed in field values ("obs-text"), and are invalid in field
+        // names.
+        var nonASCII = !http && /[^\x00-\x7f]/.exec(line);
+        if(nonASCII)
+        {
+            report('non-ascii', relaxedSeverity, nonASCII.index,
+                util.format("Line contains the non-ASCII character %j", nonASCII[0]));
+        } // end if
+
+        checkLine(line);
+    } // end while
+
+    // Each line's problems are found in the order of the checks, not their columns; sort them by position.
+    return sortDiagnostics(diagnostics);
+
+    function report(code, severity, column, message)
+    {
+        diagnostics.push({
+            code: code,
+            message: message,
+            severity: severity,
+            offset: lineStart + column,
+            line: lineNum,
+            column: column + 1,
+        });
+    } // end report
+
+    function checkLine(line)
+    {
+        if(line && re.leadingLWSP.test(line))
+        {
+            if(!inField)
+            {
+                report('not-a-field', 'error', 0, "Continuation line without a preceding field");
+            }
+            else if(http)
+            {
+                report('obs-fold', options.obsFold == 'replace' ? 'warning' : 'error', 0, "Obsolete line folding");
+                checkValue(line, 0);
+            } // end if
+
+            return;
+        } // end if
+
+        inField = false;
+
+        if(scan.isComment(line, 0))
+        {
+            return;
+        } // end if
+
+        var separator = line.indexOf(scan.separator);
+        if(separator == -1)
+        {
+            report('not-a-field', 'error', 0, line ? util.format("Line is not a field (missing %s)", separatorName)
+                : "Empty line");
+            return;
+        } // end if
+
+        var name = line.slice(0, separator);
+
+        // Walk back over any trailing whitespace, rather than using a regex that would rescan a long run of it.
+        var nameEnd = name.length;
+        while(nameEnd > 0 && /\s/.test(name[nameEnd - 1]))
+        {
+            nameEnd--;
+        } // end while
+        var trimmedName = name.slice(0, nameEnd);
+
+        if(scan.whitespaceBeforeSeparator && re.fieldName.test(trimmedName))
+        {
+            name = trimmedName;
+        } // end if
+
+        if(trimmedName != name && re.fieldName.test(trimmedName))
+        {
+            report('whitespace-before-colon', 'error', trimmedName.length,
+                util.format("Whitespace between field name %j and %s", trimmedName, separatorName));
+        }
+        else if(!re.fieldName.test(name))
+        {
+            report('invalid-field-name', 'error', 0, util.format("Invalid field name %j", name));
+        }
+        else
+        {
+            inField = true;
+
+            if(!customNames && !regexes.strict.fieldName.test(name))
+            {
+                report('invalid-field-name', relaxedSeverity, 0,
+                    util.format("Field name %j contains characters not allowed by RFC822", name));
+            } // end if
+
+            if(http)
+            {
+                checkValue(line.slice(separator + 1), separator + 1);
+            } // end if
+
+            var field = scan.nextField(data, lineStart);
+            var problem = field && field.index == lineStart && checkField(dialect, field);
+            if(problem)
+            {
+                report('invalid-field', 'error', 0, util.format("Invalid field %j: %s", field.name, problem));
+            } // end if
+        } // end if
+    } // end checkLine
+
+    function checkValue(value, column)
+    {
+        // From RFC7230 section 3.2: field-vchar = VCHAR / obs-text
+        var invalid = /[\x00-\x08\x0a-\x1f\x7f]/.exec(value);
+        if(invalid)
+        {
+            report('invalid-field-value', 'error', column + invalid.index,
+                util.format("Field value contains the control character %j", invalid[0]));
+        } // end if
+    } // end checkValue
+} // end validateHeaders
+
 /**
  * Collapse all linear whitespace in the given data.
  *
@@ -267,6 +1193,9 @@ function parseHeaders(data, options)
  * If using **lenient** mode, all non-newline whitespace characters (i.e., [the `[^\S\r\n]` character set in
  * JavaScript][JS-RE-WS-NN]) are collapsed, along with any preceding newline sequences.
  *
+ * If the `structured` option is set, whitespace inside quoted-strings, comments and quoted-pairs is only unfolded, not
+ * collapsed, so that (for example) the display name in `"John   Smith" <john@example.com>` keeps its spaces.
+ *
  * [JS-RE-WS-NN]: http://stackoverflow.com/a/3469155/677694 "regex - How do I match whitespace but not newlines?"
  * [RFC822 section 3.1.1]: https://tools.ietf.org/html/rfc822#section-3.1.1 "LONG HEADER FIELDS"
  * [RFC822 section 3.1.2]: https://tools.ietf.org/html/rfc822#section-3.1.2 "STRUCTURE OF HEADER FIELDS"
@@ -274,18 +1203,26 @@ function parseHeaders(data, options)
  * [RFC2616 section 4.2]: https://tools.ietf.org/html/rfc2616#section-4.2 "Message Headers"
  *
  * @param {(string|Buffer)} data
- * @param {GeneralOptions} options
+ * @param {CollapseOptions} options
  *
  * @returns {string} collapsed data
  */
 function collapse(data, options)
 {
     options = options || {};
-    var re = options.strict ? regexes.strict : regexes.lenient;
+    var scan = getDialect(options).scanner;
 
     data = trim(data, options);
 
-    return data.replace(re.linearWhiteSpace, ' '); // Replace any run of linear whitespace with a single space.
+    if(options.structured)
+    {
+        return structured.splitStructured(data).map(function(segment)
+        {
+            return (segment.type == 'text') ? scan.collapseWhitespace(segment.text) : scan.unfold(segment.text);
+        }).join('');
+    } // end if
+
+    return scan.collapseWhitespace(data); // Replace any run of linear whitespace with a single space.
 } // end collapse
 
 /**
@@ -303,23 +1240,36 @@ function collapse(data, options)
  * If using **lenient** mode, any non-newline whitespace characters (i.e., [the `[^\S\r\n]` character set in
  * JavaScript][JS-RE-WS-NN]) at the beginning or end of the given data are removed.
  *
+ * If the `structured` option is set, whitespace at the end of the data is kept if it is inside an unterminated
+ * quoted-string or comment, or is escaped as a quoted-pair.
+ *
  * [JS-RE-WS-NN]: http://stackoverflow.com/a/3469155/677694 "regex - How do I match whitespace but not newlines?"
  * [RFC822 section 3.3]: https://tools.ietf.org/html/rfc822#section-3.3 "LEXICAL TOKENS"
  * [RFC2616 section 4.2]: https://tools.ietf.org/html/rfc2616#section-4.2 "Message Headers"
  *
  * @param {(string|Buffer)} data
- * @param {GeneralOptions} options
+ * @param {CollapseOptions} options
  *
  * @returns {string} collapsed data
  */
 function trim(data, options)
 {
     options = options || {};
-    var re = options.strict ? regexes.strict : regexes.lenient;
+    var scan = getDialect(options).scanner;
 
     data = data.toString();
 
-    return data.replace(re.trim, '$1'); // Replace any run of linear whitespace with a single space.
+    if(options.structured)
+    {
+        var segments = structured.splitStructured(data);
+        if(segments.length > 0 && segments[segments.length - 1].type != 'text')
+        {
+            // Only trim the start; the sentinel stops `scan.trim()` from reaching the whitespace at the end.
+            return scan.trim(data + 'x').slice(0, -1);
+        } // end if
+    } // end if
+
+    return scan.trim(data);
 } // end trim
 
 /**
@@ -354,20 +1304,168 @@ function trim(data, options)
 function unfold(data, options)
 {
     options = options || {};
-    var re = options.strict ? regexes.strict : regexes.lenient;
+    var scan = getDialect(options).scanner;
 
     data = data.toString();
 
-    return data.replace(re.fold, '$1');
+    return scan.unfold(data);
 } // end unfold
 
+/**
+ * Format the given headers as a header block; this is the inverse of `parseHeaders()`.
+ *
+ * Each field is written as its field-name, a colon (or the dialect's separator), a space, and its field-body, followed
+ * by a newline sequence. In **strict** mode, the newline sequence is "CRLF" (`\r\n`, as defined by
+ * [RFC822 section 3.3][]); in **lenient** mode, it is `\n`.
+ *
+ * Field bodies that would make a line longer than `foldWidth` characters are folded, as described in
+ * [RFC822 section 3.1.1][], by inserting a newline sequence before a linear whitespace character. A field body with no
+ * whitespace in the right places may still produce a line longer than `foldWidth`.
+ *
+ * From [RFC5322 section 2.1.1][]:
+ * > There are two limits that this specification places on the number of characters in a line. Each line of
+ * > characters MUST be no more than 998 characters, and SHOULD be no more than 78 characters, excluding the CRLF.
+ *
+ * Since folding only inserts newline sequences, passing the formatted field bodies through `unfold()` gives back the
+ * original values (as does `collapse()`, for values without leading, trailing or repeated linear whitespace).
+ *
+ * [RFC822 section 3.1.1]: https://tools.ietf.org/html/rfc822#section-3.1.1 "LONG HEADER FIELDS"
+ * [RFC822 section 3.3]: https://tools.ietf.org/html/rfc822#section-3.3 "LEXICAL TOKENS"
+ * [RFC5322 section 2.1.1]: https://tools.ietf.org/html/rfc5322#section-2.1.1 "Line Length Limits"
+ *
+ * @param {(Object.<string, (string|string[])>|HeaderEntry[]|Headers)} headers - the headers to format
+ * @param {FormatHeadersOptions} options - options to control the formatting process
+ *
+ * @returns {string} the formatted header block
+ */
+function formatHeaders(headers, options)
+{
+    options = options || {};
+    var dialect = getDialect(options);
+    var re = dialect.regexes;
+    var newline = dialect.newline;
+
+    var foldWidth = options.foldWidth === undefined ? 78 : options.foldWidth;
+
+    var entries;
+    if(headers instanceof Headers)
+    {
+        entries = headers.toList();
+    }
+    else if(Array.isArray(headers))
+    {
+        entries = headers;
+    }
+    else
+    {
+        entries = [];
+        Object.keys(headers).forEach(function(name)
+        {
+            [].concat(headers[name]).forEach(function(value)
+            {
+                entries.push({name: name, value: value});
+            });
+        });
+    } // end if
+
+    var block = entries.map(function(entry)
+    {
+        var value = String(entry.value);
+
+        if(!re.fieldName.test(entry.name) || (re.commentLine && re.commentLine.test(entry.name)))
+        {
+            throw new Error(util.format("Invalid field name: %j", entry.name));
+        } // end if
+
+        if(/[\r\n]/.test(value))
+        {
+            throw new Error(util.format("Field body of %j contains a newline; unfold it first: %j", entry.name, value));
+        } // end if
+
+        var problem = checkField(dialect, {name: entry.name, value: value});
+        if(problem)
+        {
+            throw new Error(util.format("Invalid field %j: %s", entry.name, problem));
+        } // end if
+
+        return fold(entry.name + dialect.scanner.separator + ' ', value.match(re.foldPoint) || []) + newline;
+    }).join('');
+
+    if(options.body !== undefined)
+    {
+        block += newline + options.body.toString();
+    } // end if
+
+    return block;
+
+    function fold(line, pieces)
+    {
+        var lines = [];
+
+        pieces.forEach(function(piece, idx)
+        {
+            // Only fold before linear whitespace, and never before the first piece of the field body.
+            if(foldWidth && idx > 0 && line.length + piece.length > foldWidth && re.leadingLWSP.test(piece))
+            {
+                lines.push(line);
+                line = '';
+            } // end if
+
+            line += piece;
+        });
+
+        lines.push(line);
+
+        return lines.join(newline);
+    } // end fold
+} // end formatHeaders
+
 //---------------------------------------------------------------------------------------------------------------------
 
 module.exports = {
     regexes: regexes,
+    dialects: dialects,
+    getDialect: getDialect,
+    defineDialect: defineDialect,
+    Headers: Headers,
     extractHeaderBlock: extractHeaderBlock,
     parseHeaders: parseHeaders,
+    validateHeaders: validateHeaders,
     collapse: collapse,
     trim: trim,
     unfold: unfold,
+    formatHeaders: formatHeaders,
+    decodeWords: decodeWords,
+    parseParameterizedValue: parseParameterizedValue,
+    parseAddressList: parseAddressList,
+    parseList: parseList,
+    parseAccept: negotiation.parseAccept,
+    parseAcceptLanguage: negotiation.parseAcceptLanguage,
+    parseAcceptCharset: negotiation.parseAcceptCharset,
+    parseAcceptEncoding: negotiation.parseAcceptEncoding,
+    negotiate: negotiation.negotiate,
+    parseCookie: cookies.parseCookie,
+    parseSetCookie: cookies.parseSetCookie,
+    splitStructured: structured.splitStructured,
+    stripComments: structured.stripComments,
+    parseDate: dates.parseDate,
+    defaultValueParsers: dates.defaultValueParsers,
+    schemaTypes: schema.schemaTypes,
+    applySchema: schema.applySchema,
+    symbols: symbols,
+    HeaderLimitError: errors.HeaderLimitError,
+    HeaderBlockSizeError: errors.HeaderBlockSizeError,
+    FieldCountError: errors.FieldCountError,
+    LineLengthError: errors.LineLengthError,
+    ValueLengthError: errors.ValueLengthError,
 };
+
+// These are built on the functions above, so they must be loaded after `module.exports` is populated.
+module.exports.HeaderBlockStream = require('./lib/stream');
+module.exports.parseMime = require('./lib/mime').parseMime;
+module.exports.parseHttpMessage = require('./lib/http').parseHttpMessage;
+module.exports.HeaderParser = require('./lib/parser');
+module.exports.HeaderDocument = require('./lib/document');
+module.exports.canonicalizeHeader = require('./lib/dkim').canonicalizeHeader;
+module.exports.canonicalizeBody = require('./lib/dkim').canonicalizeBody;
+module.exports.canonicalizeSignedHeaders = require('./lib/dkim').canonicalizeSignedHeaders;
@@ -0,0 +1,505 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Parsing of RFC 5322 address lists, such as the field bodies of `From`, `To`, `Cc` and `Reply-To`.
+//
+// @module header-parse/lib/addresses
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var isStrict = require('./modes').isStrict;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * A parsed mailbox.
+ *
+ * @typedef {object} Address
+ *
+ * @property {?string} name - the display name, if any (or, for a bare addr-spec, the text of a trailing comment)
+ * @property {string} address - the addr-spec (`local-part@domain`), without any route
+ * @property {?string} group - the display name of the group containing this mailbox, if any
+ */
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Matches a run of "atext" characters, as defined by [RFC5322 section 3.2.3][], as well as non-ASCII characters (as
+ * allowed by [RFC6532 section 3.2][]).
+ *
+ * [RFC5322 section 3.2.3]: https://tools.ietf.org/html/rfc5322#section-3.2.3 "Atom"
+ * [RFC6532 section 3.2]: https://tools.ietf.org/html/rfc6532#section-3.2 "Syntax Extensions to RFC 5322"
+ */
+var strictAtomRE = /^[A-Za-z0-9!#$%&'*+\-\/=?^_`{|}~\u0080-\uffff]+/;
+
+/**
+ * Matches a run of anything other than whitespace and the characters with special meaning in address lists. (Stray
+ * backslashes are simply part of the atom.)
+ */
+var lenientAtomRE = /^[^\s()<>\[\]:;@,."]+/;
+
+var specials = '<>:;@,.';
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Split the given address list into tokens.
+ *
+ * Each token has a `type` (`atom`, `quoted`, `comment`, `literal`, or the special character itself), a `value` (with
+ * quoting removed), and a `space` flag, which is set if the token was preceded by whitespace or a comment.
+ *
+ * @param {string} data
+ * @param {boolean} strict
+ *
+ * @returns {object[]} tokens
+ */
+function tokenize(data, strict)
+{
+    var tokens = [];
+    var pos = 0, space = false;
+    var atomRE = strict ? strictAtomRE : lenientAtomRE;
+
+    while(pos < data.length)
+    {
+        var ch = data[pos];
+        var match;
+
+        if(/\s/.test(ch))
+        {
+            space = true;
+            pos++;
+            continue;
+        } // end if
+
+        if(ch == '(')
+        {
+            tokens.push({type: 'comment', value: readDelimited(')', true)});
+            space = true;
+            continue;
+        }
+        else if(ch == '"')
+        {
+            tokens.push({type: 'quoted', value: readDelimited('"', false), space: space});
+        }
+        else if(ch == '[')
+        {
+            tokens.push({type: 'literal', value: '[' + readDelimited(']', false) + ']', space: space});
+        }
+        else if(specials.indexOf(ch) != -1)
+        {
+            tokens.push({type: ch, value: ch, space: space});
+            pos++;
+        }
+        else if((match = atomRE.exec(data.slice(pos))))
+        {
+            tokens.push({type: 'atom', value: match[0], space: space});
+            pos += match[0].length;
+        }
+        else if(strict)
+        {
+            throw new Error(util.format("Unexpected character %j at position %d of address list %j", ch, pos, data));
+        }
+        else
+        {
+            // A stray `)` or `]`, which doesn't close anything; skip it.
+            pos++;
+            continue;
+        } // end if
+
+        space = false;
+    } // end while
+
+    return tokens;
+
+    // Read a quoted-string, comment or domain-literal starting at `pos`, handling quoted-pairs (and nested comments).
+    function readDelimited(close, nested)
+    {
+        var open = data[pos];
+        var value = '';
+        var depth = 1;
+
+        pos++;
+        while(pos < data.length)
+        {
+            var ch = data[pos++];
+
+            if(ch == '\\' && pos < data.length)
+            {
+                value += data[pos++];
+                continue;
+            } // end if
+
+            if(nested && ch == open)
+            {
+                depth++;
+            }
+            else if(ch == close && --depth === 0)
+            {
+                return value;
+            } // end if
+
+            value += ch;
+        } // end while
+
+        if(strict)
+        {
+            throw new Error(util.format("Unterminated %j in address list %j", open, data));
+        } // end if
+
+        return value;
+    } // end readDelimited
+} // end tokenize
+
+/**
+ * Join the given tokens into a phrase (such as a display name), collapsing whitespace.
+ *
+ * @param {object[]} tokens
+ *
+ * @returns {?string} the phrase, or `null` if there are no tokens
+ */
+function joinPhrase(tokens)
+{
+    tokens = tokens.filter(function(token) { return token.type != 'comment'; });
+
+    if(tokens.length === 0)
+    {
+        return null;
+    } // end if
+
+    return tokens.map(function(token, idx)
+    {
+        return (idx > 0 && token.space ? ' ' : '') + token.value;
+    }).join('');
+} // end joinPhrase
+
+/**
+ * Join the given tokens into an addr-spec, dropping whitespace and comments, and requoting quoted-strings.
+ *
+ * @param {object[]} tokens
+ * @param {boolean} strict
+ * @param {string} data - the full address list, for error messages
+ *
+ * @returns {string} the addr-spec
+ */
+function joinAddrSpec(tokens, strict, data)
+{
+    tokens = tokens.filter(function(token) { return token.type != 'comment'; });
+
+    var types = tokens.map(function(token) { return token.type; }).join(' ');
+
+    // local-part "@" domain, where local-part is (obs-)dot-atom or quoted-string, and domain is dot-atom or literal
+    if(strict && !/^(?:atom|quoted)(?: \. (?:atom|quoted))* @ (?:atom(?: \. atom)*|literal)$/.test(types))
+    {
+        throw new Error(util.format("Invalid addr-spec %j in address list %j", joinPhrase(tokens), data));
+    } // end if
+
+    return tokens.map(function(token)
+    {
+        if(token.type == 'quoted')
+        {
+            return '"' + token.value.replace(/(["\\])/g, '\\$1') + '"';
+        } // end if
+
+        return token.value;
+    }).join('');
+} // end joinAddrSpec
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Parse an address list, as defined by [RFC5322 section 3.4][].
+ *
+ * From [RFC5322 section 3.4][]:
+ * > address         =   mailbox / group
+ * > mailbox         =   name-addr / addr-spec
+ * > name-addr       =   [display-name] angle-addr
+ * > angle-addr      =   [CFWS] "<" addr-spec ">" [CFWS] / obs-angle-addr
+ * > group           =   display-name ":" [group-list] ";" [CFWS]
+ *
+ * Every mailbox is returned, in order, as an `Address`; mailboxes in a group have that group's display name as their
+ * `group`. (Empty groups, such as `undisclosed-recipients:;`, contribute no mailboxes.) Comments are ignored, except
+ * that the last comment following a bare addr-spec (`jdoe@example.com (John Doe)`) is used as its display name.
+ * Obsolete routes (`<@relay1,@relay2:jdoe@example.com>`, from [RFC5322 section 4.4][]) are dropped.
+ *
+ * In **strict** mode, an error is thrown on any syntax error, such as an invalid character, an addr-spec without a
+ * domain, a trailing comma, or an unterminated quoted-string, comment, group or angle-addr.
+ * In **lenient** mode, common real-world mistakes are accepted: display names may contain unquoted commas, periods and
+ * other special characters (`Doe, John <jdoe@example.com>`), angle-addrs and groups may be left unterminated, entries
+ * that contain no address are skipped, stray `)` and `]` characters are ignored, and backslashes outside of
+ * quoted-strings, comments and domain-literals are kept as they are.
+ *
+ * [RFC5322 section 3.4]: https://tools.ietf.org/html/rfc5322#section-3.4 "Address Specification"
+ * [RFC5322 section 4.4]: https://tools.ietf.org/html/rfc5322#section-4.4 "Obsolete Addressing"
+ *
+ * @param {(string|Buffer)} data - the field body
+ * @param {GeneralOptions} options
+ *
+ * @returns {Address[]}
+ */
+function parseAddressList(data, options)
+{
+    options = options || {};
+    var strict = isStrict(options);
+
+    data = data.toString();
+
+    var tokens = tokenize(data, strict);
+    var pos = 0;
+    var addresses = [];
+
+    while(pos < tokens.length)
+    {
+        var entry = readEntry(',:;');
+
+        if(peek(':'))
+        {
+            pos++; // skip ':'
+            readGroup(joinPhrase(entry));
+        }
+        else if(peek(';'))
+        {
+            if(strict)
+            {
+                fail("Unexpected ';'");
+            } // end if
+
+            pos++; // skip ';'
+            addMailbox(entry, null);
+        }
+        else if(pos < tokens.length || entry.some(function(token) { return token.type != 'comment'; }))
+        {
+            addMailbox(entry, null);
+        } // end if
+
+        if(peek(','))
+        {
+            pos++; // skip ','
+            checkTrailingComma();
+        } // end if
+    } // end while
+
+    return addresses;
+
+    function peek(type)
+    {
+        return pos < tokens.length && tokens[pos].type == type;
+    } // end peek
+
+    function fail(message)
+    {
+        throw new Error(util.format("%s in address list %j", message, data));
+    } // end fail
+
+    // Read tokens until one of the given terminators is found outside of an angle-addr.
+    function readEntry(terminators)
+    {
+        var entry = readTokens(terminators);
+
+        // In lenient mode, a comma-terminated entry without an address is part of the next entry's display name, if
+        // that entry is a name-addr; otherwise, it is skipped.
+        var pending = [];
+        while(!strict && peek(',') && !entry.some(function(token) { return token.type == '@' || token.type == '<'; }))
+        {
+            pending.push.apply(pending, entry);
+            pending.push(tokens[pos++]);
+            entry = readTokens(terminators);
+        } // end while
+
+        if(entry.some(function(token) { return token.type == '<'; }))
+        {
+            return pending.concat(entry);
+        } // end if
+
+        return entry;
+    } // end readEntry
+
+    function readTokens(terminators)
+    {
+        var entry = [];
+        var inAngle = false;
+
+        while(pos < tokens.length)
+        {
+            var token = tokens[pos];
+
+            if(token.type == '<')
+            {
+                inAngle = true;
+            }
+            else if(token.type == '>')
+            {
+                inAngle = false;
+            }
+            else if(!inAngle && terminators.indexOf(token.type) != -1)
+            {
+                break;
+            } // end if
+
+            entry.push(token);
+            pos++;
+        } // end while
+
+        return entry;
+    } // end readTokens
+
+    // In strict mode, reject a ',' which isn't followed by another entry (before the end of the list or group).
+    function checkTrailingComma()
+    {
+        var next = pos;
+        while(next < tokens.length && tokens[next].type == 'comment')
+        {
+            next++;
+        } // end while
+
+        if(strict && (next == tokens.length || tokens[next].type == ';'))
+        {
+            fail("Trailing ','");
+        } // end if
+    } // end checkTrailingComma
+
+    function skipComments()
+    {
+        while(peek('comment'))
+        {
+            pos++;
+        } // end while
+    } // end skipComments
+
+    function readGroup(groupName)
+    {
+        // From RFC5322 section 3.4: group-list = mailbox-list / CFWS / obs-group-list
+        var start = pos;
+        skipComments();
+        if(!peek(';'))
+        {
+            pos = start;
+        } // end if
+
+        while(pos < tokens.length && !peek(';'))
+        {
+            addMailbox(readEntry(',;'), groupName);
+
+            if(peek(','))
+            {
+                pos++; // skip ','
+                checkTrailingComma();
+            } // end if
+        } // end while
+
+        if(peek(';'))
+        {
+            pos++; // skip ';'
+            skipComments(); // group = display-name ":" [group-list] ";" [CFWS]
+        }
+        else if(strict)
+        {
+            fail(util.format("Unterminated group %j", groupName));
+        } // end if
+    } // end readGroup
+
+    function addMailbox(entry, groupName)
+    {
+        var significant = entry.filter(function(token) { return token.type != 'comment'; });
+        if(significant.length === 0)
+        {
+            if(strict)
+            {
+                fail("Empty address");
+            } // end if
+
+            return;
+        } // end if
+
+        var open = -1, close = -1;
+        entry.forEach(function(token, idx)
+        {
+            if(token.type == '<' && open == -1)
+            {
+                open = idx;
+            }
+            else if(token.type == '>' && open != -1 && close == -1)
+            {
+                close = idx;
+            } // end if
+        });
+
+        var name, addrTokens;
+        if(open != -1)
+        {
+            if(close == -1)
+            {
+                if(strict)
+                {
+                    fail("Unterminated angle-addr");
+                } // end if
+
+                close = entry.length;
+            }
+            else if(strict && entry.slice(close + 1).some(function(token) { return token.type != 'comment'; }))
+            {
+                fail("Unexpected data after angle-addr");
+            } // end if
+
+            var nameTokens = entry.slice(0, open);
+            if(strict && nameTokens.some(function(token)
+                {
+                    return ['atom', 'quoted', 'comment', '.'].indexOf(token.type) == -1;
+                }))
+            {
+                fail(util.format("Invalid display name %j", joinPhrase(nameTokens)));
+            } // end if
+
+            name = joinPhrase(nameTokens);
+            addrTokens = stripRoute(entry.slice(open + 1, close));
+        }
+        else
+        {
+            var comments = entry.filter(function(token) { return token.type == 'comment'; });
+
+            name = comments.length ? comments[comments.length - 1].value.trim() || null : null;
+            addrTokens = entry;
+        } // end if
+
+        if(!addrTokens.some(function(token) { return token.type == '@'; }))
+        {
+            if(strict)
+            {
+                fail(util.format("Missing addr-spec in %j", joinPhrase(entry)));
+            } // end if
+
+            // Keep local-only addresses (`<postmaster>`) in an angle-addr, but skip anything else without an address.
+            if(open == -1 || !addrTokens.some(function(token) { return token.type != 'comment'; }))
+            {
+                return;
+            } // end if
+        } // end if
+
+        addresses.push({name: name, address: joinAddrSpec(addrTokens, strict, data), group: groupName});
+    } // end addMailbox
+
+    // Remove an obsolete route (`@domain,@domain:`) from the start of the given angle-addr tokens.
+    function stripRoute(addrTokens)
+    {
+        var colon = -1;
+        addrTokens.some(function(token, idx)
+        {
+            if(token.type == ':')
+            {
+                colon = idx;
+                return true;
+            } // end if
+        });
+
+        if(colon != -1 && addrTokens[0].type == '@')
+        {
+            return addrTokens.slice(colon + 1);
+        } // end if
+
+        return addrTokens;
+    } // end stripRoute
+} // end parseAddressList
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    parseAddressList: parseAddressList,
+};
@@ -0,0 +1,368 @@
+//---------------------------------------------------------------------------------------------------------------------
+// The `header-parse` command-line tool.
+//
+// @module header-parse/lib/cli
+//---------------------------------------------------------------------------------------------------------------------
+
+var fs = require('fs');
+var util = require('util');
+
+var headerParse = require('../header-parse');
+
+//---------------------------------------------------------------------------------------------------------------------
+
+var usage = [
+    'Usage: header-parse [options] [file...]',
+    '',
+    'Parse the header block of each file (or of standard input, if no files are given, or for `-`), and print the',
+    'result.',
+    '',
+    'Options:',
+    '  --strict               parse in strict mode (same as `--mode strict`)',
+    '  --mode <mode>          the header dialect to use: strict, lenient (the default) or http',
+    '  --no-collapse          preserve internal linear whitespace in field bodies',
+    '  --no-trim              preserve leading and trailing whitespace in field bodies (with --no-collapse)',
+    '  --no-unfold            preserve newlines in field bodies (with --no-collapse)',
+    '  --repeated <how>       how to output repeated fields: last (the default), array or list',
+    '  -f, --format <format>  the output format: json (the default), ndjson or text (`Name: value` lines)',
+    '  -F, --field <name>     only output the given field (case-insensitive); may be given more than once',
+    '  --headers-only         only output the headers, not the body',
+    '  --body                 only output the body, as-is',
+    '  -h, --help             show this help',
+    '',
+    'Exits with status 1 if any input could not be parsed (in strict and http modes, this includes inputs that',
+    'don\'t start with a valid header block), or 2 if the arguments are invalid.',
+].join('\n');
+
+var formats = ['json', 'ndjson', 'text'];
+var repeatedValues = ['last', 'array', 'list'];
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Parse the command-line arguments.
+ *
+ * @param {string[]} argv - the arguments, not including the node executable or script
+ *
+ * @returns {object} the parsed arguments
+ */
+function parseArgs(argv)
+{
+    var args = {
+        parseOptions: {collection: true},
+        repeated: 'last',
+        format: 'json',
+        output: 'all',
+        fields: [],
+        files: [],
+        help: false,
+    };
+
+    var arg, value;
+    for(var idx = 0; idx < argv.length; idx++)
+    {
+        arg = argv[idx];
+        value = undefined;
+
+        // Support `--option=value` as well as `--option value`.
+        var eqIdx = arg.indexOf('=');
+        if(arg.slice(0, 2) == '--' && eqIdx != -1)
+        {
+            value = arg.slice(eqIdx + 1);
+            arg = arg.slice(0, eqIdx);
+        } // end if
+
+        switch(arg)
+        {
+            case '--strict':
+                args.parseOptions.strict = true;
+                break;
+
+            case '--mode':
+                args.parseOptions.mode = takeValue();
+                headerParse.getDialect(args.parseOptions); // throws on an unknown mode
+                break;
+
+            case '--no-collapse':
+            case '--no-trim':
+            case '--no-unfold':
+                args.parseOptions[arg.slice(5)] = false;
+                break;
+
+            case '--repeated':
+                args.repeated = takeValue();
+                if(repeatedValues.indexOf(args.repeated) == -1)
+                {
+                    throw new Error(util.format("Invalid value for --repeated: %j", args.repeated));
+                } // end if
+                break;
+
+            case '-f':
+            case '--format':
+                args.format = takeValue();
+                if(formats.indexOf(args.format) == -1)
+                {
+                    throw new Error(util.format("Unknown format: %j", args.format));
+                } // end if
+                break;
+
+            case '-F':
+            case '--field':
+                args.fields.push(takeValue());
+                break;
+
+            case '--headers-only':
+                args.output = 'headers';
+                break;
+
+            case '--body':
+                args.output = 'body';
+                break;
+
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+
+            default:
+                if(arg.charAt(0) == '-' && arg != '-')
+                {
+                    throw new Error(util.format("Unknown option: %s", arg));
+                } // end if
+
+                args.files.push(arg);
+        } // end switch
+    } // end for
+
+    if(args.files.length === 0)
+    {
+        args.files.push('-');
+    } // end if
+
+    return args;
+
+    function takeValue()
+    {
+        if(value === undefined)
+        {
+            idx++;
+            if(idx >= argv.length)
+            {
+                throw new Error(util.format("Missing value for option: %s", arg));
+            } // end if
+
+            value = argv[idx];
+        } // end if
+
+        return value;
+    } // end takeValue
+} // end parseArgs
+
+/**
+ * Parse one input, returning a record containing its (selected) headers and body.
+ *
+ * @param {string} file - the name of the input (`-` for standard input)
+ * @param {Buffer} data - the contents of the input
+ * @param {object} args - the parsed command-line arguments
+ *
+ * @returns {{file: string, headers: ?object, body: ?string}}
+ */
+function processInput(file, data, args)
+{
+    var options = args.parseOptions;
+    var doc = headerParse.extractHeaderBlock(data, options);
+
+    if(doc.headerBlock === undefined && headerParse.getDialect(options).name != 'lenient')
+    {
+        throw new Error(describeMissingHeaderBlock(data, options));
+    } // end if
+
+    var headers = doc.headers || new headerParse.Headers();
+    if(args.fields.length > 0)
+    {
+        var selected = args.fields.map(function(name) { return name.toLowerCase(); });
+        headers = new headerParse.Headers(headers.toList().filter(function(entry)
+        {
+            return selected.indexOf(entry.name.toLowerCase()) != -1;
+        }));
+    } // end if
+
+    var asList = args.repeated == 'list' || args.format == 'text';
+
+    return {
+        file: file,
+        headers: asList ? headers.toList() : headers.toObject(args.repeated),
+        body: doc.body,
+    };
+} // end processInput
+
+/**
+ * Explain why no header block was found in **strict** or **http** mode, using the first problem that
+ * `validateHeaders()` finds in the header block as **lenient** mode would see it.
+ *
+ * @private
+ */
+function describeMissingHeaderBlock(data, options)
+{
+    var lenientDoc = headerParse.extractHeaderBlock(data, {parse: false});
+    if(lenientDoc.headerBlock !== undefined)
+    {
+        var problems = headerParse.validateHeaders(lenientDoc.headerBlock, options).filter(function(diag)
+        {
+            return diag.severity == 'error';
+        });
+
+        if(problems.length > 0)
+        {
+            return util.format("Invalid header block: %s (line %d, column %d)", problems[0].message, problems[0].line,
+                problems[0].column);
+        } // end if
+    } // end if
+
+    return "No header block found";
+} // end describeMissingHeaderBlock
+
+/**
+ * Format the records for all inputs according to the `format` and `output` arguments.
+ *
+ * @private
+ */
+function formatRecords(records, args)
+{
+    if(args.output == 'body')
+    {
+        return records.map(function(record) { return record.body; }).join('');
+    } // end if
+
+    records.forEach(function(record)
+    {
+        if(args.output == 'headers')
+        {
+            delete record.body;
+        } // end if
+    });
+
+    switch(args.format)
+    {
+        case 'ndjson':
+            return records.map(function(record) { return JSON.stringify(record) + '\n'; }).join('');
+
+        case 'text':
+            return records.map(function(record)
+            {
+                var text = record.headers.map(function(entry) { return entry.name + ': ' + entry.value + '\n'; })
+                    .join('');
+
+                if(record.body !== undefined)
+                {
+                    text += '\n' + record.body;
+                } // end if
+
+                return (records.length > 1) ? util.format('==> %s <==\n%s', record.file, text) : text;
+            }).join('\n');
+
+        default:
+            return JSON.stringify(records.length == 1 ? records[0] : records, null, 4) + '\n';
+    } // end switch
+} // end formatRecords
+
+/**
+ * Read an input: a file, or standard input for `-`. Standard input is only read once; if `-` is given more than once,
+ * the same data is used each time.
+ *
+ * @private
+ */
+function readInput(file, stdin, cache, callback)
+{
+    if(file != '-')
+    {
+        return fs.readFile(file, callback);
+    } // end if
+
+    if(cache.stdin)
+    {
+        return callback(null, cache.stdin);
+    } // end if
+
+    var chunks = [];
+    stdin.on('data', function(chunk) { chunks.push(chunk); });
+    stdin.on('error', callback);
+    stdin.on('end', function()
+    {
+        cache.stdin = Buffer.concat(chunks);
+        callback(null, cache.stdin);
+    });
+} // end readInput
+
+/**
+ * Run the command-line tool.
+ *
+ * @param {string[]} argv - the arguments, not including the node executable or script
+ * @param {{stdin: stream.Readable, stdout: stream.Writable, stderr: stream.Writable}} io - the streams to use
+ * @param {function(number)} callback - called with the exit status once all output has been written
+ */
+function run(argv, io, callback)
+{
+    var args;
+    try
+    {
+        args = parseArgs(argv);
+    }
+    catch(exc)
+    {
+        io.stderr.write(util.format('header-parse: %s\n\n%s\n', exc.message, usage));
+        return callback(2);
+    } // end try
+
+    if(args.help)
+    {
+        io.stdout.write(usage + '\n');
+        return callback(0);
+    } // end if
+
+    var records = [];
+    var status = 0;
+    var cache = {};
+
+    (function next(idx)
+    {
+        if(idx == args.files.length)
+        {
+            if(records.length > 0)
+            {
+                io.stdout.write(formatRecords(records, args));
+            } // end if
+
+            return callback(status);
+        } // end if
+
+        var file = args.files[idx];
+        readInput(file, io.stdin, cache, function(error, data)
+        {
+            try
+            {
+                if(error)
+                {
+                    throw error;
+                } // end if
+
+                records.push(processInput(file, data, args));
+            }
+            catch(exc)
+            {
+                io.stderr.write(util.format('header-parse: %s: %s\n', file, exc.message));
+                status = 1;
+            } // end try
+
+            next(idx + 1);
+        });
+    })(0);
+} // end run
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    parseArgs: parseArgs,
+    processInput: processInput,
+    run: run,
+};
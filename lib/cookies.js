@@ -0,0 +1,300 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Parsing of `Cookie` and `Set-Cookie` field bodies, as defined by RFC6265.
+//
+// @module header-parse/lib/cookies
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var isStrict = require('./modes').isStrict;
+var parseDate = require('./dates').parseDate;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * A name/value pair from a `Cookie` field body.
+ *
+ * @typedef {object} CookiePair
+ *
+ * @property {string} name
+ * @property {string} value
+ */
+
+/**
+ * A cookie parsed from a `Set-Cookie` field body. Attributes which weren't given (or were ignored) are `null`.
+ *
+ * @typedef {object} SetCookie
+ * @extends CookiePair
+ *
+ * @property {?Date} expires - the `Expires` attribute
+ * @property {?number} maxAge - the `Max-Age` attribute, in seconds (which may be 0 or negative, meaning the cookie
+ *          has expired)
+ * @property {?string} domain - the `Domain` attribute, lowercased, without any leading `.`
+ * @property {?string} path - the `Path` attribute
+ * @property {boolean} secure - `true` if the `Secure` attribute was given
+ * @property {boolean} httpOnly - `true` if the `HttpOnly` attribute was given
+ * @property {?string} sameSite - the `SameSite` attribute: `'Strict'`, `'Lax'` or `'None'`
+ */
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Matches an RFC6265 "cookie-name" (an RFC2616 "token").
+ */
+var cookieNameRE = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Matches an RFC6265 "cookie-value": `*cookie-octet / ( DQUOTE *cookie-octet DQUOTE )`
+ */
+var cookieValueRE = /^(?:[\x21\x23-\x2b\x2d-\x3a\x3c-\x5b\x5d-\x7e]*|"[\x21\x23-\x2b\x2d-\x3a\x3c-\x5b\x5d-\x7e]*")$/;
+
+var sameSiteValues = ['Strict', 'Lax', 'None'];
+
+/**
+ * Remove leading and trailing WSP (`SP` or `HTAB`), as the RFC6265 parsing algorithms do.
+ *
+ * This walks in from both ends rather than using a regex, since a regex anchored at the end would rescan every run of
+ * whitespace in the string.
+ */
+function trimWSP(str)
+{
+    var start = 0, end = str.length;
+    while(start < end && (str[start] == ' ' || str[start] == '\t'))
+    {
+        start++;
+    } // end while
+
+    while(end > start && (str[end - 1] == ' ' || str[end - 1] == '\t'))
+    {
+        end--;
+    } // end while
+
+    return str.slice(start, end);
+} // end trimWSP
+
+/**
+ * Split a `name=value` pair at its first `=`.
+ *
+ * @returns {?CookiePair} the pair, or `null` if there is no `=`
+ */
+function splitPair(str)
+{
+    var eqIdx = str.indexOf('=');
+    if(eqIdx == -1)
+    {
+        return null;
+    } // end if
+
+    return {name: trimWSP(str.slice(0, eqIdx)), value: trimWSP(str.slice(eqIdx + 1))};
+} // end splitPair
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Parse the field body of a `Cookie` field, as defined by [RFC6265 section 4.2][], into name/value pairs, in order.
+ *
+ * From [RFC6265 section 4.2.1][]:
+ * > cookie-string = cookie-pair *( ";" SP cookie-pair )
+ *
+ * Names may occur more than once; every pair is returned. Values are returned as they appear in the field body
+ * (including any double quotes).
+ *
+ * In **strict** mode, an error is thrown on a pair without a `=`, an invalid cookie name or value, or a separator
+ * other than `; `.
+ * In **lenient** mode, pairs are separated by `;` and any surrounding whitespace, and pairs without a `=` or a name
+ * are skipped.
+ *
+ * [RFC6265 section 4.2]: https://tools.ietf.org/html/rfc6265#section-4.2 "Cookie"
+ * [RFC6265 section 4.2.1]: https://tools.ietf.org/html/rfc6265#section-4.2.1 "Syntax"
+ *
+ * @param {(string|Buffer)} data - the field body
+ * @param {GeneralOptions} options
+ *
+ * @returns {CookiePair[]}
+ */
+function parseCookie(data, options)
+{
+    options = options || {};
+    var strict = isStrict(options);
+
+    data = data.toString();
+
+    var pieces = strict ? data.split('; ') : data.split(';');
+
+    var pairs = [];
+    pieces.forEach(function(piece)
+    {
+        var pair = splitPair(piece);
+
+        if(strict && (!pair || pair.name + '=' + pair.value != piece || !cookieNameRE.test(pair.name) ||
+            !cookieValueRE.test(pair.value)))
+        {
+            throw new Error(util.format("Invalid cookie-pair %j in cookie-string %j", piece, data));
+        } // end if
+
+        if(pair && pair.name !== '')
+        {
+            pairs.push(pair);
+        } // end if
+    });
+
+    return pairs;
+} // end parseCookie
+
+/**
+ * Parse the field body of a `Set-Cookie` field, following the algorithm in [RFC6265 section 5.2][].
+ *
+ * Each `Set-Cookie` field sets a single cookie, and `Set-Cookie` fields can't be combined into one (see
+ * [RFC7230 section 3.2.2][]), so get every occurrence from `parseHeaders()` (e.g. with `repeated: 'array'`, or with
+ * `Headers.getAll()`) and parse each of them separately; `data` may be a list of field bodies to do so.
+ *
+ * The `Expires` attribute is parsed with `parseDate()`. `Max-Age` must be an integer. `Domain` is lowercased, and a
+ * leading `.` is removed. `Path` must start with `/`. `SameSite` (from [RFC6265bis][]) must be `Strict`, `Lax` or
+ * `None`, in any case. Attribute names are matched case-insensitively, and if an attribute occurs more than once, the
+ * last occurrence is used. Unknown attributes are ignored.
+ *
+ * In **strict** mode, an error is thrown wherever the algorithm would ignore the field or an attribute, on an invalid
+ * cookie name or value, and on an `Expires` attribute that `parseDate()` rejects in **strict** mode.
+ * In **lenient** mode, a field without a `=` in its name/value pair, or without a name, is ignored (`null` is
+ * returned), and invalid attributes are ignored.
+ *
+ * [RFC6265 section 5.2]: https://tools.ietf.org/html/rfc6265#section-5.2 "The Set-Cookie Header"
+ * [RFC6265bis]: https://tools.ietf.org/html/draft-ietf-httpbis-rfc6265bis "Cookies: HTTP State Management Mechanism"
+ * [RFC7230 section 3.2.2]: https://tools.ietf.org/html/rfc7230#section-3.2.2 "Field Order"
+ *
+ * @param {(string|Buffer|Array.<(string|Buffer)>)} data - the field body, or the bodies of every occurrence of the
+ *          field
+ * @param {GeneralOptions} options
+ *
+ * @returns {(?SetCookie|SetCookie[])} the cookie (or, in **lenient** mode, `null` if the field is ignored); for a list
+ *          of field bodies, the cookies, without any that are ignored
+ */
+function parseSetCookie(data, options)
+{
+    options = options || {};
+
+    if(Array.isArray(data))
+    {
+        return data
+            .map(function(fieldBody) { return parseSetCookie(fieldBody, options); })
+            .filter(function(cookie) { return cookie !== null; });
+    } // end if
+
+    var strict = isStrict(options);
+
+    data = data.toString();
+
+    var attributes = data.split(';');
+    var pair = splitPair(attributes.shift());
+
+    if(!pair || pair.name === '')
+    {
+        return fail("Missing cookie name");
+    } // end if
+
+    if(strict && (!cookieNameRE.test(pair.name) || !cookieValueRE.test(pair.value)))
+    {
+        return fail("Invalid cookie-pair");
+    } // end if
+
+    var cookie = {
+        name: pair.name,
+        value: pair.value,
+        expires: null,
+        maxAge: null,
+        domain: null,
+        path: null,
+        secure: false,
+        httpOnly: false,
+        sameSite: null,
+    };
+
+    attributes.forEach(function(attribute)
+    {
+        var attrPair = splitPair(attribute) || {name: trimWSP(attribute), value: ''};
+        var value = attrPair.value;
+
+        switch(attrPair.name.toLowerCase())
+        {
+            case 'expires':
+                var date = parseDate(value, options);
+                if(date)
+                {
+                    cookie.expires = date;
+                } // end if
+                break;
+
+            case 'max-age':
+                if(/^-?\d+$/.test(value))
+                {
+                    cookie.maxAge = parseInt(value, 10);
+                }
+                else if(strict)
+                {
+                    fail(util.format("Invalid Max-Age %j", value));
+                } // end if
+                break;
+
+            case 'domain':
+                if(value !== '')
+                {
+                    cookie.domain = value.replace(/^\./, '').toLowerCase();
+                }
+                else if(strict)
+                {
+                    fail("Empty Domain");
+                } // end if
+                break;
+
+            case 'path':
+                if(value.charAt(0) == '/')
+                {
+                    cookie.path = value;
+                }
+                else if(strict)
+                {
+                    fail(util.format("Invalid Path %j", value));
+                } // end if
+                break;
+
+            case 'secure':
+                cookie.secure = true;
+                break;
+
+            case 'httponly':
+                cookie.httpOnly = true;
+                break;
+
+            case 'samesite':
+                var sameSite = value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+                if(sameSiteValues.indexOf(sameSite) != -1)
+                {
+                    cookie.sameSite = sameSite;
+                }
+                else if(strict)
+                {
+                    fail(util.format("Invalid SameSite %j", value));
+                } // end if
+                break;
+        } // end switch
+    });
+
+    return cookie;
+
+    function fail(message)
+    {
+        if(strict)
+        {
+            throw new Error(util.format("%s in Set-Cookie field %j", message, data));
+        } // end if
+
+        return null;
+    } // end fail
+} // end parseSetCookie
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    parseCookie: parseCookie,
+    parseSetCookie: parseSetCookie,
+};
@@ -0,0 +1,305 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Parsing of date-time field bodies, such as those of `Date`, `Expires` and `Last-Modified`.
+//
+// @module header-parse/lib/dates
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var isStrict = require('./modes').isStrict;
+var stripComments = require('./structured').stripComments;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+var dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+var monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Offsets (in minutes) of the obsolete zone names from [RFC5322 section 4.3][]. (Military zones are handled
+ * separately.)
+ *
+ * [RFC5322 section 4.3]: https://tools.ietf.org/html/rfc5322#section-4.3 "Obsolete Date and Time"
+ */
+var zoneOffsets = {
+    UT: 0, GMT: 0,
+    EST: -5 * 60, EDT: -4 * 60,
+    CST: -6 * 60, CDT: -5 * 60,
+    MST: -7 * 60, MDT: -6 * 60,
+    PST: -8 * 60, PDT: -7 * 60,
+};
+
+var day = '(Mon|Tue|Wed|Thu|Fri|Sat|Sun)';
+var longDay = '(Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday)';
+var month = '(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)';
+var anyDay = '(' + longDay.slice(1, -1) + '|' + day.slice(1, -1) + ')';
+var anyMonth = '(January|February|March|April|May|June|July|August|September|October|November|December|'
+    + month.slice(1, -1) + '|Sept)';
+
+/**
+ * Date formats accepted in **strict** mode. Each entry has a regex and the index of each field's capture group.
+ */
+var strictFormats = [
+    // RFC5322 date-time (including IMF-fixdate, and obsolete 2- and 3-digit years and zone names)
+    {
+        re: new RegExp('^(?:' + day + '\\s*,\\s*)?(\\d{1,2})\\s+' + month + '\\s+(\\d{2,})\\s+(\\d{2})\\s*:\\s*(\\d{2})'
+            + '(?:\\s*:\\s*(\\d{2}))?\\s+([+-]\\d{4}|[A-Za-z]{1,3})$', 'i'),
+        fields: {dayName: 1, day: 2, month: 3, year: 4, hour: 5, minute: 6, second: 7, zone: 8},
+    },
+
+    // RFC850 date
+    {
+        re: new RegExp('^' + longDay + ',\\s*(\\d{2})-' + month + '-(\\d{2})\\s+(\\d{2}):(\\d{2}):(\\d{2})\\s+(GMT)$',
+            'i'),
+        fields: {dayName: 1, day: 2, month: 3, year: 4, hour: 5, minute: 6, second: 7, zone: 8},
+    },
+
+    // ANSI C asctime() date
+    {
+        re: new RegExp('^' + day + '\\s+' + month + '\\s+(\\d{1,2})\\s+(\\d{2}):(\\d{2}):(\\d{2})\\s+(\\d{4})$', 'i'),
+        fields: {dayName: 1, month: 2, day: 3, hour: 4, minute: 5, second: 6, year: 7},
+    },
+];
+
+var lenientZone = '(?:\\s*([+-]\\d{2}(?::?\\d{2})?|[A-Za-z]{1,5}))?';
+var lenientTime = '(\\d{1,2}):(\\d{2})(?::(\\d{2})(?:[.,]\\d+)?)?';
+
+/**
+ * Date formats accepted in **lenient** mode, in addition to the **strict** formats.
+ */
+var lenientFormats = [
+    // RFC5322/RFC850-like dates, with any day or month name, various separators, and an optional or nonstandard zone
+    {
+        re: new RegExp('^(?:' + anyDay + '\\.?\\s*,?\\s*)?(\\d{1,2})(?:\\s*[\\s\\-\\/]\\s*)' + anyMonth
+            + '\\.?(?:\\s*[\\s\\-\\/,]\\s*)(\\d{2}|\\d{4})(?:\\s+|\\s*[T,]\\s*)' + lenientTime + lenientZone
+            + '(?:\\s.*)?$', 'i'),
+        fields: {dayName: 1, day: 2, month: 3, year: 4, hour: 5, minute: 6, second: 7, zone: 8},
+    },
+
+    // asctime()-like dates, optionally with a zone before the year (as printed by `date`)
+    {
+        re: new RegExp('^(?:' + anyDay + '\\s*,?\\s+)?' + anyMonth + '\\s+(\\d{1,2})\\s*,?\\s+' + lenientTime
+            + lenientZone + '\\s+(\\d{4})$', 'i'),
+        fields: {dayName: 1, month: 2, day: 3, hour: 4, minute: 5, second: 6, zone: 7, year: 8},
+    },
+
+    // ISO 8601 / RFC3339 dates
+    {
+        re: new RegExp('^(\\d{4})-(\\d{2})-(\\d{2})(?:T|\\s+)' + lenientTime + '\\s*(Z|[+-]\\d{2}(?::?\\d{2})?)?$',
+            'i'),
+        fields: {year: 1, month: 2, day: 3, hour: 4, minute: 5, second: 6, zone: 7},
+    },
+];
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Get the offset (in minutes) of the given zone.
+ *
+ * @param {?string} zone
+ * @param {boolean} strict
+ *
+ * @returns {?number} the offset, or `null` if the zone is invalid
+ */
+function zoneOffset(zone, strict)
+{
+    if(!zone)
+    {
+        // Only lenient formats have optional zones; assume UTC, as HTTP dates are always in GMT.
+        return 0;
+    } // end if
+
+    var match = /^([+-])(\d{2}):?(\d{2})?$/.exec(zone);
+    if(match)
+    {
+        var offset = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+        return (match[1] == '-') ? -offset : offset;
+    } // end if
+
+    zone = zone.toUpperCase();
+
+    if(zoneOffsets.hasOwnProperty(zone))
+    {
+        return zoneOffsets[zone];
+    } // end if
+
+    // From RFC5322 section 4.3: "the military time zones [...] SHOULD all be considered equivalent to "-0000" unless
+    // there is out-of-band information confirming their meaning."
+    if(/^[A-IK-Z]$/.test(zone))
+    {
+        return 0;
+    } // end if
+
+    if(strict)
+    {
+        return null;
+    } // end if
+
+    // "UTC", "Z", or a zone name we don't know; treat the latter like a military zone.
+    return 0;
+} // end zoneOffset
+
+/**
+ * Convert a 2- or 3-digit year to a 4-digit year, as described in [RFC5322 section 4.3][]:
+ *
+ * > If a two digit year is encountered whose value is between 00 and 49, the year is interpreted by adding 2000,
+ * > ending up with a value between 2000 and 2049. If a two digit year is encountered with a value between 50 and 99,
+ * > or any three digit year is encountered, the year is interpreted by adding 1900.
+ *
+ * [RFC5322 section 4.3]: https://tools.ietf.org/html/rfc5322#section-4.3 "Obsolete Date and Time"
+ *
+ * @param {string} year
+ *
+ * @returns {number}
+ */
+function fullYear(year)
+{
+    var value = parseInt(year, 10);
+
+    if(year.length == 2)
+    {
+        return value + (value < 50 ? 2000 : 1900);
+    }
+    else if(year.length == 3)
+    {
+        return value + 1900;
+    } // end if
+
+    return value;
+} // end fullYear
+
+/**
+ * Build a Date from the fields captured by one of the formats above.
+ *
+ * @param {string[]} match - the result of the format's regex
+ * @param {object} fields - the index of each field's capture group
+ * @param {boolean} strict
+ *
+ * @returns {?Date} the date, or `null` if any field is out of range
+ */
+function buildDate(match, fields, strict)
+{
+    var monthStr = match[fields.month];
+    var monthIdx = /^\d+$/.test(monthStr) ? parseInt(monthStr, 10) - 1
+        : monthNames.indexOf(monthStr.slice(0, 3).toLowerCase());
+
+    var year = fullYear(match[fields.year]);
+    var dayOfMonth = parseInt(match[fields.day], 10);
+    var hour = parseInt(match[fields.hour], 10);
+    var minute = parseInt(match[fields.minute], 10);
+    var second = parseInt(match[fields.second] || '0', 10);
+    var offset = zoneOffset(match[fields.zone], strict);
+
+    if(offset === null || monthIdx < 0 || monthIdx > 11 || hour > 23 || minute > 59 || second > 60)
+    {
+        return null;
+    } // end if
+
+    // Leap seconds can't be represented by Date.
+    second = Math.min(second, 59);
+
+    var time = Date.UTC(year, monthIdx, dayOfMonth, hour, minute, second);
+    var local = new Date(time);
+
+    // Reject days that don't exist in the given month (e.g. 31 Apr).
+    if(local.getUTCDate() != dayOfMonth || year < 100)
+    {
+        return null;
+    } // end if
+
+    // From RFC5322 section 3.3: "the day-of-week (if included) MUST be the day implied by the date"
+    var dayName = match[fields.dayName];
+    if(strict && dayName && dayNames[local.getUTCDay()] != dayName.slice(0, 3).toLowerCase())
+    {
+        return null;
+    } // end if
+
+    return new Date(time - offset * 60 * 1000);
+} // end buildDate
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Parse a date-time field body.
+ *
+ * In **strict** mode, the following formats are accepted:
+ *
+ * - RFC5322 "date-time" ([RFC5322 section 3.3][]), including the obsolete 2- and 3-digit years and zone names (`UT`,
+ *   `GMT`, `EST`, `PDT`, military zones, etc.) from [RFC5322 section 4.3][]; this includes the IMF-fixdate format
+ *   (`Sun, 06 Nov 1994 08:49:37 GMT`) preferred by [RFC7231 section 7.1.1.1][]
+ * - the obsolete RFC850 format (`Sunday, 06-Nov-94 08:49:37 GMT`) from [RFC7231 section 7.1.1.1][]
+ * - the ANSI C `asctime()` format (`Sun Nov  6 08:49:37 1994`) from [RFC7231 section 7.1.1.1][]
+ *
+ * Comments (as in `Tue, 1 Jul 2003 10:52:37 +0200 (CEST)`) are ignored. Dates with out-of-range fields, or a day of the
+ * week that doesn't match the date, are rejected by throwing an error.
+ *
+ * In **lenient** mode, common malformed variants are accepted as well: full or abbreviated day and month names in any
+ * case, a missing comma, `-` or `/` separators, 2- or 4-digit years in any format, missing seconds, fractional seconds,
+ * `+hh:mm` or `+hh` zones, `UTC`, `Z`, unknown zone names (treated as UTC), a missing zone (assumed to be UTC), text
+ * after the zone, a zone before the year in `asctime()`-like dates, and ISO 8601 dates. A mismatched day of the week is
+ * ignored. If the date still can't be parsed, `null` is returned.
+ *
+ * Two-digit years are interpreted as described in [RFC5322 section 4.3][], for every format. Military zones, and
+ * unknown zones in **lenient** mode, are treated as `-0000`, as recommended by [RFC5322 section 4.3][].
+ *
+ * [RFC5322 section 3.3]: https://tools.ietf.org/html/rfc5322#section-3.3 "Date and Time Specification"
+ * [RFC5322 section 4.3]: https://tools.ietf.org/html/rfc5322#section-4.3 "Obsolete Date and Time"
+ * [RFC7231 section 7.1.1.1]: https://tools.ietf.org/html/rfc7231#section-7.1.1.1 "Date/Time Formats"
+ *
+ * @param {(string|Buffer)} data - the field body
+ * @param {GeneralOptions} options
+ *
+ * @returns {?Date} the parsed date (or, in **lenient** mode, `null` if it couldn't be parsed)
+ */
+function parseDate(data, options)
+{
+    options = options || {};
+    var strict = isStrict(options);
+
+    var original = data.toString();
+
+    // Remove comments (which may be nested), and collapse whitespace.
+    var str = stripComments(original).replace(/\s+/g, ' ').trim();
+
+    var formats = strict ? strictFormats : strictFormats.concat(lenientFormats);
+
+    for(var idx = 0; idx < formats.length; idx++)
+    {
+        var match = formats[idx].re.exec(str);
+        if(match)
+        {
+            var date = buildDate(match, formats[idx].fields, strict);
+            if(date)
+            {
+                return date;
+            } // end if
+        } // end if
+    } // end for
+
+    if(strict)
+    {
+        throw new Error(util.format("Invalid date: %j", original));
+    } // end if
+
+    return null;
+} // end parseDate
+
+/**
+ * The value parsers used by `parseHeaders()` when its `valueParsers` option is `true`, keyed by lowercased field name.
+ *
+ * @type {Object.<string, function>}
+ */
+var defaultValueParsers = {
+    'date': parseDate,
+    'expires': parseDate,
+    'last-modified': parseDate,
+    'resent-date': parseDate,
+    'if-modified-since': parseDate,
+    'if-unmodified-since': parseDate,
+};
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    parseDate: parseDate,
+    defaultValueParsers: defaultValueParsers,
+};
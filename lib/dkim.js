@@ -0,0 +1,208 @@
+//---------------------------------------------------------------------------------------------------------------------
+// DKIM canonicalization of header fields and bodies, as defined by RFC6376.
+//
+// @module header-parse/lib/dkim
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var headerParse = require('../header-parse');
+
+//---------------------------------------------------------------------------------------------------------------------
+
+var algorithms = ['simple', 'relaxed'];
+
+// DKIM canonicalization works on the message as it appears on the wire, so folds are always `\r\n`.
+var strictOptions = {strict: true};
+
+function checkAlgorithm(algorithm)
+{
+    if(algorithms.indexOf(algorithm) == -1)
+    {
+        throw new Error(util.format("Unknown canonicalization algorithm: %j", algorithm));
+    } // end if
+} // end checkAlgorithm
+
+/**
+ * Canonicalize a field node of a `HeaderDocument`, with the given field body in place of its own.
+ *
+ * The **simple** algorithm must reproduce the field exactly, so the text between the field name and its body (the
+ * colon, and any whitespace before it) is taken from the node's `raw` text rather than rebuilt.
+ *
+ * @private
+ */
+function canonicalizeNode(node, rawValue, algorithm)
+{
+    if(algorithm == 'simple')
+    {
+        var text = node.raw.replace(/\r?\n$/, '');
+        return text.slice(0, text.length - node.rawValue.length) + rawValue;
+    } // end if
+
+    return canonicalizeHeader(node.name, rawValue, algorithm);
+} // end canonicalizeNode
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Canonicalize a single header field, as described by [RFC6376 section 3.4.1][] and [3.4.2][RFC6376 section 3.4.2].
+ *
+ * The **simple** algorithm leaves the field unchanged. The **relaxed** algorithm lowercases the field name, unfolds
+ * the field body (see `unfold()`), collapses each run of whitespace to a single space and removes the whitespace
+ * around the colon (see `collapse()`).
+ *
+ * The result does not include the field's final newline; each field included in a signature is followed by `\r\n`
+ * (see `canonicalizeSignedHeaders()`), except for the `DKIM-Signature` field itself.
+ *
+ * [RFC6376 section 3.4.1]: https://tools.ietf.org/html/rfc6376#section-3.4.1 "The \"simple\" Header Canonicalization
+ *          Algorithm"
+ * [RFC6376 section 3.4.2]: https://tools.ietf.org/html/rfc6376#section-3.4.2 "The \"relaxed\" Header
+ *          Canonicalization Algorithm"
+ *
+ * @param {string} name - the field name, exactly as it appears in the message
+ * @param {string} rawValue - the unprocessed field body (everything after the colon, including any folds), without the
+ *          final newline
+ * @param {string} algorithm - `'simple'` or `'relaxed'`
+ *
+ * @returns {string} the canonicalized field
+ */
+function canonicalizeHeader(name, rawValue, algorithm)
+{
+    checkAlgorithm(algorithm);
+
+    if(algorithm == 'simple')
+    {
+        return name + ':' + rawValue;
+    } // end if
+
+    var value = headerParse.collapse(headerParse.unfold(rawValue, strictOptions), strictOptions);
+
+    return name.toLowerCase().replace(/[ \t]+$/, '') + ':' + value;
+} // end canonicalizeHeader
+
+/**
+ * Canonicalize a message body, as described by [RFC6376 section 3.4.3][] and [3.4.4][RFC6376 section 3.4.4].
+ *
+ * Both algorithms remove any empty lines at the end of the body, and end a non-empty body with `\r\n`. The **simple**
+ * algorithm turns an empty body into a single `\r\n`, and leaves everything else unchanged. The **relaxed** algorithm
+ * also removes whitespace at the end of each line, and collapses each run of whitespace within a line to a single
+ * space.
+ *
+ * [RFC6376 section 3.4.3]: https://tools.ietf.org/html/rfc6376#section-3.4.3 "The \"simple\" Body Canonicalization
+ *          Algorithm"
+ * [RFC6376 section 3.4.4]: https://tools.ietf.org/html/rfc6376#section-3.4.4 "The \"relaxed\" Body Canonicalization
+ *          Algorithm"
+ *
+ * @param {(string|Buffer)} body - the body, with `\r\n` newlines
+ * @param {string} algorithm - `'simple'` or `'relaxed'`
+ *
+ * @returns {string} the canonicalized body
+ */
+function canonicalizeBody(body, algorithm)
+{
+    checkAlgorithm(algorithm);
+
+    body = (body === undefined || body === null) ? '' : body.toString();
+
+    if(algorithm == 'relaxed')
+    {
+        // Each run of whitespace is matched once, whether or not it ends a line, so long runs don't cause backtracking.
+        body = body.replace(/[ \t]+/g, function(whitespace, offset, data)
+        {
+            var next = offset + whitespace.length;
+            return (next == data.length || data.substr(next, 2) == '\r\n') ? '' : ' ';
+        });
+    } // end if
+
+    // Strip the empty lines at the end by walking back from the end, rather than with a regex that would rescan every
+    // run of CRLFs in the body.
+    var end = body.length;
+    while(end >= 2 && body.slice(end - 2, end) == '\r\n')
+    {
+        end -= 2;
+    } // end while
+    body = body.slice(0, end);
+
+    if(body === '')
+    {
+        return (algorithm == 'simple') ? '\r\n' : '';
+    } // end if
+
+    return body + '\r\n';
+} // end canonicalizeBody
+
+/**
+ * Build the canonicalized header fields that a DKIM signature covers, in the order given by its `h=` tag, as
+ * described by [RFC6376 section 5.4.2][].
+ *
+ * If a field name is listed more than once, its occurrences are used from the bottom of the header block up; names
+ * listed more times than the field occurs (or names of fields that aren't present) are skipped, so a signature can
+ * "over-sign" fields to prevent more occurrences from being added.
+ *
+ * To sign or verify a signature, pass its `DKIM-Signature` field as `signatureField`; it is added at the end, without
+ * the value of its `b=` tag and without a final newline, as described by [RFC6376 section 3.7][].
+ *
+ * With the **simple** algorithm, each field is taken byte for byte from the node's `raw` text. Fields are only found
+ * if `document` was parsed with a dialect that accepts them: a field with whitespace between its name and colon (like
+ * `B : Y` in the example of [RFC6376 section 3.4.5][]) is not a field in the **strict** or **lenient** dialects, so
+ * parse such messages with a dialect defined with `whitespaceBeforeSeparator` (see `defineDialect()`).
+ *
+ * [RFC6376 section 3.4.5]: https://tools.ietf.org/html/rfc6376#section-3.4.5 "Canonicalization Examples"
+ * [RFC6376 section 3.7]: https://tools.ietf.org/html/rfc6376#section-3.7 "Computing the Message Hashes"
+ * [RFC6376 section 5.4.2]: https://tools.ietf.org/html/rfc6376#section-5.4.2 "Signatures Involving Multiple Instances
+ *          of a Field"
+ *
+ * @param {HeaderDocument} document - the message
+ * @param {(string|string[])} fieldNames - the field names to include (case-insensitive), either as a list or as the
+ *          value of an `h=` tag (names separated by colons, optionally surrounded by whitespace)
+ * @param {string} algorithm - `'simple'` or `'relaxed'`
+ * @param {?HeaderNode} signatureField - the `DKIM-Signature` field being signed or verified
+ *
+ * @returns {string} the canonicalized header fields
+ */
+function canonicalizeSignedHeaders(document, fieldNames, algorithm, signatureField)
+{
+    checkAlgorithm(algorithm);
+
+    if(!Array.isArray(fieldNames))
+    {
+        fieldNames = headerParse.unfold(fieldNames, strictOptions).split(':').map(function(name)
+        {
+            return name.trim();
+        });
+    } // end if
+
+    // Keyed by lowercased field name, which may be anything (including `constructor` or `__proto__`).
+    var used = Object.create(null);
+    var result = fieldNames.map(function(name)
+    {
+        var key = name.toLowerCase();
+        var occurrences = document.nodes.filter(function(node)
+        {
+            return node.type == 'field' && node.name.toLowerCase() == key;
+        });
+
+        used[key] = (used[key] || 0) + 1;
+
+        var node = occurrences[occurrences.length - used[key]];
+        return node ? canonicalizeNode(node, node.rawValue, algorithm) + '\r\n' : '';
+    }).join('');
+
+    if(signatureField)
+    {
+        // Empty the `b=` tag (but not `bh=`), keeping everything around it.
+        var rawValue = signatureField.rawValue.replace(/(^|;)([ \t\r\n]*b[ \t\r\n]*=)[^;]*/, '$1$2');
+
+        result += canonicalizeNode(signatureField, rawValue, algorithm);
+    } // end if
+
+    return result;
+} // end canonicalizeSignedHeaders
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    canonicalizeHeader: canonicalizeHeader,
+    canonicalizeBody: canonicalizeBody,
+    canonicalizeSignedHeaders: canonicalizeSignedHeaders,
+};
@@ -0,0 +1,325 @@
+//---------------------------------------------------------------------------------------------------------------------
+// A lossless model of a document's header block, for editing fields without disturbing the rest of the document.
+//
+// @module header-parse/lib/document
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var headerParse = require('../header-parse');
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * A node of a `HeaderDocument`: either a field, or a line (or lines) of the header block which isn't part of a field
+ * (such as a line skipped in **lenient** mode).
+ *
+ * @typedef {object} HeaderNode
+ *
+ * @property {string} type - `'field'` or `'other'`
+ * @property {string} raw - the exact text of the node, including its final newline
+ * @property {?string} name - for fields, the field name, as it appears in `raw`
+ * @property {?string} rawValue - for fields, the unprocessed field body (everything after the colon, including any
+ *          folds), without the final newline
+ */
+
+/**
+ * Options for the `HeaderDocument` constructor.
+ *
+ * @typedef {object} HeaderDocumentOptions
+ * @extends GeneralOptions
+ *
+ * @property {?number} foldWidth - the line length at which to fold the bodies of fields added or changed by editing
+ *          (default: 78); `0` to disable folding (see `formatHeaders()`)
+ */
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * A document (a header block and a body) which keeps every byte of the original: the raw text of each field, with its
+ * original folding, whitespace, field name spelling and order, as well as any lines that aren't fields.
+ *
+ * Fields can be changed with `set()`, `insertBefore()`, `append()` and `remove()`. Only the fields which are added or
+ * changed are (re)formatted, using `formatHeaders()` and the document's newline style; `toString()` reproduces
+ * everything else exactly as it was.
+ *
+ * Field names are looked up case-insensitively. Values returned by `get()` and `getAll()` are processed as by
+ * `parseHeaders()` with its default options.
+ *
+ * @param {?(string|Buffer)} data - the document to parse; Buffers are decoded as UTF-8. If the data doesn't start
+ *          with a header block, the whole of it is the body.
+ * @param {HeaderDocumentOptions} options
+ *
+ * @constructor
+ */
+function HeaderDocument(data, options)
+{
+    this.options = options || {};
+    this.dialect = headerParse.getDialect(this.options);
+
+    /**
+     * The nodes of the header block, in order.
+     *
+     * @type {HeaderNode[]}
+     */
+    this.nodes = [];
+
+    /**
+     * The null line which ends the header block (`''` if there is no header block).
+     *
+     * @type {string}
+     */
+    this.nullLine = '';
+
+    /**
+     * The body of the document.
+     *
+     * @type {string}
+     */
+    this.body = '';
+
+    /**
+     * The newline used for fields added or changed by editing: the first newline in the header block, or the dialect's
+     * newline if there is none.
+     *
+     * @type {string}
+     */
+    this.newline = this.dialect.newline;
+
+    if(data !== undefined && data !== null)
+    {
+        this._parse(data.toString());
+    } // end if
+} // end HeaderDocument
+
+/**
+ * Get the (processed) value of the given field. If the field occurs more than once, the value of the last occurrence
+ * is returned, matching the default behavior of `parseHeaders()`.
+ *
+ * @param {string} name
+ *
+ * @returns {?string} the field's value, or `undefined` if the field is not present
+ */
+HeaderDocument.prototype.get = function(name)
+{
+    var values = this.getAll(name);
+    return values[values.length - 1];
+}; // end get
+
+/**
+ * Get the (processed) values of every occurrence of the given field, in order.
+ *
+ * @param {string} name
+ *
+ * @returns {string[]} the field's values (empty if the field is not present)
+ */
+HeaderDocument.prototype.getAll = function(name)
+{
+    return this._fieldNodes(name).map(function(node)
+    {
+        return headerParse.collapse(node.rawValue, this.options);
+    }, this);
+}; // end getAll
+
+/**
+ * Check whether the given field is present.
+ *
+ * @param {string} name
+ *
+ * @returns {boolean}
+ */
+HeaderDocument.prototype.has = function(name)
+{
+    return this._fieldNodes(name).length > 0;
+}; // end has
+
+/**
+ * Set the value of the given field, replacing any existing occurrences. The new value takes the place of the first
+ * existing occurrence, keeping its field name spelling and the whitespace after its colon; if the field is not
+ * present, it is appended.
+ *
+ * @param {string} name
+ * @param {string} value
+ *
+ * @returns {HeaderDocument} this document
+ */
+HeaderDocument.prototype.set = function(name, value)
+{
+    var existing = this._fieldNodes(name);
+    if(existing.length === 0)
+    {
+        return this.append(name, value);
+    } // end if
+
+    var first = existing[0];
+    var separatorEnd = first.raw.indexOf(this.dialect.scanner.separator, first.name.length) + 1;
+    var separator = first.raw.slice(first.name.length, separatorEnd) + /^[ \t]*/.exec(first.rawValue)[0];
+    var node = this._makeField(first.name, value, separator);
+
+    this.nodes = this.nodes.filter(function(other)
+    {
+        return other == first || existing.indexOf(other) == -1;
+    });
+    this.nodes[this.nodes.indexOf(first)] = node;
+
+    return this;
+}; // end set
+
+/**
+ * Insert a new occurrence of a field before the first occurrence of another field.
+ *
+ * @param {string} refName - the name of the field before which to insert the new field
+ * @param {string} name
+ * @param {string} value
+ *
+ * @returns {HeaderDocument} this document
+ */
+HeaderDocument.prototype.insertBefore = function(refName, name, value)
+{
+    var ref = this._fieldNodes(refName)[0];
+    if(!ref)
+    {
+        throw new Error(util.format("Field not found: %j", refName));
+    } // end if
+
+    this.nodes.splice(this.nodes.indexOf(ref), 0, this._makeField(name, value));
+
+    return this;
+}; // end insertBefore
+
+/**
+ * Add a new occurrence of a field at the end of the header block.
+ *
+ * @param {string} name
+ * @param {string} value
+ *
+ * @returns {HeaderDocument} this document
+ */
+HeaderDocument.prototype.append = function(name, value)
+{
+    this.nodes.push(this._makeField(name, value));
+
+    return this;
+}; // end append
+
+/**
+ * Remove every occurrence of the given field.
+ *
+ * @param {string} name
+ *
+ * @returns {boolean} `true` if the field was present
+ */
+HeaderDocument.prototype.remove = function(name)
+{
+    var existing = this._fieldNodes(name);
+
+    this.nodes = this.nodes.filter(function(node) { return existing.indexOf(node) == -1; });
+
+    return existing.length > 0;
+}; // end remove
+
+/**
+ * Re-serialize the document. Everything that hasn't been edited is reproduced exactly.
+ *
+ * @returns {string}
+ */
+HeaderDocument.prototype.toString = function()
+{
+    return this.nodes.map(function(node) { return node.raw; }).join('') + this.nullLine + this.body;
+}; // end toString
+
+HeaderDocument.prototype._parse = function(data)
+{
+    var scanner = this.dialect.scanner;
+
+    var block = scanner.headerBlock(data);
+    if(!block)
+    {
+        this.body = data;
+        return;
+    } // end if
+
+    var headerBlock = block.headerBlock;
+    this.nullLine = data.slice(headerBlock.length, block.length);
+    this.body = data.slice(block.length);
+
+    var newlineMatch = /\r?\n/.exec(data.slice(0, block.length));
+    if(newlineMatch)
+    {
+        this.newline = newlineMatch[0];
+    } // end if
+
+    var pos = 0;
+    var field = scanner.nextField(headerBlock, 0);
+    while(field)
+    {
+        if(field.index > pos)
+        {
+            this.nodes.push({type: 'other', raw: headerBlock.slice(pos, field.index)});
+        } // end if
+
+        // Include the field's newline in its node, so that removing the field removes its line completely.
+        var newline = /^\r?\n/.exec(headerBlock.slice(field.end, field.end + 2));
+        pos = field.end + (newline ? newline[0].length : 0);
+
+        this.nodes.push({
+            type: 'field',
+            raw: headerBlock.slice(field.index, pos),
+            name: field.name,
+            rawValue: field.value,
+        });
+
+        field = scanner.nextField(headerBlock, pos);
+    } // end while
+
+    if(pos < headerBlock.length)
+    {
+        this.nodes.push({type: 'other', raw: headerBlock.slice(pos)});
+    } // end if
+}; // end _parse
+
+HeaderDocument.prototype._fieldNodes = function(name)
+{
+    var key = String(name).toLowerCase();
+
+    return this.nodes.filter(function(node)
+    {
+        return node.type == 'field' && node.name.toLowerCase() == key;
+    });
+}; // end _fieldNodes
+
+HeaderDocument.prototype._makeField = function(name, value, separator)
+{
+    var dialectNewline = this.dialect.newline;
+    var formatOptions = {dialect: this.dialect, foldWidth: this.options.foldWidth};
+
+    // `formatHeaders()` validates the field, and folds it if necessary.
+    var raw = headerParse.formatHeaders([{name: name, value: value}], formatOptions)
+        .split(dialectNewline).join(this.newline);
+
+    if(separator !== undefined)
+    {
+        raw = name + separator + raw.slice(name.length + 2);
+    } // end if
+
+    // The field body starts after the separator, which (in dialects that allow whitespace before it) may not directly
+    // follow the field name.
+    var valueStart = raw.indexOf(this.dialect.scanner.separator, name.length) + 1;
+
+    if(this.nullLine === '')
+    {
+        // This document didn't have a header block; it needs a null line to separate the new one from the body.
+        this.nullLine = this.newline;
+    } // end if
+
+    return {
+        type: 'field',
+        raw: raw,
+        name: name,
+        rawValue: raw.slice(valueStart, -this.newline.length),
+    };
+}; // end _makeField
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = HeaderDocument;
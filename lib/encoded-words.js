@@ -0,0 +1,214 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Decoding of RFC 2047 "encoded-words" in header field bodies.
+//
+// @module header-parse/lib/encoded-words
+//---------------------------------------------------------------------------------------------------------------------
+
+var TextDecoder = require('util').TextDecoder;
+
+var decodeSingleByte = require('./charsets').decodeSingleByte;
+var isStrict = require('./modes').isStrict;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Matches an encoded-word, as defined in [RFC2047 section 2][], capturing the charset, encoding and encoded-text. Any
+ * language tag (as allowed by [RFC2231 section 5][]) is matched, but not captured.
+ *
+ * [RFC2047 section 2]: https://tools.ietf.org/html/rfc2047#section-2 "Syntax of encoded-words"
+ * [RFC2231 section 5]: https://tools.ietf.org/html/rfc2231#section-5 "Language specification in Encoded Words"
+ */
+var encodedWordRE = /=\?([^?\s*]+)(?:\*[^?\s]*)?\?([BbQq])\?([^?\s]*)\?=/g;
+
+var strictBase64RE = /^(?:[A-Za-z0-9+\/]{4})*(?:[A-Za-z0-9+\/]{2}==|[A-Za-z0-9+\/]{3}=)?$/;
+var strictQRE = /^(?:[!-<>@-~]|=[0-9A-F]{2})*$/;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Decode the encoded-text of an encoded-word to bytes.
+ *
+ * @param {string} encoding - `B` or `Q` (case-insensitive)
+ * @param {string} text - the encoded-text
+ * @param {boolean} strict
+ *
+ * @returns {?Buffer} the decoded bytes, or `null` if the encoded-text is invalid
+ */
+function decodeText(encoding, text, strict)
+{
+    if(encoding.toUpperCase() == 'B')
+    {
+        if(strict && !strictBase64RE.test(text))
+        {
+            return null;
+        } // end if
+
+        return Buffer.from(text, 'base64');
+    } // end if
+
+    if(strict && !strictQRE.test(text))
+    {
+        return null;
+    } // end if
+
+    // From RFC2047 section 4.2: "The 8-bit hexadecimal value 20 (e.g., ISO-8859-1 SPACE) may be represented as "_"
+    // (underscore, ASCII 95.)"
+    text = text.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, function(m, hex)
+    {
+        return String.fromCharCode(parseInt(hex, 16));
+    });
+
+    return Buffer.from(text, 'latin1');
+} // end decodeText
+
+/**
+ * Decode bytes in the given charset.
+ *
+ * @param {Buffer} bytes
+ * @param {string} charset
+ *
+ * @returns {?string} the decoded string, or `null` if the charset is not supported
+ */
+function decodeCharset(bytes, charset)
+{
+    charset = charset.toLowerCase();
+
+    switch(charset)
+    {
+        case 'utf-8':
+        case 'utf8':
+            return bytes.toString('utf8');
+
+        case 'us-ascii':
+        case 'ascii':
+        case 'iso-8859-1':
+        case 'latin1':
+            return bytes.toString('latin1');
+    } // end switch
+
+    var decoded = decodeSingleByte(bytes, charset);
+    if(decoded !== null)
+    {
+        return decoded;
+    } // end if
+
+    try
+    {
+        return new TextDecoder(charset).decode(bytes);
+    }
+    catch(exc)
+    {
+        return null;
+    } // end try
+} // end decodeCharset
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Decode all RFC 2047 encoded-words in the given data.
+ *
+ * From [RFC2047 section 2][]:
+ * > An 'encoded-word' is defined by the following ABNF grammar. [...]
+ * >
+ * >     encoded-word = "=?" charset "?" encoding "?" encoded-text "?="
+ *
+ * Both the "B" (base64) and "Q" (quoted-printable-like) encodings are supported. UTF-8, US-ASCII, ISO-8859-x and
+ * Windows-125x are always supported (see `lib/charsets.js`); other charsets (such as Shift_JIS or KOI8-R) are
+ * supported if the JavaScript runtime's `TextDecoder` supports them, which in Node.js needs full ICU. Encoded-words in
+ * unsupported charsets are left as-is.
+ *
+ * From [RFC2047 section 6.2][]:
+ * > When displaying a particular header field that contains multiple 'encoded-word's, any 'linear-white-space' that
+ * > separates a pair of adjacent 'encoded-word's is ignored.
+ *
+ * Adjacent encoded-words in the same charset are decoded together, so multibyte characters split between them are
+ * decoded correctly.
+ *
+ * In **strict** mode, encoded-words are only decoded if they are separated from surrounding text by whitespace (or the
+ * parentheses of a comment), are no more than 75 characters long, and contain valid encoded-text; others are left
+ * as-is.
+ * In **lenient** mode, encoded-words are decoded wherever they appear, regardless of length, and invalid encoded-text
+ * is decoded as well as possible.
+ *
+ * [RFC2047 section 2]: https://tools.ietf.org/html/rfc2047#section-2 "Syntax of encoded-words"
+ * [RFC2047 section 6.2]: https://tools.ietf.org/html/rfc2047#section-6.2 "Display of 'encoded-word's"
+ *
+ * @param {(string|Buffer)} data
+ * @param {GeneralOptions} options
+ *
+ * @returns {string} decoded data
+ */
+function decodeWords(data, options)
+{
+    options = options || {};
+    var strict = isStrict(options);
+
+    data = data.toString();
+
+    // Find all decodable encoded-words.
+    var words = [];
+    var match;
+
+    encodedWordRE.lastIndex = 0;
+    while((match = encodedWordRE.exec(data)))
+    {
+        var start = match.index;
+        var end = start + match[0].length;
+
+        if(strict && (match[0].length > 75 || /[^\s(]/.test(data.charAt(start - 1)) || /[^\s)]/.test(data.charAt(end))))
+        {
+            continue;
+        } // end if
+
+        var bytes = decodeText(match[2], match[3], strict);
+        if(bytes)
+        {
+            words.push({start: start, end: end, charset: match[1], bytes: bytes});
+        } // end if
+    } // end while
+
+    // Group runs of adjacent encoded-words in the same charset, which are only separated by whitespace.
+    var groups = [];
+    words.forEach(function(word)
+    {
+        var group = groups[groups.length - 1];
+        if(group && group.charset.toLowerCase() == word.charset.toLowerCase()
+            && /^\s*$/.test(data.slice(group.end, word.start)))
+        {
+            group.bytes.push(word.bytes);
+            group.end = word.end;
+        }
+        else
+        {
+            groups.push({start: word.start, end: word.end, charset: word.charset, bytes: [word.bytes]});
+        } // end if
+    });
+
+    // Decode each group, dropping whitespace between adjacent decoded groups.
+    var result = '';
+    var lastEnd = 0, lastDecoded = false;
+    groups.forEach(function(group)
+    {
+        var decoded = decodeCharset(Buffer.concat(group.bytes), group.charset);
+        var between = data.slice(lastEnd, group.start);
+
+        if(!(decoded !== null && lastDecoded && /^\s*$/.test(between)))
+        {
+            result += between;
+        } // end if
+
+        result += (decoded === null) ? data.slice(group.start, group.end) : decoded;
+
+        lastEnd = group.end;
+        lastDecoded = decoded !== null;
+    });
+
+    return result + data.slice(lastEnd);
+} // end decodeWords
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    decodeWords: decodeWords,
+    decodeCharset: decodeCharset,
+};
@@ -0,0 +1,113 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Errors thrown when a header block exceeds one of the configured size limits.
+//
+// @module header-parse/lib/errors
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * The base type of the errors thrown when a header block exceeds one of the size limits set by the
+ * `maxHeaderBlockSize`, `maxFields`, `maxLineLength` and `maxValueLength` options.
+ *
+ * @param {string} limit - the name of the option which set the limit (e.g. `'maxFields'`)
+ * @param {number} max - the value of the limit
+ * @param {string} message
+ *
+ * @constructor
+ * @extends Error
+ */
+function HeaderLimitError(limit, max, message)
+{
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+
+    this.name = this.constructor.name;
+    this.message = message;
+    this.limit = limit;
+    this.max = max;
+} // end HeaderLimitError
+
+util.inherits(HeaderLimitError, Error);
+
+/**
+ * Thrown when a header block is longer than `maxHeaderBlockSize` characters.
+ *
+ * @param {number} max - the value of the limit
+ *
+ * @constructor
+ * @extends HeaderLimitError
+ */
+function HeaderBlockSizeError(max)
+{
+    HeaderLimitError.call(this, 'maxHeaderBlockSize', max,
+        util.format("Header block is larger than the limit! (maxHeaderBlockSize: %d)", max));
+} // end HeaderBlockSizeError
+
+util.inherits(HeaderBlockSizeError, HeaderLimitError);
+
+/**
+ * Thrown when a header block has more than `maxFields` fields.
+ *
+ * @param {number} max - the value of the limit
+ *
+ * @constructor
+ * @extends HeaderLimitError
+ */
+function FieldCountError(max)
+{
+    HeaderLimitError.call(this, 'maxFields', max,
+        util.format("Header block has more fields than the limit! (maxFields: %d)", max));
+} // end FieldCountError
+
+util.inherits(FieldCountError, HeaderLimitError);
+
+/**
+ * Thrown when a line of a header block is longer than `maxLineLength` characters.
+ *
+ * @param {number} max - the value of the limit
+ * @param {number} line - the (1-based) number of the offending line
+ *
+ * @constructor
+ * @extends HeaderLimitError
+ */
+function LineLengthError(max, line)
+{
+    HeaderLimitError.call(this, 'maxLineLength', max,
+        util.format("Line %d of the header block is longer than the limit! (maxLineLength: %d)", line, max));
+
+    this.line = line;
+} // end LineLengthError
+
+util.inherits(LineLengthError, HeaderLimitError);
+
+/**
+ * Thrown when the body of a field (including any folds) is longer than `maxValueLength` characters.
+ *
+ * @param {number} max - the value of the limit
+ * @param {string} fieldName - the name of the offending field
+ *
+ * @constructor
+ * @extends HeaderLimitError
+ */
+function ValueLengthError(max, fieldName)
+{
+    HeaderLimitError.call(this, 'maxValueLength', max,
+        util.format("Body of field %j is longer than the limit! (maxValueLength: %d)", fieldName, max));
+
+    this.fieldName = fieldName;
+} // end ValueLengthError
+
+util.inherits(ValueLengthError, HeaderLimitError);
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    HeaderLimitError: HeaderLimitError,
+    HeaderBlockSizeError: HeaderBlockSizeError,
+    FieldCountError: FieldCountError,
+    LineLengthError: LineLengthError,
+    ValueLengthError: ValueLengthError,
+};
@@ -0,0 +1,24 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Helpers for building plain objects keyed by field name.
+//
+// @module header-parse/lib/fields
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Set a field on a plain object keyed by field name (such as parsed headers, or one of the dialect registries) as an
+ * ordinary own property, even if its name is `__proto__` or shadows an `Object.prototype` method.
+ *
+ * @param {object} headers
+ * @param {string} name
+ * @param {*} value
+ */
+function setField(headers, name, value)
+{
+    Object.defineProperty(headers, name, {value: value, writable: true, enumerable: true, configurable: true});
+} // end setField
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    setField: setField,
+};
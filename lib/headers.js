@@ -0,0 +1,307 @@
+//---------------------------------------------------------------------------------------------------------------------
+// A case-insensitive, order-preserving collection of header fields.
+//
+// @module header-parse/lib/headers
+//---------------------------------------------------------------------------------------------------------------------
+
+var setField = require('./fields').setField;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Options for the `Headers` constructor.
+ *
+ * @typedef {object} HeadersOptions
+ *
+ * @property {?boolean} canonicalize - `true` to store field names in canonical form (e.g. `content-type` becomes
+ *          `Content-Type`) instead of preserving their original spelling
+ */
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Convert a field name to its canonical form, capitalizing the first letter of each hyphen-separated word and
+ * lowercasing the rest. (e.g., `content-TYPE` becomes `Content-Type`)
+ *
+ * @param {string} name
+ *
+ * @returns {string} canonical field name
+ */
+function canonicalizeName(name)
+{
+    return String(name).toLowerCase().replace(/(^|-)([a-z])/g, function(m, sep, letter)
+    {
+        return sep + letter.toUpperCase();
+    });
+} // end canonicalizeName
+
+/**
+ * A collection of header fields, looked up case-insensitively.
+ *
+ * Every occurrence of every field is kept, in the order in which they were added; each occurrence keeps the spelling
+ * of its field name (unless the `canonicalize` option is set), so the collection can be written back out as it was
+ * read.
+ *
+ * @param {?(Headers|HeaderEntry[]|Object.<string, (string|string[])>)} init - initial fields to add
+ * @param {HeadersOptions} options
+ *
+ * @constructor
+ */
+function Headers(init, options)
+{
+    options = options || {};
+
+    this.canonicalize = !!options.canonicalize;
+    this._entries = [];
+
+    if(init instanceof Headers)
+    {
+        init = init.toList();
+    } // end if
+
+    if(Array.isArray(init))
+    {
+        init.forEach(function(entry)
+        {
+            this.append(entry.name, entry.value);
+        }, this);
+    }
+    else if(init)
+    {
+        Object.keys(init).forEach(function(name)
+        {
+            [].concat(init[name]).forEach(function(value)
+            {
+                this.append(name, value);
+            }, this);
+        }, this);
+    } // end if
+} // end Headers
+
+Headers.canonicalizeName = canonicalizeName;
+
+/**
+ * The number of field occurrences in the collection.
+ *
+ * @name Headers#length
+ * @type {number}
+ */
+Object.defineProperty(Headers.prototype, 'length', {
+    get: function()
+    {
+        return this._entries.length;
+    }
+});
+
+/**
+ * Get the value of the given field. If the field occurs more than once, the value of the last occurrence is returned,
+ * matching the default behavior of `parseHeaders()`.
+ *
+ * @param {string} name
+ *
+ * @returns {?string} the field's value, or `undefined` if the field is not present
+ */
+Headers.prototype.get = function(name)
+{
+    var values = this.getAll(name);
+    return values[values.length - 1];
+}; // end get
+
+/**
+ * Get the values of every occurrence of the given field, in order.
+ *
+ * @param {string} name
+ *
+ * @returns {string[]} the field's values (empty if the field is not present)
+ */
+Headers.prototype.getAll = function(name)
+{
+    var key = String(name).toLowerCase();
+
+    return this._entries
+        .filter(function(entry) { return entry.key == key; })
+        .map(function(entry) { return entry.value; });
+}; // end getAll
+
+/**
+ * Check whether the given field is present.
+ *
+ * @param {string} name
+ *
+ * @returns {boolean}
+ */
+Headers.prototype.has = function(name)
+{
+    var key = String(name).toLowerCase();
+
+    return this._entries.some(function(entry) { return entry.key == key; });
+}; // end has
+
+/**
+ * Set the value of the given field, replacing any existing occurrences. The new value takes the place of the first
+ * existing occurrence; if the field is not present, it is appended.
+ *
+ * @param {string} name
+ * @param {string} value
+ *
+ * @returns {Headers} this collection
+ */
+Headers.prototype.set = function(name, value)
+{
+    var key = String(name).toLowerCase();
+    var index = -1;
+
+    this._entries = this._entries.filter(function(entry, idx)
+    {
+        if(entry.key == key)
+        {
+            if(index == -1)
+            {
+                index = idx;
+                return true;
+            } // end if
+
+            return false;
+        } // end if
+
+        return true;
+    });
+
+    if(index == -1)
+    {
+        return this.append(name, value);
+    } // end if
+
+    this._entries[index] = this._makeEntry(name, value);
+
+    return this;
+}; // end set
+
+/**
+ * Add a new occurrence of the given field after all existing fields.
+ *
+ * @param {string} name
+ * @param {string} value
+ *
+ * @returns {Headers} this collection
+ */
+Headers.prototype.append = function(name, value)
+{
+    this._entries.push(this._makeEntry(name, value));
+
+    return this;
+}; // end append
+
+/**
+ * Remove every occurrence of the given field.
+ *
+ * @param {string} name
+ *
+ * @returns {boolean} `true` if the field was present
+ */
+Headers.prototype.delete = function(name)
+{
+    var key = String(name).toLowerCase();
+    var count = this._entries.length;
+
+    this._entries = this._entries.filter(function(entry) { return entry.key != key; });
+
+    return this._entries.length != count;
+}; // end delete
+
+/**
+ * Get every field occurrence as a `[name, value]` pair, in order.
+ *
+ * @returns {Array.<string[]>}
+ */
+Headers.prototype.entries = function()
+{
+    return this._entries.map(function(entry) { return [entry.name, entry.value]; });
+}; // end entries
+
+/**
+ * Get the distinct field names in the collection, in order of first occurrence. Each name is spelled as it was in its
+ * first occurrence.
+ *
+ * @returns {string[]}
+ */
+Headers.prototype.keys = function()
+{
+    // Keyed by lowercased field name, which may be anything (including `__proto__`).
+    var seen = Object.create(null);
+
+    return this._entries
+        .filter(function(entry)
+        {
+            if(seen[entry.key])
+            {
+                return false;
+            } // end if
+
+            seen[entry.key] = true;
+            return true;
+        })
+        .map(function(entry) { return entry.name; });
+}; // end keys
+
+/**
+ * Call `callback(value, name, headers)` for every field occurrence, in order.
+ *
+ * @param {function} callback
+ * @param {*} thisArg - the value to use as `this` when calling `callback`
+ */
+Headers.prototype.forEach = function(callback, thisArg)
+{
+    this._entries.forEach(function(entry)
+    {
+        callback.call(thisArg, entry.value, entry.name, this);
+    }, this);
+}; // end forEach
+
+/**
+ * Get every field occurrence as an ordered list of `{name, value}` entries, like `parseHeaders()` returns when
+ * `repeated` is `'list'`.
+ *
+ * @returns {HeaderEntry[]}
+ */
+Headers.prototype.toList = function()
+{
+    return this._entries.map(function(entry) { return {name: entry.name, value: entry.value}; });
+}; // end toList
+
+/**
+ * Convert to a plain object keyed by field name (spelled as in each field's first occurrence), like `parseHeaders()`
+ * returns when `repeated` is `'last'` or `'array'`.
+ *
+ * @param {?string} repeated - `'array'` to map each name to an array of all its values; defaults to `'last'`
+ *
+ * @returns {(Object.<string, string>|Object.<string, string[]>)}
+ */
+Headers.prototype.toObject = function(repeated)
+{
+    var obj = {};
+
+    this.keys().forEach(function(name)
+    {
+        setField(obj, name, (repeated == 'array') ? this.getAll(name) : this.get(name));
+    }, this);
+
+    return obj;
+}; // end toObject
+
+Headers.prototype.toJSON = Headers.prototype.toList;
+
+Headers.prototype._makeEntry = function(name, value)
+{
+    name = String(name);
+
+    return {
+        name: this.canonicalize ? canonicalizeName(name) : name,
+        key: name.toLowerCase(),
+        value: value,
+    };
+}; // end _makeEntry
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = Headers;
@@ -0,0 +1,166 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Parsing of complete HTTP/1.x messages: a start line, followed by a header block and a body.
+//
+// @module header-parse/lib/http
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var headerParse = require('../header-parse');
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * A parsed HTTP request line or status line.
+ *
+ * @typedef {object} HttpStartLine
+ *
+ * @property {string} type - `'request'` or `'status'`
+ * @property {string} raw - the unparsed start line, without its newline
+ * @property {string} version - the HTTP version (e.g. `'HTTP/1.1'`)
+ * @property {?string} method - for requests, the method (e.g. `'GET'`)
+ * @property {?string} target - for requests, the request-target (e.g. `'/index.html'`)
+ * @property {?number} statusCode - for responses, the status code (e.g. `404`)
+ * @property {?string} reason - for responses, the reason phrase (e.g. `'Not Found'`)
+ */
+
+/**
+ * A parsed HTTP message.
+ *
+ * @typedef {object} HttpMessage
+ * @extends HeaderParseDocument
+ *
+ * @property {HttpStartLine} startLine - the parsed request line or status line
+ */
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Start line regexes, as defined by [RFC7230 section 3.1][]:
+ *
+ * > request-line   = method SP request-target SP HTTP-version CRLF
+ * > status-line = HTTP-version SP status-code SP reason-phrase CRLF
+ *
+ * The **lenient** regexes allow any amount of whitespace between the parts, a lowercase `http`, and a missing reason
+ * phrase.
+ *
+ * [RFC7230 section 3.1]: https://tools.ietf.org/html/rfc7230#section-3.1 "Start Line"
+ */
+var startLineRegexes = {
+    strict: {
+        request: /^([!#$%&'*+\-.^_`|~0-9A-Za-z]+) (\S+) (HTTP\/\d\.\d)$/,
+        status: /^(HTTP\/\d\.\d) (\d{3}) ([\t \x21-\x7e\x80-\uffff]*)$/,
+    },
+    lenient: {
+        request: /^(\S+)\s+(\S+)\s+(HTTP\/\d+\.\d+)\s*$/i,
+        // The reason phrase is captured with any trailing whitespace (see `trimEnd()`); a lazy `(.*?)\s*$` would retry
+        // the rest of the line at every position, taking quadratic time on a long reason phrase.
+        status: /^(HTTP\/\d+\.\d+)\s+(\d{3})(?:\s+(.*))?$/i,
+    },
+};
+
+/**
+ * Remove trailing whitespace from the given string, walking back from its end.
+ *
+ * @param {string} str
+ *
+ * @returns {string}
+ */
+function trimEnd(str)
+{
+    var end = str.length;
+    while(end > 0 && /\s/.test(str[end - 1]))
+    {
+        end--;
+    } // end while
+
+    return str.slice(0, end);
+} // end trimEnd
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Parse a complete HTTP/1.x message: a request line or status line, followed by a header block and a body.
+ *
+ * The start line is parsed into an `HttpStartLine`, and the rest of the message is passed to `extractHeaderBlock()`.
+ * As recommended by [RFC7230 section 3.5][], empty lines before the start line are ignored.
+ *
+ * Unless a `dialect` or `mode` is given (or `strict` is set), **http** mode is used. In **http** and **strict** modes,
+ * the start line must exactly match the grammar from [RFC7230 section 3.1][] and end with `\r\n`, and an error is
+ * thrown if the header block is not terminated by a null line. In **lenient** mode (and dialects built on it), the
+ * start line may end with `\n`, and may contain extra whitespace, a lowercase `http`, or no reason phrase, and a
+ * message without a null line is treated as having no headers.
+ *
+ * An error is thrown in every mode if the message does not start with a request line or a status line.
+ *
+ * [RFC7230 section 3.1]: https://tools.ietf.org/html/rfc7230#section-3.1 "Start Line"
+ * [RFC7230 section 3.5]: https://tools.ietf.org/html/rfc7230#section-3.5 "Message Parsing Robustness"
+ *
+ * @param {(string|Buffer)} data - the message
+ * @param {ExtractHeaderBlockOptions} options - options to control the extraction/parsing process
+ *
+ * @returns {HttpMessage}
+ */
+function parseHttpMessage(data, options)
+{
+    options = options || {};
+
+    if(options.dialect === undefined && options.mode === undefined && options.strict === undefined)
+    {
+        options = Object.keys(options).reduce(function(copy, key)
+        {
+            copy[key] = options[key];
+            return copy;
+        }, {mode: 'http'});
+    } // end if
+
+    var lenient = headerParse.getDialect(options).scanner.bareLF;
+    var startLineRE = lenient ? startLineRegexes.lenient : startLineRegexes.strict;
+
+    data = data.toString();
+
+    var lineRE = lenient ? /^(?:\r?\n)*(.*)\r?\n/ : /^(?:\r\n)*([^\r\n]*)\r\n/;
+    var lineMatch = lineRE.exec(data);
+    if(!lineMatch)
+    {
+        throw new Error(util.format("Missing start line in HTTP message %j", data.slice(0, 100)));
+    } // end if
+
+    var raw = lineMatch[1];
+    var startLine, match;
+
+    if((match = startLineRE.request.exec(raw)))
+    {
+        startLine = {type: 'request', raw: raw, method: match[1], target: match[2], version: match[3]};
+    }
+    else if((match = startLineRE.status.exec(raw)))
+    {
+        startLine = {
+            type: 'status',
+            raw: raw,
+            version: match[1],
+            statusCode: parseInt(match[2], 10),
+            reason: trimEnd(match[3] || ''),
+        };
+    }
+    else
+    {
+        throw new Error(util.format("Invalid HTTP start line %j", raw));
+    } // end if
+
+    var doc = headerParse.extractHeaderBlock(data.slice(lineMatch[0].length), options);
+    if(doc.headerBlock === undefined && !lenient)
+    {
+        throw new Error("Missing end of header section in HTTP message");
+    } // end if
+
+    doc.startLine = startLine;
+
+    return doc;
+} // end parseHttpMessage
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    parseHttpMessage: parseHttpMessage,
+};
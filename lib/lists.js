@@ -0,0 +1,276 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Parsing of comma-separated list field bodies, such as those of `Cache-Control`, `Connection` and `Vary`.
+//
+// @module header-parse/lib/lists
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var isStrict = require('./modes').isStrict;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * An element of a list field body.
+ *
+ * @typedef {object} ListElement
+ *
+ * @property {string} name - the element's name (e.g. `max-age` in `max-age=3600`, or `text/html` in
+ *          `text/html;level=1`), as it appeared in the field body
+ * @property {?string} value - the element's value, if it has one (e.g. `3600` in `max-age=3600`), unquoted
+ * @property {Object.<string, ?string>} params - the element's `;`-separated parameters (e.g. `{level: '1'}`), keyed by
+ *          lowercased parameter name; parameters without a value are `null`
+ */
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Matches an RFC7230 "token" (`1*tchar`), a `type/subtype` media range made of two tokens, or an RFC7232
+ * "entity-tag" (`[ "W/" ] DQUOTE *etagc DQUOTE`).
+ */
+var nameRE = /^(?:[!#$%&'*+\-.^_`|~0-9A-Za-z]+(?:\/[!#$%&'*+\-.^_`|~0-9A-Za-z]+)?|(?:W\/)?"[!#-~\x80-\xff]*")$/;
+
+/**
+ * Matches an RFC7230 "token".
+ */
+var tokenRE = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Parse a field body consisting of a comma-separated list of elements, as defined by the "#rule" of
+ * [RFC7230 section 7][], such as the field bodies of `Cache-Control`, `Connection`, `Vary` and `Allow`.
+ *
+ * From [RFC7230 section 7][]:
+ * > For compatibility with legacy list rules, a recipient MUST parse and ignore a reasonable number of empty list
+ * > elements: enough to handle common mistakes by senders that merge values, but not so much that they could be used
+ * > as a denial-of-service mechanism.
+ *
+ * Each element is a name, optionally followed by `=` and a value (a token or a quoted-string), and then by any number
+ * of `;`-separated parameters of the same form. Quoted-strings are unquoted, and backslash-escaped characters in them
+ * are unescaped; commas and semicolons inside them do not separate elements or parameters. Quoted-strings in a name
+ * (such as the entity-tags of `If-Match`) are kept as they are, quotes included. Empty elements are skipped.
+ *
+ * Since a field which occurs more than once is equivalent to a single field with each of its values joined by commas
+ * (see [RFC7230 section 3.2.2][]), `data` may also be a list of field bodies (such as the result of
+ * `Headers.getAll()`); the elements of all of them are returned, in order.
+ *
+ * In **strict** mode, an error is thrown on any syntax error: a name which is not a token, media range or entity-tag,
+ * a value which is neither a token nor a quoted-string, an unterminated quoted-string, or unexpected data after a
+ * quoted-string.
+ * In **lenient** mode, names and unquoted values may contain any character other than `,`, `;` and `=`, unterminated
+ * quoted-strings run to the end of the field body, and data after a quoted-string is ignored.
+ *
+ * [RFC7230 section 3.2.2]: https://tools.ietf.org/html/rfc7230#section-3.2.2 "Field Order"
+ * [RFC7230 section 7]: https://tools.ietf.org/html/rfc7230#section-7 "ABNF List Extension: #rule"
+ *
+ * @param {(string|Buffer|Array.<(string|Buffer)>)} data - the field body, or the bodies of every occurrence of the
+ *          field
+ * @param {GeneralOptions} options
+ *
+ * @returns {ListElement[]}
+ */
+function parseList(data, options)
+{
+    options = options || {};
+
+    if(Array.isArray(data))
+    {
+        return [].concat.apply([], data.map(function(fieldBody)
+        {
+            return parseList(fieldBody, options);
+        }));
+    } // end if
+
+    var strict = isStrict(options);
+
+    data = data.toString();
+
+    var elements = [];
+    var pos = 0;
+
+    while(pos < data.length)
+    {
+        var element = parseElement();
+        if(element)
+        {
+            elements.push(element);
+        } // end if
+
+        pos++; // skip ','
+    } // end while
+
+    return elements;
+
+    function fail(message)
+    {
+        throw new Error(util.format("%s at position %d of list %j", message, pos, data));
+    } // end fail
+
+    function skipWhitespace()
+    {
+        while(pos < data.length && /\s/.test(data[pos]))
+        {
+            pos++;
+        } // end while
+    } // end skipWhitespace
+
+    function parseElement()
+    {
+        var pair = parsePair(nameRE);
+        if(pair.name === '')
+        {
+            // An empty element (or a parameter without an element); skip its parameters, up to the next element.
+            while(data[pos] == ';')
+            {
+                if(strict)
+                {
+                    fail("Parameter without an element");
+                } // end if
+
+                pos++; // skip ';'
+                skipPiece();
+            } // end while
+
+            return null;
+        } // end if
+
+        var element = {name: pair.name, value: pair.value, params: {}};
+
+        while(data[pos] == ';')
+        {
+            pos++; // skip ';'
+
+            var param = parsePair(tokenRE);
+            if(param.name !== '')
+            {
+                element.params[param.name.toLowerCase()] = param.value;
+            }
+            else if(strict)
+            {
+                fail("Empty parameter");
+            } // end if
+        } // end while
+
+        return element;
+    } // end parseElement
+
+    /**
+     * Parse a `name[=value]` pair, leaving `pos` at the `,` or `;` that ends it (or at the end of the data).
+     */
+    function parsePair(validName)
+    {
+        skipWhitespace();
+
+        var nameStart = pos;
+        while(pos < data.length && ',;='.indexOf(data[pos]) == -1)
+        {
+            if(data[pos] == '"')
+            {
+                parseQuotedString();
+            }
+            else
+            {
+                pos++;
+            } // end if
+        } // end while
+
+        var name = data.slice(nameStart, pos).trim();
+        var value = null;
+
+        if(strict && (name !== '' || data[pos] == '=') && !validName.test(name))
+        {
+            fail(util.format("Invalid name %j", name));
+        } // end if
+
+        if(data[pos] == '=')
+        {
+            pos++; // skip '='
+            skipWhitespace();
+
+            if(data[pos] == '"')
+            {
+                value = parseQuotedString();
+
+                skipWhitespace();
+                if(pos < data.length && data[pos] != ',' && data[pos] != ';')
+                {
+                    if(strict)
+                    {
+                        fail("Unexpected data after quoted-string");
+                    } // end if
+
+                    skipPiece();
+                } // end if
+            }
+            else
+            {
+                var valueStart = pos;
+                skipPiece();
+                value = data.slice(valueStart, pos).trim();
+
+                if(strict && !tokenRE.test(value))
+                {
+                    fail(util.format("Invalid token %j", value));
+                } // end if
+            } // end if
+        } // end if
+
+        return {name: name, value: value};
+    } // end parsePair
+
+    /**
+     * Skip to the next `,` or `;`, stepping over any quoted-strings.
+     */
+    function skipPiece()
+    {
+        while(pos < data.length && data[pos] != ',' && data[pos] != ';')
+        {
+            if(data[pos] == '"')
+            {
+                parseQuotedString();
+            }
+            else
+            {
+                pos++;
+            } // end if
+        } // end while
+    } // end skipPiece
+
+    function parseQuotedString()
+    {
+        var value = '';
+
+        pos++; // skip opening '"'
+        while(pos < data.length)
+        {
+            var ch = data[pos++];
+
+            if(ch == '"')
+            {
+                return value;
+            }
+            else if(ch == '\\' && pos < data.length)
+            {
+                value += data[pos++];
+            }
+            else
+            {
+                value += ch;
+            } // end if
+        } // end while
+
+        if(strict)
+        {
+            fail("Unterminated quoted-string");
+        } // end if
+
+        return value;
+    } // end parseQuotedString
+} // end parseList
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    parseList: parseList,
+};
@@ -0,0 +1,259 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Parsing of MIME messages, including multipart and encapsulated messages, into a tree of parts.
+//
+// @module header-parse/lib/mime
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var headerParse = require('../header-parse');
+var isStrict = require('./modes').isStrict;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * A parsed MIME entity (a message, or a part of a multipart body).
+ *
+ * @typedef {object} MimePart
+ * @extends HeaderParseDocument
+ *
+ * @property {ParameterizedValue} contentType - the parsed `Content-Type` field, or the default content type if the
+ *          entity has none
+ * @property {?MimePart[]} parts - for `multipart/*` entities, the body parts
+ * @property {?string} preamble - for `multipart/*` entities, the text before the first boundary
+ * @property {?string} epilogue - for `multipart/*` entities, the text after the closing boundary
+ * @property {?MimePart} message - for `message/rfc822` entities, the encapsulated message
+ */
+
+/**
+ * Options for `parseMime()`
+ *
+ * @typedef {object} ParseMimeOptions
+ * @extends ExtractHeaderBlockOptions
+ *
+ * @property {?number} maxDepth - the maximum number of levels of body parts and encapsulated messages to parse below
+ *          the message itself (default: 100)
+ */
+
+//---------------------------------------------------------------------------------------------------------------------
+
+var defaultContentType = 'text/plain; charset=us-ascii';
+
+var defaultMaxDepth = 100;
+
+/**
+ * Find the value of the last occurrence of the given field, however `parseHeaders()` returned the headers.
+ *
+ * @param {(Object.<string, string>|Object.<string, string[]>|HeaderEntry[]|Headers)} headers
+ * @param {string} name - the (lowercase) field name
+ *
+ * @returns {?string}
+ */
+function findField(headers, name)
+{
+    if(!headers)
+    {
+        return undefined;
+    }
+    else if(headers instanceof headerParse.Headers)
+    {
+        return headers.get(name);
+    } // end if
+
+    var entries = Array.isArray(headers) ? headers : Object.keys(headers).map(function(key)
+    {
+        return {name: key, value: [].concat(headers[key]).pop()};
+    });
+
+    var values = entries
+        .filter(function(entry) { return entry.name.toLowerCase() == name; })
+        .map(function(entry) { return entry.value; });
+
+    return values.pop();
+} // end findField
+
+/**
+ * Escape the given string for use in a regular expression.
+ *
+ * @param {string} str
+ *
+ * @returns {string}
+ */
+function escapeRE(str)
+{
+    return str.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+} // end escapeRE
+
+/**
+ * Split a multipart body on the given boundary.
+ *
+ * @param {string} body
+ * @param {string} boundary
+ * @param {boolean} strict
+ *
+ * @returns {{preamble: string, parts: string[], epilogue: string}}
+ */
+function splitMultipart(body, boundary, strict)
+{
+    var newline = strict ? '\\r\\n' : '\\r?\\n';
+
+    // From RFC2046 section 5.1.1: "The boundary delimiter MUST occur at the beginning of a line, i.e., following a
+    // CRLF, and the initial CRLF will be considered to be attached to the boundary delimiter line rather than part of
+    // the preceding part. The boundary may be followed by zero or more characters of linear whitespace."
+    var delimiterRE = new RegExp('(?:^|' + newline + ')--' + escapeRE(boundary) + '(--)?[ \\t]*(?:' + newline + '|$)',
+        'g');
+
+    var result = {preamble: null, parts: [], epilogue: null};
+    var lastEnd = null;
+    var match;
+
+    while((match = delimiterRE.exec(body)))
+    {
+        if(lastEnd === null)
+        {
+            result.preamble = body.slice(0, match.index);
+        }
+        else
+        {
+            result.parts.push(body.slice(lastEnd, match.index));
+        } // end if
+
+        lastEnd = match.index + match[0].length;
+
+        if(match[1])
+        {
+            result.epilogue = body.slice(lastEnd);
+            return result;
+        } // end if
+    } // end while
+
+    if(strict)
+    {
+        throw new Error(util.format("Missing %s boundary %j in multipart body",
+            lastEnd === null ? "opening" : "closing", boundary));
+    } // end if
+
+    if(lastEnd === null)
+    {
+        result.preamble = body;
+    }
+    else
+    {
+        result.parts.push(body.slice(lastEnd));
+    } // end if
+
+    return result;
+} // end splitMultipart
+
+/**
+ * Parse a MIME entity whose header block has already been extracted.
+ *
+ * @param {HeaderParseDocument} doc - the result of `extractHeaderBlock()`
+ * @param {string} defaultType - the content type to use if the entity has none
+ * @param {ParseMimeOptions} options
+ * @param {number} depth - the number of levels the entity is nested below the message
+ *
+ * @returns {MimePart}
+ */
+function parseEntity(doc, defaultType, options, depth)
+{
+    var contentType = findField(doc.headers, 'content-type');
+    doc.contentType = headerParse.parseParameterizedValue(contentType || defaultType, options);
+
+    var type = doc.contentType.value.toLowerCase();
+    var maxDepth = (options.maxDepth === undefined) ? defaultMaxDepth : options.maxDepth;
+
+    if((/^multipart\//.test(type) || type == 'message/rfc822') && depth >= maxDepth)
+    {
+        if(isStrict(options))
+        {
+            throw new Error(util.format("MIME entities nested more than %d levels deep (see the maxDepth option)",
+                maxDepth));
+        } // end if
+
+        // Leave the body of the innermost entity unparsed.
+        return doc;
+    } // end if
+
+    if(/^multipart\//.test(type))
+    {
+        var boundary = doc.contentType.params.boundary;
+        if(!boundary)
+        {
+            if(isStrict(options))
+            {
+                throw new Error(util.format("Missing boundary parameter in Content-Type %j", contentType));
+            } // end if
+
+            return doc;
+        } // end if
+
+        var split = splitMultipart(doc.body, boundary, isStrict(options));
+
+        // From RFC2046 section 5.1.5: "in a digest, the default Content-Type value for a body part is changed from
+        // "text/plain" to "message/rfc822"."
+        var partType = (type == 'multipart/digest') ? 'message/rfc822' : defaultContentType;
+
+        doc.preamble = split.preamble;
+        doc.epilogue = split.epilogue;
+        doc.parts = split.parts.map(function(part)
+        {
+            return parseEntity(headerParse.extractHeaderBlock(part, options), partType, options, depth + 1);
+        });
+    }
+    else if(type == 'message/rfc822')
+    {
+        doc.message = parseEntity(headerParse.extractHeaderBlock(doc.body, options), defaultContentType, options,
+            depth + 1);
+    } // end if
+
+    return doc;
+} // end parseEntity
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Parse a MIME message into a tree of parts.
+ *
+ * The message's header block is extracted with `extractHeaderBlock()`, and its `Content-Type` field is parsed with
+ * `parseParameterizedValue()`. (If there is no `Content-Type` field, the default from [RFC2045 section 5.2][],
+ * `text/plain; charset=us-ascii`, is used.)
+ *
+ * The body of a `multipart/*` entity is split on the boundary given in its `Content-Type`, as described in
+ * [RFC2046 section 5.1.1][]; the text before the first boundary and after the closing boundary is stored as
+ * `preamble` and `epilogue`, and each body part is parsed (recursively) into `parts`. The body of a `message/rfc822`
+ * entity is parsed (recursively) into `message`. The `body` of every entity is kept as-is; content transfer encodings
+ * are not decoded.
+ *
+ * Parts and messages may be nested at most `maxDepth` levels below the message (default: 100), so that deeply nested
+ * input can't exhaust the stack.
+ *
+ * In **strict** mode, boundary lines must end with `\r\n`, and an error is thrown if a multipart entity has no
+ * boundary parameter, is missing its opening or closing boundary, or would nest parts more than `maxDepth` levels deep.
+ * In **lenient** mode, boundary lines may end with `\r\n` or `\n`; a multipart entity without a boundary parameter is
+ * left unsplit, one without an opening boundary has no parts, and one without a closing boundary has its last part
+ * run to the end of the body. Entities nested at `maxDepth` are not parsed any further; their bodies are left as-is.
+ *
+ * All options are passed through to `extractHeaderBlock()` and `parseParameterizedValue()`. (If `parse` is disabled,
+ * no `Content-Type` fields are found, so every entity is treated as `text/plain`.)
+ *
+ * [RFC2045 section 5.2]: https://tools.ietf.org/html/rfc2045#section-5.2 "Content-Type Defaults"
+ * [RFC2046 section 5.1.1]: https://tools.ietf.org/html/rfc2046#section-5.1.1 "Common Syntax"
+ *
+ * @param {(string|Buffer)} data - the message
+ * @param {ParseMimeOptions} options - options to control the extraction/parsing process
+ *
+ * @returns {MimePart}
+ */
+function parseMime(data, options)
+{
+    options = options || {};
+
+    return parseEntity(headerParse.extractHeaderBlock(data, options), defaultContentType, options, 0);
+} // end parseMime
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    parseMime: parseMime,
+};
@@ -0,0 +1,31 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Helpers for the field body parsers, which only distinguish between strict and lenient parsing.
+//
+// @module header-parse/lib/modes
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Check whether the dialect selected by the given options (through `dialect`, `mode` or `strict`; see `getDialect()`)
+ * calls for strict parsing of field bodies.
+ *
+ * The **strict** and **http** dialects (and any dialect built on **strict**) are strict; the **lenient** dialect (and
+ * any dialect built on it) is not. This is the same distinction `validateHeaders()` makes between errors and warnings.
+ *
+ * @param {GeneralOptions} options
+ *
+ * @returns {boolean}
+ */
+function isStrict(options)
+{
+    // Required here, rather than at the top of the module, since `header-parse` requires the field body parsers (and so
+    // this module) before its own exports are complete.
+    var headerParse = require('../header-parse');
+
+    return !headerParse.getDialect(options).scanner.bareLF;
+} // end isStrict
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    isStrict: isStrict,
+};
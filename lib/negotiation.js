@@ -0,0 +1,365 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Parsing of the `Accept`, `Accept-Language`, `Accept-Charset` and `Accept-Encoding` fields, and content negotiation.
+//
+// @module header-parse/lib/negotiation
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var isStrict = require('./modes').isStrict;
+var parseList = require('./lists').parseList;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * An entry of an `Accept-*` field body.
+ *
+ * @typedef {object} AcceptEntry
+ *
+ * @property {string} value - the media range, language range, charset or content-coding (e.g. `text/*`, `en-US`,
+ *          `utf-8` or `gzip`), as it appeared in the field body
+ * @property {number} q - the entry's quality value, from 0 to 1 (default: 1)
+ * @property {Object.<string, ?string>} params - the entry's parameters other than `q` (for `Accept`, the media type
+ *          parameters, e.g. `{level: '1'}`), keyed by lowercased parameter name
+ * @property {?string} type - for `Accept`, the lowercased media type (e.g. `text`, or `*`)
+ * @property {?string} subtype - for `Accept`, the lowercased media subtype (e.g. `html`, or `*`)
+ */
+
+/**
+ * Options for `negotiate()`.
+ *
+ * @typedef {object} NegotiateOptions
+ * @extends GeneralOptions
+ *
+ * @property {?string} field - the name of the field being negotiated: `'Accept'` (the default), `'Accept-Language'`,
+ *          `'Accept-Charset'` or `'Accept-Encoding'` (case-insensitive)
+ */
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Matches an RFC7231 "qvalue": `( "0" [ "." 0*3DIGIT ] ) / ( "1" [ "." 0*3("0") ] )`
+ */
+var qvalueRE = /^(?:0(?:\.\d{0,3})?|1(?:\.0{0,3})?)$/;
+
+/**
+ * How each field's ranges are matched against the available values, keyed by lowercased field name.
+ *
+ * Each matcher's `specificity(entry)` ranks the ranges that match a value, so that the most specific one decides its
+ * quality; `matches(entry, offer)` checks whether a range matches an available value (itself parsed as an entry).
+ */
+var matchers = {
+    'accept': {
+        specificity: function(entry)
+        {
+            return (entry.type != '*') + (entry.subtype != '*') + Object.keys(entry.params).length;
+        },
+
+        matches: function(entry, offer)
+        {
+            return (entry.type == '*' || entry.type == offer.type) &&
+                (entry.subtype == '*' || entry.subtype == offer.subtype) &&
+                Object.keys(entry.params).every(function(name)
+                {
+                    return offer.params[name] == entry.params[name];
+                });
+        },
+    },
+
+    // Basic filtering, as described by RFC4647 section 3.3.1.
+    'accept-language': {
+        specificity: function(entry)
+        {
+            return (entry.value == '*') ? 0 : entry.value.split('-').length;
+        },
+
+        matches: function(entry, offer)
+        {
+            var range = entry.value.toLowerCase();
+            var tag = offer.value.toLowerCase();
+
+            return range == '*' || tag == range || tag.slice(0, range.length + 1) == range + '-';
+        },
+    },
+
+    'accept-charset': {
+        specificity: exactSpecificity,
+        matches: exactMatches,
+    },
+
+    'accept-encoding': {
+        specificity: exactSpecificity,
+        matches: exactMatches,
+    },
+};
+
+function exactSpecificity(entry)
+{
+    return (entry.value == '*') ? 0 : 1;
+} // end exactSpecificity
+
+function exactMatches(entry, offer)
+{
+    return entry.value == '*' || entry.value.toLowerCase() == offer.value.toLowerCase();
+} // end exactMatches
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Parse the field body of an `Accept-*` field into entries, ranked from most to least preferred.
+ *
+ * @param {(string|Buffer|Array.<(string|Buffer)>)} data - the field body, or the bodies of every occurrence of the
+ *          field
+ * @param {string} field - the lowercased field name
+ * @param {GeneralOptions} options
+ *
+ * @returns {AcceptEntry[]}
+ *
+ * @private
+ */
+function parseAcceptField(data, field, options)
+{
+    options = options || {};
+    var strict = isStrict(options);
+    var matcher = matchers[field];
+
+    var entries = [];
+    parseList(data, options).forEach(function(element)
+    {
+        var entry = {value: element.name, q: 1, params: {}};
+
+        Object.keys(element.params).forEach(function(name)
+        {
+            if(name != 'q')
+            {
+                entry.params[name] = element.params[name];
+            } // end if
+        });
+
+        if(element.params.q !== undefined)
+        {
+            var q = element.params.q;
+            if(q === null || !qvalueRE.test(q))
+            {
+                if(strict)
+                {
+                    throw new Error(util.format("Invalid quality value %j for %j", q, element.name));
+                } // end if
+
+                var number = parseFloat(q);
+                if(isNaN(number))
+                {
+                    return; // skip the entry
+                } // end if
+
+                q = Math.min(Math.max(number, 0), 1);
+            } // end if
+
+            entry.q = Number(q);
+        } // end if
+
+        if(field == 'accept')
+        {
+            var slash = entry.value.indexOf('/');
+            if(slash == -1)
+            {
+                if(strict)
+                {
+                    throw new Error(util.format("Invalid media range %j", entry.value));
+                } // end if
+
+                // Some clients send a bare `*` for `*/*`.
+                entry.type = entry.value.toLowerCase();
+                entry.subtype = '*';
+            }
+            else
+            {
+                entry.type = entry.value.slice(0, slash).toLowerCase();
+                entry.subtype = entry.value.slice(slash + 1).toLowerCase();
+            } // end if
+        } // end if
+
+        entries.push(entry);
+    });
+
+    // Sort by quality, then by specificity, keeping the original order otherwise.
+    return entries
+        .map(function(entry, idx) { return {entry: entry, idx: idx, specificity: matcher.specificity(entry)}; })
+        .sort(function(a, b)
+        {
+            return (b.entry.q - a.entry.q) || (b.specificity - a.specificity) || (a.idx - b.idx);
+        })
+        .map(function(ranked) { return ranked.entry; });
+} // end parseAcceptField
+
+/**
+ * Parse the field body of an `Accept` field, as defined by [RFC7231 section 5.3.2][], into media ranges, ranked from
+ * most to least preferred: by quality value, then by specificity (`text/html;level=1` before `text/html` before
+ * `text/*` before a full wildcard), and then in the order they were given.
+ *
+ * In **strict** mode, an error is thrown on any syntax error (see `parseList()`), on an invalid quality value, or on a
+ * media range without a `/`. In **lenient** mode, out-of-range quality values are clamped to 0 and 1, entries with
+ * non-numeric quality values are skipped, and a media range without a `/` (such as a bare `*`) is treated as having a
+ * `*` subtype.
+ *
+ * [RFC7231 section 5.3.2]: https://tools.ietf.org/html/rfc7231#section-5.3.2 "Accept"
+ *
+ * @param {(string|Buffer|Array.<(string|Buffer)>)} data - the field body, or the bodies of every occurrence of the
+ *          field
+ * @param {GeneralOptions} options
+ *
+ * @returns {AcceptEntry[]}
+ */
+function parseAccept(data, options)
+{
+    return parseAcceptField(data, 'accept', options);
+} // end parseAccept
+
+/**
+ * Parse the field body of an `Accept-Language` field, as defined by [RFC7231 section 5.3.5][], into language ranges,
+ * ranked from most to least preferred: by quality value, then by specificity (`en-US` before `en` before `*`), and
+ * then in the order they were given. See `parseAccept()` for the effects of the chosen mode.
+ *
+ * [RFC7231 section 5.3.5]: https://tools.ietf.org/html/rfc7231#section-5.3.5 "Accept-Language"
+ *
+ * @param {(string|Buffer|Array.<(string|Buffer)>)} data - the field body, or the bodies of every occurrence of the
+ *          field
+ * @param {GeneralOptions} options
+ *
+ * @returns {AcceptEntry[]}
+ */
+function parseAcceptLanguage(data, options)
+{
+    return parseAcceptField(data, 'accept-language', options);
+} // end parseAcceptLanguage
+
+/**
+ * Parse the field body of an `Accept-Charset` field, as defined by [RFC7231 section 5.3.3][], into charsets, ranked
+ * from most to least preferred: by quality value, then with `*` last, and then in the order they were given. See
+ * `parseAccept()` for the effects of the chosen mode.
+ *
+ * [RFC7231 section 5.3.3]: https://tools.ietf.org/html/rfc7231#section-5.3.3 "Accept-Charset"
+ *
+ * @param {(string|Buffer|Array.<(string|Buffer)>)} data - the field body, or the bodies of every occurrence of the
+ *          field
+ * @param {GeneralOptions} options
+ *
+ * @returns {AcceptEntry[]}
+ */
+function parseAcceptCharset(data, options)
+{
+    return parseAcceptField(data, 'accept-charset', options);
+} // end parseAcceptCharset
+
+/**
+ * Parse the field body of an `Accept-Encoding` field, as defined by [RFC7231 section 5.3.4][], into content-codings,
+ * ranked from most to least preferred: by quality value, then with `*` last, and then in the order they were given.
+ * See `parseAccept()` for the effects of the chosen mode.
+ *
+ * [RFC7231 section 5.3.4]: https://tools.ietf.org/html/rfc7231#section-5.3.4 "Accept-Encoding"
+ *
+ * @param {(string|Buffer|Array.<(string|Buffer)>)} data - the field body, or the bodies of every occurrence of the
+ *          field
+ * @param {GeneralOptions} options
+ *
+ * @returns {AcceptEntry[]}
+ */
+function parseAcceptEncoding(data, options)
+{
+    return parseAcceptField(data, 'accept-encoding', options);
+} // end parseAcceptEncoding
+
+/**
+ * Choose the best of the available values (media types, languages, charsets or content-codings) for the given
+ * `Accept-*` field body.
+ *
+ * Each available value gets the quality value of the most specific range that matches it, as described by
+ * [RFC7231 section 5.3][]: for `Accept`, `text/html;level=1` overrides `text/html`, which overrides `text/*`, which
+ * overrides a full wildcard; for `Accept-Language`, ranges match languages as described by the "basic filtering"
+ * scheme of [RFC4647 section 3.3.1][] (`en` matches `en` and `en-US`, but not `english`), and longer ranges override
+ * shorter ones; for `Accept-Charset` and `Accept-Encoding`, a specific value overrides `*`. Values with no matching
+ * range aren't acceptable. For `Accept-Encoding`, `identity` is acceptable unless a range gives it a quality value
+ * of 0.
+ *
+ * The acceptable value with the highest quality value is returned; if more than one has the same quality value, the
+ * first of them in `available` is chosen. If the field is absent (`undefined` or `null`), every value is acceptable.
+ *
+ * [RFC4647 section 3.3.1]: https://tools.ietf.org/html/rfc4647#section-3.3.1 "Basic Filtering"
+ * [RFC7231 section 5.3]: https://tools.ietf.org/html/rfc7231#section-5.3 "Content Negotiation"
+ *
+ * @param {?(string|Buffer|Array.<(string|Buffer)>|AcceptEntry[])} headerValue - the field body (or the bodies of every
+ *          occurrence of the field), or the entries returned by the corresponding parsing function
+ * @param {string[]} available - the values that can be served, in order of preference
+ * @param {NegotiateOptions} options
+ *
+ * @returns {?string} the chosen value, or `null` if none of the available values is acceptable
+ */
+function negotiate(headerValue, available, options)
+{
+    options = options || {};
+
+    var field = (options.field || 'Accept').toLowerCase();
+    var matcher = matchers[field];
+    if(!matcher)
+    {
+        throw new Error(util.format("Unsupported field for negotiation: %j", options.field));
+    } // end if
+
+    if(headerValue === undefined || headerValue === null)
+    {
+        return available.length > 0 ? available[0] : null;
+    } // end if
+
+    var entries = headerValue;
+    if(!Array.isArray(headerValue) || !headerValue.every(function(entry) { return typeof entry.q == 'number'; }))
+    {
+        entries = parseAcceptField(headerValue, field, options);
+    } // end if
+
+    var best = null, bestQ = 0;
+    available.forEach(function(value)
+    {
+        var offer = parseAcceptField(value, field, {})[0];
+        var q = offer ? quality(offer) : 0;
+
+        if(q > bestQ)
+        {
+            best = value;
+            bestQ = q;
+        } // end if
+    });
+
+    return best;
+
+    function quality(offer)
+    {
+        var match = null, matchSpecificity = -1;
+        entries.forEach(function(entry)
+        {
+            var specificity = matcher.specificity(entry);
+            if(specificity > matchSpecificity && matcher.matches(entry, offer))
+            {
+                match = entry;
+                matchSpecificity = specificity;
+            } // end if
+        });
+
+        if(match)
+        {
+            return match.q;
+        } // end if
+
+        // From RFC7231 section 5.3.4: identity is acceptable unless excluded by "identity;q=0" or "*;q=0".
+        return (field == 'accept-encoding' && offer.value.toLowerCase() == 'identity') ? 1 : 0;
+    } // end quality
+} // end negotiate
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    parseAccept: parseAccept,
+    parseAcceptLanguage: parseAcceptLanguage,
+    parseAcceptCharset: parseAcceptCharset,
+    parseAcceptEncoding: parseAcceptEncoding,
+    negotiate: negotiate,
+};
@@ -0,0 +1,342 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Parsing of parameterized field bodies, such as those of `Content-Type` and `Content-Disposition`.
+//
+// @module header-parse/lib/parameters
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var decodeCharset = require('./encoded-words').decodeCharset;
+var isStrict = require('./modes').isStrict;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * A parsed parameterized field body.
+ *
+ * @typedef {object} ParameterizedValue
+ *
+ * @property {string} value - the field body's value, before the first parameter (e.g. `text/plain`)
+ * @property {Object.<string, string>} params - the parameters, keyed by lowercased parameter name
+ */
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Matches an RFC2045 "token": `1*<any (US-ASCII) CHAR except SPACE, CTLs, or tspecials>`
+ */
+var tokenRE = /^[!#$%&'*+\-.0-9A-Z^_`a-z{|}~]+$/;
+
+/**
+ * Matches an RFC2231 parameter name, capturing the base name, the section number (if any), and the `*` marking an
+ * extended (charset-tagged, percent-encoded) value (if any).
+ */
+var sectionRE = /^(.*?)(?:\*(\d+))?(\*)?$/;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Parse a field body consisting of a value followed by `;`-separated `name=value` parameters, such as the field bodies
+ * of `Content-Type` and `Content-Disposition`.
+ *
+ * From [RFC2045 section 5.1][]:
+ * > parameter := attribute "=" value
+ * >
+ * > attribute := token
+ * >              ; Matching of attributes
+ * >              ; is ALWAYS case-insensitive.
+ * >
+ * > value := token / quoted-string
+ *
+ * Parameter names are lowercased. Quoted-strings are unquoted, and backslash-escaped characters in them are
+ * unescaped.
+ *
+ * Parameter value continuations (`filename*0=...; filename*1=...`) and charset/language-tagged values
+ * (`filename*=UTF-8''%E2%82%AC.txt`), as defined by [RFC2231][], are joined and decoded. If a parameter has both a
+ * plain and an RFC2231 value, the RFC2231 value is used.
+ *
+ * In **strict** mode, an error is thrown on any syntax error: a parameter without a `=`, a value which is neither a
+ * token nor a quoted-string, an unterminated quoted-string, an empty parameter, missing or duplicate continuation
+ * sections, or an unsupported charset.
+ * In **lenient** mode, unquoted values may contain any character other than `;`, unterminated quoted-strings run to
+ * the end of the data, malformed parameters are skipped, continuation sections are joined in whatever order they are
+ * numbered, and values in unsupported charsets are decoded as UTF-8.
+ *
+ * [RFC2045 section 5.1]: https://tools.ietf.org/html/rfc2045#section-5.1 "Syntax of the Content-Type Header Field"
+ * [RFC2231]: https://tools.ietf.org/html/rfc2231 "MIME Parameter Value and Encoded Word Extensions"
+ *
+ * @param {(string|Buffer)} data - the field body
+ * @param {GeneralOptions} options
+ *
+ * @returns {ParameterizedValue}
+ */
+function parseParameterizedValue(data, options)
+{
+    options = options || {};
+    var strict = isStrict(options);
+
+    data = data.toString();
+
+    var pos = data.indexOf(';');
+    if(pos == -1)
+    {
+        pos = data.length;
+    } // end if
+
+    var result = {value: data.slice(0, pos).trim(), params: {}};
+    var rawParams = [];
+
+    while(pos < data.length)
+    {
+        pos++; // skip ';'
+
+        var param = parseParam();
+        if(param)
+        {
+            rawParams.push(param);
+        } // end if
+    } // end while
+
+    joinParams(rawParams, result.params, strict);
+
+    return result;
+
+    function fail(message)
+    {
+        throw new Error(util.format("%s at position %d of parameterized value %j", message, pos, data));
+    } // end fail
+
+    function skipWhitespace()
+    {
+        while(pos < data.length && /\s/.test(data[pos]))
+        {
+            pos++;
+        } // end while
+    } // end skipWhitespace
+
+    function skipToSemicolon()
+    {
+        pos = data.indexOf(';', pos);
+        if(pos == -1)
+        {
+            pos = data.length;
+        } // end if
+    } // end skipToSemicolon
+
+    function parseParam()
+    {
+        skipWhitespace();
+
+        var nameEnd = pos;
+        while(nameEnd < data.length && data[nameEnd] != '=' && data[nameEnd] != ';')
+        {
+            nameEnd++;
+        } // end while
+
+        var name = data.slice(pos, nameEnd).trim();
+
+        if(nameEnd >= data.length || data[nameEnd] != '=')
+        {
+            if(strict)
+            {
+                fail(name ? "Parameter without a value" : "Empty parameter");
+            } // end if
+
+            pos = nameEnd;
+            return null;
+        } // end if
+
+        if(strict && !tokenRE.test(name))
+        {
+            fail(util.format("Invalid parameter name %j", name));
+        } // end if
+
+        pos = nameEnd + 1; // skip '='
+        skipWhitespace();
+
+        var value;
+        if(data[pos] == '"')
+        {
+            value = parseQuotedString();
+
+            skipWhitespace();
+            if(pos < data.length && data[pos] != ';')
+            {
+                if(strict)
+                {
+                    fail("Unexpected data after quoted-string");
+                } // end if
+
+                skipToSemicolon();
+            } // end if
+        }
+        else
+        {
+            var valueStart = pos;
+            skipToSemicolon();
+            value = data.slice(valueStart, pos).trim();
+
+            if(strict && !tokenRE.test(value))
+            {
+                fail(util.format("Invalid token %j", value));
+            } // end if
+        } // end if
+
+        return {name: name.toLowerCase(), value: value};
+    } // end parseParam
+
+    function parseQuotedString()
+    {
+        var value = '';
+
+        pos++; // skip opening '"'
+        while(pos < data.length)
+        {
+            var ch = data[pos++];
+
+            if(ch == '"')
+            {
+                return value;
+            }
+            else if(ch == '\\' && pos < data.length)
+            {
+                value += data[pos++];
+            }
+            else
+            {
+                value += ch;
+            } // end if
+        } // end while
+
+        if(strict)
+        {
+            fail("Unterminated quoted-string");
+        } // end if
+
+        return value;
+    } // end parseQuotedString
+} // end parseParameterizedValue
+
+/**
+ * Join RFC2231 continuation sections and decode extended values, storing the results in `params`.
+ *
+ * @param {{name: string, value: string}[]} rawParams - the parameters, as they appeared in the field body
+ * @param {Object.<string, string>} params - the object in which to store the joined parameters
+ * @param {boolean} strict
+ */
+function joinParams(rawParams, params, strict)
+{
+    var sectioned = {};
+
+    rawParams.forEach(function(param)
+    {
+        var match = sectionRE.exec(param.name);
+        var name = match[1];
+
+        if(match[2] === undefined && !match[3])
+        {
+            // A plain parameter; don't overwrite an RFC2231 value.
+            if(!sectioned.hasOwnProperty(name))
+            {
+                params[name] = param.value;
+            } // end if
+
+            return;
+        } // end if
+
+        if(!sectioned.hasOwnProperty(name))
+        {
+            sectioned[name] = [];
+        } // end if
+
+        sectioned[name].push({
+            index: match[2] === undefined ? 0 : parseInt(match[2], 10),
+            extended: !!match[3],
+            value: param.value,
+        });
+    });
+
+    Object.keys(sectioned).forEach(function(name)
+    {
+        var sections = sectioned[name].sort(function(a, b) { return a.index - b.index; });
+
+        if(strict)
+        {
+            sections.forEach(function(section, idx)
+            {
+                if(section.index != idx)
+                {
+                    throw new Error(util.format("Missing or duplicate section %d of parameter %j", idx, name));
+                } // end if
+            });
+        } // end if
+
+        // Only extended sections are percent-decoded and decoded from the charset; plain sections are joined as-is.
+        var charset = 'us-ascii';
+        var joined = '', run = [];
+        sections.forEach(function(section, idx)
+        {
+            var value = section.value;
+
+            if(!section.extended)
+            {
+                joined += decodeRun() + value;
+                return;
+            } // end if
+
+            if(idx === 0)
+            {
+                // From RFC2231 section 4: "the first section [...] consists of the character set name, followed by a
+                // single quote, followed by the language tag, followed by a single quote"
+                var parts = /^([^']*)'[^']*'([^]*)$/.exec(value);
+                if(parts)
+                {
+                    charset = parts[1] || charset;
+                    value = parts[2];
+                }
+                else if(strict)
+                {
+                    throw new Error(util.format("Missing charset and language in extended parameter %j", name));
+                } // end if
+            } // end if
+
+            run.push(Buffer.from(value.replace(/%([0-9A-Fa-f]{2})/g, function(m, hex)
+            {
+                return String.fromCharCode(parseInt(hex, 16));
+            }), 'latin1'));
+        });
+
+        params[name] = joined + decodeRun();
+
+        // Decode the bytes of the extended sections collected since the last plain section.
+        function decodeRun()
+        {
+            if(run.length === 0)
+            {
+                return '';
+            } // end if
+
+            var bytes = Buffer.concat(run);
+            run = [];
+
+            var decoded = decodeCharset(bytes, charset);
+            if(decoded === null)
+            {
+                if(strict)
+                {
+                    throw new Error(util.format("Unsupported charset %j in parameter %j", charset, name));
+                } // end if
+
+                decoded = bytes.toString('utf8');
+            } // end if
+
+            return decoded;
+        } // end decodeRun
+    });
+} // end joinParams
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    parseParameterizedValue: parseParameterizedValue,
+};
@@ -0,0 +1,409 @@
+//---------------------------------------------------------------------------------------------------------------------
+// An incremental (push) version of `extractHeaderBlock()`, for header blocks which arrive in arbitrary chunks.
+//
+// @module header-parse/lib/parser
+//---------------------------------------------------------------------------------------------------------------------
+
+var StringDecoder = require('string_decoder').StringDecoder;
+
+var headerParse = require('../header-parse');
+var errors = require('./errors');
+
+var CR = 0x0d, LF = 0x0a;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * An incremental parser which separates the header block from the body of a document as data is written to it.
+ *
+ * Each call to `write()` only scans the new data: lines are split on the raw bytes, and each line is decoded as UTF-8
+ * and checked against the current dialect's rules as its characters arrive, so the parser agrees with
+ * `extractHeaderBlock()` (which sees the decoded text) without rescanning a line each time more of it is written.
+ * A partial line (including a lone `\r` at the end of a chunk) is held until the rest of it is written. Once the header
+ * block's terminating null line has been seen, `complete` is set, and `headerBlock`, `headers` (unless `parse` is
+ * disabled) and `leftover` (any bytes after the null line, which belong to the body) are available.
+ *
+ * If the data turns out not to start with a header block, the parser is completed without `headerBlock`, and all of
+ * the data written so far is returned in `leftover`, as with `extractHeaderBlock()`. Call `end()` if the data ends
+ * before the parser is complete.
+ *
+ * The `maxHeaderBlockSize` and `maxLineLength` limits are checked (in bytes) as the data arrives, so that a hostile
+ * peer can't make the parser buffer an unbounded amount of data; the other limits are checked when the header block is
+ * parsed.
+ *
+ * @param {ExtractHeaderBlockOptions} options - options to control the extraction/parsing process
+ *
+ * @constructor
+ */
+function HeaderParser(options)
+{
+    if(!(this instanceof HeaderParser))
+    {
+        return new HeaderParser(options);
+    } // end if
+
+    this.options = options || {};
+    this.dialect = headerParse.getDialect(this.options);
+    this.mode = this.dialect.name;
+
+    this.complete = false;
+    this.headerBlock = undefined;
+    this.headers = undefined;
+    this.leftover = undefined;
+
+    this._lines = [];
+    this._lineCount = 0;
+    this._size = 0;
+    this._afterField = false;
+    this._afterCRLF = true;
+
+    // The longest comment prefix is as much of each line as is needed to tell whether it is a comment.
+    this._commentPrefixLength = this.dialect.scanner.commentPrefixes.reduce(function(length, prefix)
+    {
+        return Math.max(length, prefix.length);
+    }, 0);
+
+    this._startLine();
+} // end HeaderParser
+
+/**
+ * Write a chunk of data to the parser.
+ *
+ * Once the parser is complete, any further data is appended to `leftover`.
+ *
+ * @param {Buffer|string} chunk - the next chunk of data; strings are encoded as UTF-8
+ *
+ * @returns {boolean} Returns `true` if the header block is complete.
+ */
+HeaderParser.prototype.write = function(chunk)
+{
+    if(typeof chunk == 'string')
+    {
+        chunk = Buffer.from(chunk);
+    } // end if
+
+    if(this.complete)
+    {
+        this.leftover = Buffer.concat([this.leftover, chunk]);
+        return true;
+    } // end if
+
+    // A `\n` byte is never part of a multi-byte UTF-8 sequence, so lines can be split before they are decoded.
+    var lineStart = 0, piece;
+    var newlineIdx = chunk.indexOf(LF);
+    while(newlineIdx != -1)
+    {
+        piece = chunk.slice(lineStart, newlineIdx + 1);
+        this._scan(this._decoder.write(piece.slice(0, -1)) + this._decoder.end());
+        this._line.push(piece);
+        this._lineBytes += piece.length;
+        lineStart = newlineIdx + 1;
+
+        switch(this._endLine())
+        {
+            case 'null':
+                this._finish(Buffer.concat(this._lines), Buffer.from(chunk.slice(lineStart)));
+                return true;
+            case 'invalid':
+                this._finish(undefined, Buffer.concat(this._lines.concat(this._line, [chunk.slice(lineStart)])));
+                return true;
+        } // end switch
+
+        newlineIdx = chunk.indexOf(LF, lineStart);
+    } // end while
+
+    if(lineStart < chunk.length)
+    {
+        piece = chunk.slice(lineStart);
+        this._scan(this._decoder.write(piece));
+        this._line.push(piece);
+        this._lineBytes += piece.length;
+    } // end if
+
+    if(!this._couldBeHeaderLine())
+    {
+        this._finish(undefined, Buffer.concat(this._lines.concat(this._line)));
+        return true;
+    } // end if
+
+    this._checkLimits(this._size + this._contentBytes(), this._lineCount + 1);
+    return false;
+}; // end write
+
+/**
+ * Signal that no more data will be written. If the header block is not yet complete, there is no header block, and
+ * all of the data written so far is returned in `leftover`.
+ *
+ * @returns {boolean} Returns `true`.
+ */
+HeaderParser.prototype.end = function()
+{
+    if(!this.complete)
+    {
+        this._finish(undefined, Buffer.concat(this._lines.concat(this._line)));
+    } // end if
+
+    return true;
+}; // end end
+
+/**
+ * Reset the scan state for a new line.
+ *
+ * The state records what the line's characters so far can still be: `'name'` (a field name, which hasn't reached its
+ * separator yet), `'beforeSeparator'` (whitespace between a field name and its separator), `'field'` (a field line),
+ * `'continuation'` (a continuation of the previous field) or `'other'` (not a field line; it may still be a comment).
+ *
+ * @private
+ */
+HeaderParser.prototype._startLine = function()
+{
+    this._line = [];
+    this._lineBytes = 0;
+    this._decoder = new StringDecoder('utf8');
+
+    this._state = undefined;
+    this._length = 0;
+    this._head = '';
+    this._cr = false;
+    this._broken = false;
+    this._endsWithCR = false;
+}; // end _startLine
+
+/**
+ * Advance the current line's scan state over newly decoded characters.
+ *
+ * @private
+ */
+HeaderParser.prototype._scan = function(text)
+{
+    var scanner = this.dialect.scanner;
+    var separator = scanner.separator.charCodeAt(0);
+
+    // Whether the newline is a CRLF only depends on the last character before it, even if the line is broken.
+    if(text.length > 0)
+    {
+        this._endsWithCR = text.charCodeAt(text.length - 1) == CR;
+    } // end if
+
+    for(var idx = 0; idx < text.length && !this._broken; idx++)
+    {
+        var code = text.charCodeAt(idx);
+
+        // Only a single `\r`, right before the `\n`, may end the line; any other `\r` breaks it.
+        if(this._cr)
+        {
+            this._broken = true;
+            break;
+        } // end if
+
+        if(code == CR)
+        {
+            this._cr = true;
+            continue;
+        } // end if
+
+        if(this._head.length < this._commentPrefixLength)
+        {
+            this._head += text[idx];
+        } // end if
+
+        var previous = this._state;
+        switch(this._state)
+        {
+            case undefined:
+                if(this._afterField && scanner.lwspChar(code))
+                {
+                    this._state = 'continuation';
+                }
+                else
+                {
+                    this._state = scanner.fieldNameChar(code) ? 'name' : 'other';
+                } // end if
+                break;
+            case 'name':
+                // If separators are allowed in field names (as colons are in **lenient** mode), the first one ends it.
+                if(code == separator)
+                {
+                    this._state = 'field';
+                }
+                else if(!scanner.fieldNameChar(code))
+                {
+                    this._state = (scanner.whitespaceBeforeSeparator && scanner.lwspChar(code)) ?
+                        'beforeSeparator' : 'other';
+                } // end if
+                break;
+            case 'beforeSeparator':
+                if(code == separator)
+                {
+                    this._state = 'field';
+                }
+                else if(!scanner.lwspChar(code))
+                {
+                    this._state = 'other';
+                } // end if
+                break;
+        } // end switch
+
+        // Other line terminators (which **lenient** mode counts as linear whitespace) may only start a continuation
+        // line or come before the separator.
+        if((code == 0x2028 || code == 0x2029) && this._state != 'beforeSeparator'
+            && !(previous === undefined && this._state == 'continuation'))
+        {
+            this._broken = true;
+            break;
+        } // end if
+
+        this._length++;
+    } // end for
+}; // end _scan
+
+/**
+ * Check the line which has just been completed (by its final `\n`) against the rules of the current dialect, and add
+ * it to the header block unless it ends it.
+ *
+ * @returns {?string} Returns `'null'` if the line is the null line which ends the header block, `'invalid'` if the
+ *          data can no longer be a header block, or `undefined` if the line is part of the header block.
+ *
+ * @private
+ */
+HeaderParser.prototype._endLine = function()
+{
+    var status = this._lineStatus();
+    if(status)
+    {
+        return status;
+    } // end if
+
+    this._afterField = this._state == 'field' || this._state == 'continuation';
+    this._afterCRLF = this._endsWithCR;
+
+    this._lines.push(Buffer.concat(this._line));
+    this._lineCount++;
+    this._size += this._lineBytes;
+    this._checkLimits(this._size, this._lineCount, this._contentBytes() - 1);
+    this._startLine();
+}; // end _endLine
+
+/**
+ * Get the status of the line which has just been completed; see `_endLine()`.
+ *
+ * @private
+ */
+HeaderParser.prototype._lineStatus = function()
+{
+    if(this.mode == 'http')
+    {
+        // The header block runs to the first `\r\n\r\n`; `parseHeaders()` rejects anything invalid inside it.
+        return (this._length === 0 && this._cr && !this._broken && this._afterCRLF) ? 'null' : undefined;
+    } // end if
+
+    if(this._broken || (!this.dialect.scanner.bareLF && !this._cr))
+    {
+        return 'invalid';
+    } // end if
+
+    if(this._length === 0)
+    {
+        return 'null';
+    } // end if
+
+    if(this._state != 'field' && this._state != 'continuation' && !this.dialect.scanner.isComment(this._head, 0))
+    {
+        return 'invalid';
+    } // end if
+}; // end _lineStatus
+
+/**
+ * Check whether the partial line scanned so far could still become part of the header block (or its null line),
+ * whatever follows it.
+ *
+ * @private
+ */
+HeaderParser.prototype._couldBeHeaderLine = function()
+{
+    if(this.mode == 'http')
+    {
+        return true;
+    } // end if
+
+    if(this._broken)
+    {
+        return false;
+    } // end if
+
+    var head = this._head;
+    var couldBeComment = this.dialect.scanner.commentPrefixes.some(function(prefix)
+    {
+        return prefix.indexOf(head) === 0 || head.indexOf(prefix) === 0;
+    });
+
+    return this._state != 'other' || couldBeComment;
+}; // end _couldBeHeaderLine
+
+/**
+ * Get the number of bytes in the current line, not counting its newline (or a `\r` which may turn out to be part of
+ * its newline).
+ *
+ * @private
+ */
+HeaderParser.prototype._contentBytes = function()
+{
+    return this._lineBytes - (this._cr ? 1 : 0);
+}; // end _contentBytes
+
+/**
+ * Check the buffered data against the `maxHeaderBlockSize` and `maxLineLength` limits.
+ *
+ * @param {number} size - the size of the header block so far, in bytes
+ * @param {number} lineNum - the number of the line which was just added (or is partially written)
+ * @param {number} [lineLength] - the length of that line in bytes, not counting its newline (default: the length of the
+ *          partial line)
+ *
+ * @private
+ */
+HeaderParser.prototype._checkLimits = function(size, lineNum, lineLength)
+{
+    var options = this.options;
+    lineLength = (lineLength === undefined) ? this._contentBytes() : lineLength;
+
+    if(options.maxLineLength !== undefined && !options.diagnostics && lineLength > options.maxLineLength)
+    {
+        throw new errors.LineLengthError(options.maxLineLength, lineNum);
+    } // end if
+
+    if(options.maxHeaderBlockSize !== undefined && size > options.maxHeaderBlockSize)
+    {
+        throw new errors.HeaderBlockSizeError(options.maxHeaderBlockSize);
+    } // end if
+}; // end _checkLimits
+
+/**
+ * Complete the parser, parsing the header block (if there is one).
+ *
+ * @param {?Buffer} headerBlock - the header block, or `undefined` if the data is not a header block
+ * @param {Buffer} leftover - the data following the header block
+ *
+ * @private
+ */
+HeaderParser.prototype._finish = function(headerBlock, leftover)
+{
+    this.complete = true;
+    this.leftover = leftover;
+    this._lines = [];
+    this._startLine();
+
+    if(headerBlock !== undefined)
+    {
+        var parse = this.options.parse === undefined || this.options.parse; // default to true
+
+        this.headerBlock = headerBlock.toString();
+        if(parse)
+        {
+            this.headers = headerParse.parseHeaders(this.headerBlock, this.options);
+        } // end if
+    } // end if
+}; // end _finish
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = HeaderParser;
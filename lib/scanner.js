@@ -0,0 +1,445 @@
+//---------------------------------------------------------------------------------------------------------------------
+// A linear-time, hand-written scanner which does the work of the header block regexes in a single pass.
+//
+// @module header-parse/lib/scanner
+//---------------------------------------------------------------------------------------------------------------------
+
+var CR = 0x0d, LF = 0x0a, COLON = 0x3a;
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Check whether the given character code is matched by `\s` in a JavaScript regex.
+ */
+function isWhitespace(code)
+{
+    return (code >= 0x09 && code <= 0x0d) || code == 0x20 || code == 0xa0 || code == 0x1680 ||
+        (code >= 0x2000 && code <= 0x200a) || code == 0x2028 || code == 0x2029 || code == 0x202f || code == 0x205f ||
+        code == 0x3000 || code == 0xfeff;
+} // end isWhitespace
+
+/**
+ * Check whether the given character code is a line terminator (i.e., it is not matched by `.` in a JavaScript regex,
+ * and `^` and `$` match next to it in multiline mode).
+ */
+function isLineTerminator(code)
+{
+    return code == LF || code == CR || code == 0x2028 || code == 0x2029;
+} // end isLineTerminator
+
+/**
+ * Character classes used by the built-in dialects; these match the regex snippets passed to `genRegexes()`.
+ */
+var charClasses = {
+    // "LWSP-char" from RFC822 section 3.3: `[ \t]`
+    lwspChar: function(code) { return code == 0x20 || code == 0x09; },
+
+    // Any whitespace other than `\r` or `\n`: `[^\S\r\n]`
+    lenientLWSPChar: function(code) { return code != CR && code != LF && isWhitespace(code); },
+
+    // "field-name" from RFC822 section 3.2: `[!-9;-~]`
+    fieldNameChar: function(code) { return code >= 0x21 && code <= 0x7e && code != COLON; },
+
+    // Any non-whitespace character: `\S`
+    nonWhitespace: function(code) { return !isWhitespace(code); },
+
+    // "tchar" from RFC7230 section 3.2.6: ``[!#$%&'*+\-.^_`|~0-9A-Za-z]``
+    tchar: function(code)
+    {
+        return (code >= 0x30 && code <= 0x39) || (code >= 0x41 && code <= 0x5a) || (code >= 0x61 && code <= 0x7a) ||
+            "!#$%&'*+-.^_`|~".indexOf(String.fromCharCode(code)) != -1;
+    },
+};
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * A field found by `Scanner#nextField()`.
+ *
+ * @typedef {object} ScannedField
+ *
+ * @property {string} name - the field name
+ * @property {string} value - the raw field body, including any folds
+ * @property {string} raw - the text of the field, from the start of its name to the end of its body
+ * @property {number} index - the offset of the start of the field
+ * @property {number} end - the offset just after the end of the field
+ */
+
+/**
+ * A header block found by `Scanner#headerBlock()`.
+ *
+ * @typedef {object} ScannedHeaderBlock
+ *
+ * @property {string} headerBlock - the header block, not including the null line which ends it
+ * @property {number} length - the length of the header block, including the null line
+ */
+
+/**
+ * A single-pass scanner for one header dialect. Each method gives the same result as the corresponding regex (or regex
+ * replacement) from `genRegexes()`, but runs in time linear in the length of its input, whatever that input is.
+ *
+ * @param {object} spec - the dialect's rules
+ * @param {function(number): boolean} spec.fieldNameChar - whether a character code may appear in a field name
+ * @param {function(number): boolean} spec.lwspChar - whether a character code is linear whitespace
+ * @param {function(number): boolean} spec.nonLWSPChar - whether a character code may start or end a trimmed value
+ *          (default: anything other than linear whitespace)
+ * @param {boolean} spec.bareLF - `true` if a lone `\n` is a newline, as well as `\r\n`
+ * @param {boolean} spec.opaqueHeaderBlock - `true` if the header block runs to the first null line, whatever it
+ *          contains
+ * @param {string} spec.separator - the character between a field name and its body (default: `':'`)
+ * @param {boolean} spec.whitespaceBeforeSeparator - `true` if linear whitespace may come between a field name and the
+ *          separator (it is not part of the name)
+ * @param {string[]} spec.commentPrefixes - lines starting with any of these are comments, and are skipped
+ *
+ * @constructor
+ */
+function Scanner(spec)
+{
+    this.fieldNameChar = spec.fieldNameChar;
+    this.lwspChar = spec.lwspChar;
+    this.nonLWSPChar = spec.nonLWSPChar || function(code) { return !spec.lwspChar(code); };
+    this.bareLF = !!spec.bareLF;
+    this.opaqueHeaderBlock = !!spec.opaqueHeaderBlock;
+    this.separator = spec.separator || ':';
+    this.whitespaceBeforeSeparator = !!spec.whitespaceBeforeSeparator;
+    this.commentPrefixes = spec.commentPrefixes || [];
+
+    this._separatorCode = this.separator.charCodeAt(0);
+} // end Scanner
+
+/**
+ * Find the header block at the start of the given data (as `regexes[mode].headerBlock` does).
+ *
+ * @param {string} data
+ *
+ * @returns {?ScannedHeaderBlock} the header block, or `null` if the data doesn't start with one
+ */
+Scanner.prototype.headerBlock = function(data)
+{
+    var pos = 0, newline;
+
+    if(this.opaqueHeaderBlock)
+    {
+        if(data.slice(0, 2) == '\r\n')
+        {
+            return {headerBlock: '', length: 2};
+        } // end if
+
+        pos = data.indexOf('\r\n\r\n');
+        return (pos == -1) ? null : {headerBlock: data.slice(0, pos + 2), length: pos + 4};
+    } // end if
+
+    for(;;)
+    {
+        newline = this._newlineAt(data, pos);
+        if(newline)
+        {
+            return {headerBlock: data.slice(0, pos), length: pos + newline};
+        } // end if
+
+        if(this.isComment(data, pos))
+        {
+            pos = this._lineEnd(data, pos);
+            newline = this._newlineAt(data, pos);
+            if(!newline)
+            {
+                return null;
+            } // end if
+
+            pos += newline;
+            continue;
+        } // end if
+
+        // Each field starts with its name and a separator...
+        var separator = this._fieldNameEnd(data, pos);
+        if(separator == -1)
+        {
+            return null;
+        } // end if
+
+        pos = this._lineEnd(data, separator + 1);
+        newline = this._newlineAt(data, pos);
+
+        // ...and may be followed by any number of continuation lines, each starting with linear whitespace.
+        while(newline && this.lwspChar(data.charCodeAt(pos + newline)))
+        {
+            pos = this._lineEnd(data, pos + newline + 1);
+            newline = this._newlineAt(data, pos);
+        } // end while
+
+        if(!newline)
+        {
+            return null;
+        } // end if
+
+        pos += newline;
+    } // end for
+}; // end headerBlock
+
+/**
+ * Find the next field in the given data, starting the search at `from` (as repeated calls to `regexes[mode].header`'s
+ * `exec()` do). Lines which aren't fields (including comment lines) are skipped.
+ *
+ * @param {string} data
+ * @param {number} from - the offset at which to start searching
+ *
+ * @returns {?ScannedField} the field, or `null` if there are no more fields
+ */
+Scanner.prototype.nextField = function(data, from)
+{
+    var pos = from;
+
+    while(pos <= data.length)
+    {
+        if(pos === 0 || isLineTerminator(data.charCodeAt(pos - 1)))
+        {
+            var separator = this._fieldNameEnd(data, pos);
+            if(separator != -1)
+            {
+                var end = this._lineEnd(data, separator + 1);
+                var newline = this._newlineAt(data, end);
+                while(newline && this.lwspChar(data.charCodeAt(end + newline)))
+                {
+                    end = this._lineEnd(data, end + newline + 1);
+                    newline = this._newlineAt(data, end);
+                } // end while
+
+                var nameEnd = separator;
+                while(this.whitespaceBeforeSeparator && this.lwspChar(data.charCodeAt(nameEnd - 1)))
+                {
+                    nameEnd--;
+                } // end while
+
+                return {
+                    name: data.slice(pos, nameEnd),
+                    value: data.slice(separator + 1, end),
+                    raw: data.slice(pos, end),
+                    index: pos,
+                    end: end,
+                };
+            } // end if
+        } // end if
+
+        // Skip to the start of the next line.
+        pos = this._lineEnd(data, pos) + 1;
+    } // end while
+
+    return null;
+}; // end nextField
+
+/**
+ * Check whether the line starting at `pos` is a comment (as `regexes[mode].commentLine` does).
+ *
+ * @param {string} data
+ * @param {number} pos - the offset of the start of the line
+ *
+ * @returns {boolean}
+ */
+Scanner.prototype.isComment = function(data, pos)
+{
+    return this.commentPrefixes.some(function(prefix)
+    {
+        return data.substr(pos, prefix.length) == prefix;
+    });
+}; // end isComment
+
+/**
+ * Remove leading and trailing linear whitespace (as `regexes[mode].trim` does).
+ *
+ * @param {string} data
+ *
+ * @returns {string}
+ */
+Scanner.prototype.trim = function(data)
+{
+    var start = 0, end = data.length;
+
+    while(start < end && this.lwspChar(data.charCodeAt(start)))
+    {
+        start++;
+    } // end while
+
+    if(start == end)
+    {
+        return '';
+    } // end if
+
+    while(this.lwspChar(data.charCodeAt(end - 1)))
+    {
+        end--;
+    } // end while
+
+    // The regex only matches if the remaining data starts and ends with a non-LWSP character; otherwise (e.g., if it
+    // starts with a newline in **lenient** mode) the data is left untouched.
+    if(!this.nonLWSPChar(data.charCodeAt(start)) || !this.nonLWSPChar(data.charCodeAt(end - 1)))
+    {
+        return data;
+    } // end if
+
+    return data.slice(start, end);
+}; // end trim
+
+/**
+ * Replace each run of linear whitespace (and any newline before it) with a single space (as replacing
+ * `regexes[mode].linearWhiteSpace` does).
+ *
+ * @param {string} data
+ *
+ * @returns {string}
+ */
+Scanner.prototype.collapseWhitespace = function(data)
+{
+    return this._replaceFolds(data, true, ' ', true);
+}; // end collapseWhitespace
+
+/**
+ * Remove each newline which is followed by linear whitespace (as replacing `regexes[mode].fold` does).
+ *
+ * @param {string} data
+ *
+ * @returns {string}
+ */
+Scanner.prototype.unfold = function(data)
+{
+    return this._replaceFolds(data, false, '', false);
+}; // end unfold
+
+/**
+ * Replace each newline followed by linear whitespace, along with that whitespace, with a single space (as replacing
+ * `regexes[mode].obsFold` does).
+ *
+ * @param {string} data
+ *
+ * @returns {string}
+ */
+Scanner.prototype.replaceFolds = function(data)
+{
+    return this._replaceFolds(data, false, ' ', true);
+}; // end replaceFolds
+
+/**
+ * Replace folds (newlines followed by linear whitespace) with `replacement`.
+ *
+ * @param {string} data
+ * @param {boolean} unfolded - `true` to replace runs of linear whitespace which don't follow a newline as well
+ * @param {string} replacement
+ * @param {boolean} consumeWhitespace - `true` to replace the whole run of linear whitespace; otherwise, only the
+ *          newline is replaced
+ *
+ * @private
+ */
+Scanner.prototype._replaceFolds = function(data, unfolded, replacement, consumeWhitespace)
+{
+    var result = '', copied = 0, pos = 0;
+
+    while(pos < data.length)
+    {
+        var newline = this._newlineAt(data, pos);
+        if((newline || unfolded) && this.lwspChar(data.charCodeAt(pos + newline)))
+        {
+            var end = pos + newline;
+            if(consumeWhitespace)
+            {
+                while(end < data.length && this.lwspChar(data.charCodeAt(end)))
+                {
+                    end++;
+                } // end while
+            } // end if
+
+            result += data.slice(copied, pos) + replacement;
+            copied = end;
+
+            // A replacement which leaves the whitespace in place still consumes its first character.
+            pos = consumeWhitespace ? end : end + 1;
+        }
+        else
+        {
+            pos++;
+        } // end if
+    } // end while
+
+    return result + data.slice(copied);
+}; // end _replaceFolds
+
+/**
+ * Get the length of the newline at `pos`, or 0 if there isn't one.
+ *
+ * @private
+ */
+Scanner.prototype._newlineAt = function(data, pos)
+{
+    var code = data.charCodeAt(pos);
+    if(code == CR && data.charCodeAt(pos + 1) == LF)
+    {
+        return 2;
+    } // end if
+
+    return (this.bareLF && code == LF) ? 1 : 0;
+}; // end _newlineAt
+
+/**
+ * Get the offset of the end of the line starting at (or containing) `pos`; i.e., the offset of the next line
+ * terminator, or the end of the data.
+ *
+ * @private
+ */
+Scanner.prototype._lineEnd = function(data, pos)
+{
+    while(pos < data.length && !isLineTerminator(data.charCodeAt(pos)))
+    {
+        pos++;
+    } // end while
+
+    return pos;
+}; // end _lineEnd
+
+/**
+ * Get the offset of the separator which ends the field name starting at `pos`, or -1 if there is no field name there
+ * (or the line is a comment).
+ *
+ * If separators are allowed in field names (as colons are in **lenient** mode), the longest possible field name is
+ * used. If whitespace is allowed before the separator, it may follow the field name.
+ *
+ * @private
+ */
+Scanner.prototype._fieldNameEnd = function(data, pos)
+{
+    var separator = -1, end = pos;
+
+    if(this.isComment(data, pos))
+    {
+        return -1;
+    } // end if
+
+    while(end < data.length && this.fieldNameChar(data.charCodeAt(end)))
+    {
+        if(end > pos && data.charCodeAt(end) == this._separatorCode)
+        {
+            separator = end;
+        } // end if
+
+        end++;
+    } // end while
+
+    if(end > pos)
+    {
+        while(this.whitespaceBeforeSeparator && end < data.length && this.lwspChar(data.charCodeAt(end)))
+        {
+            end++;
+        } // end while
+
+        if(data.charCodeAt(end) == this._separatorCode)
+        {
+            separator = end;
+        } // end if
+    } // end if
+
+    return separator;
+}; // end _fieldNameEnd
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    Scanner: Scanner,
+    charClasses: charClasses,
+};
@@ -0,0 +1,289 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Declarative schemas for converting and validating field values.
+//
+// @module header-parse/lib/schema
+//---------------------------------------------------------------------------------------------------------------------
+
+var util = require('util');
+
+var parseDate = require('./dates').parseDate;
+var setField = require('./fields').setField;
+var symbols = require('./symbols');
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * The description of a single field in a `HeaderSchema`.
+ *
+ * @typedef {object} FieldSchema
+ *
+ * @property {?(string|function)} type - the type of the field's value (default: `'string'`; see `schemaTypes`), or a
+ *          function which is called as `type(value, options)` and returns the typed value, or throws an error if the
+ *          value is invalid
+ * @property {?boolean} required - `true` to report a `missing-field` error if the field is not present
+ * @property {*} default - the value to use if the field is not present
+ * @property {?Array} allowed - the values the field may have (compared to the typed value, or to each item of a
+ *          `list`); other values are reported as `not-allowed` errors
+ * @property {?boolean} repeats - `true` if the field may occur more than once; its value is then an array of the
+ *          typed values of every occurrence, in order (or, for a `list`, the items of every occurrence). Otherwise,
+ *          the last occurrence is used, and a `repeated-field` error is reported.
+ */
+
+/**
+ * A schema for a header block: a `FieldSchema` for each field, keyed by field name. Field names are matched
+ * case-insensitively, and the typed values are returned under the names used in the schema.
+ *
+ * @typedef {Object.<string, FieldSchema>} HeaderSchema
+ */
+
+/**
+ * A problem found by applying a `HeaderSchema`.
+ *
+ * @typedef {object} SchemaError
+ *
+ * @property {string} field - the name of the offending field, as used in the schema
+ * @property {string} code - `'missing-field'`, `'invalid-value'`, `'not-allowed'` or `'repeated-field'`
+ * @property {string} message - a human-readable description of the problem
+ */
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * The built-in field types, each a function which converts a (processed) field body to a typed value, or throws an
+ * error if it can't:
+ *
+ * - `string`: the field body, unchanged
+ * - `number`: a decimal number
+ * - `boolean`: `true`, `yes`, `on` or `1` (`true`), or `false`, `no`, `off` or `0` (`false`), case-insensitively
+ * - `date`: a `Date`, parsed with `parseDate()`, or an ISO 8601 calendar date without a time (`2020-01-02`, taken as
+ *   midnight UTC)
+ * - `list`: an array of the comma-separated items of the field body, trimmed, without empty items
+ *
+ * @type {Object.<string, function>}
+ */
+var schemaTypes = {
+    string: function(value)
+    {
+        return value;
+    },
+
+    number: function(value)
+    {
+        if(!/^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i.test(value))
+        {
+            throw new Error(util.format("Invalid number: %j", value));
+        } // end if
+
+        return Number(value);
+    },
+
+    boolean: function(value)
+    {
+        switch(value.toLowerCase())
+        {
+            case 'true':
+            case 'yes':
+            case 'on':
+            case '1':
+                return true;
+
+            case 'false':
+            case 'no':
+            case 'off':
+            case '0':
+                return false;
+
+            default:
+                throw new Error(util.format("Invalid boolean: %j", value));
+        } // end switch
+    },
+
+    date: function(value, options)
+    {
+        var match = /^\s*(\d{4})-(\d{2})-(\d{2})\s*$/.exec(value);
+        if(match)
+        {
+            var time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+            // Reject days and months that don't exist (e.g. 2020-04-31), which `Date.UTC()` would roll over.
+            if(new Date(time).toISOString().slice(0, 10) != match.slice(1).join('-'))
+            {
+                throw new Error(util.format("Invalid date: %j", value));
+            } // end if
+
+            return new Date(time);
+        } // end if
+
+        var date = parseDate(value, options);
+        if(!date)
+        {
+            throw new Error(util.format("Invalid date: %j", value));
+        } // end if
+
+        return date;
+    },
+
+    list: function(value)
+    {
+        return value.split(',')
+            .map(function(item) { return item.trim(); })
+            .filter(function(item) { return item !== ''; });
+    },
+};
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Convert and validate parsed fields according to a schema.
+ *
+ * Each field in the schema is converted to its `type`; field bodies which have already been converted to something
+ * other than a string (e.g. by a value parser) are left as they are. Fields which aren't in the schema are kept as
+ * they are, using the last occurrence of each.
+ *
+ * Problems are not thrown; instead, the returned object holds a `SchemaError` for each problem, in the order of the
+ * fields in the schema, under the (non-enumerable) `symbols.schemaErrors` key, so that no field can shadow them.
+ * Fields with invalid values are left out of the returned object.
+ *
+ * @param {(HeaderEntry[]|Headers)} headers - the parsed fields (see the `repeated` and `collection` options of
+ *          `parseHeaders()`)
+ * @param {HeaderSchema} schema
+ * @param {GeneralOptions} options - passed to the type functions
+ *
+ * @returns {Object.<string, *>} the typed values, keyed by field name
+ */
+function applySchema(headers, schema, options)
+{
+    options = options || {};
+
+    var entries = Array.isArray(headers) ? headers : headers.toList();
+    var result = {};
+    var schemaErrors = [];
+
+    var schemaNames = Object.create(null);
+    Object.keys(schema).forEach(function(name)
+    {
+        schemaNames[name.toLowerCase()] = name;
+    });
+
+    var values = Object.create(null);
+    entries.forEach(function(entry)
+    {
+        var key = entry.name.toLowerCase();
+        if(key in schemaNames)
+        {
+            (values[key] = values[key] || []).push(entry.value);
+        }
+        else
+        {
+            setField(result, entry.name, entry.value);
+        } // end if
+    });
+
+    Object.keys(schema).forEach(function(name)
+    {
+        var fieldSchema = schema[name] || {};
+        var occurrences = values[name.toLowerCase()];
+
+        if(!occurrences)
+        {
+            if(fieldSchema.required)
+            {
+                addError(name, 'missing-field', util.format("Missing required field %j", name));
+            }
+            else if(fieldSchema.default !== undefined)
+            {
+                setField(result, name, fieldSchema.default);
+            } // end if
+
+            return;
+        } // end if
+
+        if(!fieldSchema.repeats && occurrences.length > 1)
+        {
+            addError(name, 'repeated-field', util.format("Field %j occurs %d times, but may only occur once", name,
+                occurrences.length));
+            occurrences = occurrences.slice(-1);
+        } // end if
+
+        var convert = getType(name, fieldSchema.type);
+        var typed = [];
+        var valid = occurrences.every(function(value)
+        {
+            try
+            {
+                typed.push(typeof value == 'string' ? convert(value, options) : value);
+                return true;
+            }
+            catch(exc)
+            {
+                addError(name, 'invalid-value', util.format("Invalid value for field %j: %s", name, exc.message));
+                return false;
+            } // end try
+        });
+
+        if(!valid)
+        {
+            return;
+        } // end if
+
+        var isList = fieldSchema.type == 'list';
+        if(fieldSchema.allowed)
+        {
+            var items = isList ? [].concat.apply([], typed) : typed;
+            var notAllowed = items.filter(function(item) { return fieldSchema.allowed.indexOf(item) == -1; });
+
+            if(notAllowed.length > 0)
+            {
+                addError(name, 'not-allowed', util.format("Value %j is not allowed for field %j (allowed: %s)",
+                    notAllowed[0], name, fieldSchema.allowed.map(JSON.stringify).join(', ')));
+                return;
+            } // end if
+        } // end if
+
+        if(fieldSchema.repeats)
+        {
+            setField(result, name, isList ? [].concat.apply([], typed) : typed);
+        }
+        else
+        {
+            setField(result, name, typed[0]);
+        } // end if
+    });
+
+    Object.defineProperty(result, symbols.schemaErrors, {value: schemaErrors});
+
+    return result;
+
+    function addError(field, code, message)
+    {
+        schemaErrors.push({field: field, code: code, message: message});
+    } // end addError
+} // end applySchema
+
+/**
+ * Look up the conversion function for a field's `type`.
+ *
+ * @private
+ */
+function getType(name, type)
+{
+    if(typeof type == 'function')
+    {
+        return type;
+    } // end if
+
+    type = type || 'string';
+    if(!schemaTypes.hasOwnProperty(type))
+    {
+        throw new Error(util.format("Unknown type for field %j: %j", name, type));
+    } // end if
+
+    return schemaTypes[type];
+} // end getType
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    schemaTypes: schemaTypes,
+    applySchema: applySchema,
+};
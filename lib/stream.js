@@ -0,0 +1,114 @@
+//---------------------------------------------------------------------------------------------------------------------
+// A streaming version of `extractHeaderBlock()`.
+//
+// @module header-parse/lib/stream
+//---------------------------------------------------------------------------------------------------------------------
+
+var stream = require('stream');
+var util = require('util');
+
+var HeaderParser = require('./parser');
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * A Transform stream which separates the header block from the body of a document.
+ *
+ * Data written to the stream is fed to a `HeaderParser` until the header block's terminating null line arrives, at
+ * which point a `headers` event is emitted with an object containing `headerBlock` and (unless `parse` is disabled)
+ * `headers`, as `extractHeaderBlock()` would return them. Everything after the null line is passed through,
+ * byte-for-byte, as the readable side of the stream.
+ *
+ * The same strict/lenient separator rules are used as in `extractHeaderBlock()`, regardless of how the data is split
+ * into chunks. If the data turns out not to start with a header block (or the stream ends before the null line), the
+ * `headers` event is emitted with an empty object, and all of the data is passed through as the body.
+ *
+ * Parsing errors (e.g., invalid header block data in **strict** mode) are emitted as `error` events.
+ *
+ * @param {ExtractHeaderBlockOptions} options - options to control the extraction/parsing process; these are also passed
+ *          to the `stream.Transform` constructor
+ *
+ * @constructor
+ * @extends stream.Transform
+ */
+function HeaderBlockStream(options)
+{
+    if(!(this instanceof HeaderBlockStream))
+    {
+        return new HeaderBlockStream(options);
+    } // end if
+
+    options = options || {};
+    stream.Transform.call(this, options);
+
+    this.options = options;
+
+    this._parser = new HeaderParser(options);
+    this.mode = this._parser.mode;
+    this._inBody = false;
+} // end HeaderBlockStream
+
+util.inherits(HeaderBlockStream, stream.Transform);
+
+HeaderBlockStream.prototype._transform = function(chunk, encoding, callback)
+{
+    if(this._inBody)
+    {
+        return callback(null, chunk);
+    } // end if
+
+    try
+    {
+        if(!this._parser.write(chunk))
+        {
+            return callback();
+        } // end if
+    }
+    catch(exc)
+    {
+        return callback(exc);
+    } // end try
+
+    this._startBody(callback);
+}; // end _transform
+
+HeaderBlockStream.prototype._flush = function(callback)
+{
+    if(this._inBody)
+    {
+        return callback();
+    } // end if
+
+    this._parser.end();
+    this._startBody(callback);
+}; // end _flush
+
+HeaderBlockStream.prototype._startBody = function(callback)
+{
+    var parser = this._parser;
+    var doc = {};
+
+    this._inBody = true;
+
+    if(parser.headerBlock !== undefined)
+    {
+        doc.headerBlock = parser.headerBlock;
+        if(parser.headers !== undefined)
+        {
+            doc.headers = parser.headers;
+        } // end if
+    } // end if
+
+    this.emit('headers', doc);
+
+    if(parser.leftover.length > 0)
+    {
+        this.push(parser.leftover);
+    } // end if
+
+    callback();
+}; // end _startBody
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = HeaderBlockStream;
@@ -0,0 +1,141 @@
+//---------------------------------------------------------------------------------------------------------------------
+// Handling of the quoted-strings, comments and quoted-pairs in structured field bodies.
+//
+// @module header-parse/lib/structured
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * A part of a structured field body, as returned by `splitStructured()`.
+ *
+ * @typedef {object} StructuredSegment
+ *
+ * @property {string} text - the text of the segment (for quoted-strings and comments, including the delimiters)
+ * @property {string} type - `'text'` for anything outside quoted-strings, comments and quoted-pairs; otherwise
+ *          `'quoted-string'`, `'comment'` or `'quoted-pair'`
+ */
+
+//---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Split a structured field body into quoted-strings, comments and quoted-pairs, and the text between them.
+ *
+ * From [RFC822 section 3.3][]:
+ * > quoted-string = <"> *(qtext/quoted-pair) <">
+ * > comment       =  "(" *(ctext / quoted-pair / comment) ")"
+ * > quoted-pair   =  "\" CHAR
+ *
+ * Comments may be nested. Parentheses inside quoted-strings, and double quotes inside comments, are ordinary
+ * characters. An unterminated quoted-string or comment runs to the end of the data.
+ *
+ * [RFC822 section 3.3]: https://tools.ietf.org/html/rfc822#section-3.3 "LEXICAL TOKENS"
+ *
+ * @param {(string|Buffer)} data - the field body
+ *
+ * @returns {StructuredSegment[]} the segments, which together make up the whole of `data`
+ */
+function splitStructured(data)
+{
+    data = data.toString();
+
+    var segments = [];
+    var textStart = 0, pos = 0;
+
+    while(pos < data.length)
+    {
+        var ch = data[pos];
+        var type = (ch == '"') ? 'quoted-string' : (ch == '(') ? 'comment' : (ch == '\\') ? 'quoted-pair' : null;
+
+        if(!type)
+        {
+            pos++;
+            continue;
+        } // end if
+
+        if(pos > textStart)
+        {
+            segments.push({text: data.slice(textStart, pos), type: 'text'});
+        } // end if
+
+        var start = pos;
+        pos = (type == 'quoted-pair') ? Math.min(pos + 2, data.length) : delimitedEnd(data, pos);
+
+        segments.push({text: data.slice(start, pos), type: type});
+        textStart = pos;
+    } // end while
+
+    if(pos > textStart)
+    {
+        segments.push({text: data.slice(textStart, pos), type: 'text'});
+    } // end if
+
+    return segments;
+} // end splitStructured
+
+/**
+ * Find the end of the quoted-string or comment starting at `pos`.
+ *
+ * @returns {number} the offset just after its closing delimiter (or the length of the data, if it is unterminated)
+ *
+ * @private
+ */
+function delimitedEnd(data, pos)
+{
+    var comment = data[pos] == '(';
+    var depth = 1;
+
+    pos++; // skip the opening delimiter
+    while(pos < data.length)
+    {
+        var ch = data[pos++];
+
+        if(ch == '\\')
+        {
+            pos++; // skip the quoted character
+        }
+        else if(!comment && ch == '"')
+        {
+            return pos;
+        }
+        else if(comment && ch == '(')
+        {
+            depth++;
+        }
+        else if(comment && ch == ')' && --depth === 0)
+        {
+            return pos;
+        } // end if
+    } // end while
+
+    return data.length;
+} // end delimitedEnd
+
+/**
+ * Remove all comments from a structured field body, replacing each one with a single space, since a comment separates
+ * the tokens around it. Comments are found as described by `splitStructured()`: parentheses inside quoted-strings or
+ * escaped as quoted-pairs don't start or end comments. Use `collapse()` afterwards to tidy up the resulting whitespace.
+ *
+ * From [RFC822 section 3.4.3][]:
+ * > A comment is a set of ASCII characters, which is enclosed in matching parentheses and which is not within a
+ * > quoted-string. The comment construct permits message originators to add text which will be useful for human
+ * > readers, but which will be ignored by the formal semantics.
+ *
+ * [RFC822 section 3.4.3]: https://tools.ietf.org/html/rfc822#section-3.4.3 "COMMENTS"
+ *
+ * @param {(string|Buffer)} data - the field body
+ *
+ * @returns {string} the field body, without comments
+ */
+function stripComments(data)
+{
+    return splitStructured(data).map(function(segment)
+    {
+        return (segment.type == 'comment') ? ' ' : segment.text;
+    }).join('');
+} // end stripComments
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = {
+    splitStructured: splitStructured,
+    stripComments: stripComments,
+};
@@ -0,0 +1,26 @@
+//---------------------------------------------------------------------------------------------------------------------
+// The keys under which parsed headers carry information about the parse, alongside the fields themselves.
+//
+// @module header-parse/lib/symbols
+//---------------------------------------------------------------------------------------------------------------------
+/* globals Symbol */
+
+/**
+ * Symbols keying the (non-enumerable) information that `parseHeaders()` attaches to the headers it returns. Field
+ * names are always strings, so these can never collide with a field, whatever it is called.
+ *
+ * - `locations`: the `HeaderLocation` of each field, in order, if the `locations` option was set
+ * - `diagnostics`: the `Diagnostic`s found in the header block, if the `diagnostics` option was set
+ * - `schemaErrors`: the `SchemaError`s found by applying the `schema` option (or by `applySchema()`), if it was set
+ *
+ * For example, `parseHeaders(data, {locations: true})[headerParse.symbols.locations]`.
+ */
+var symbols = {
+    locations: Symbol('locations'),
+    diagnostics: Symbol('diagnostics'),
+    schemaErrors: Symbol('schemaErrors'),
+};
+
+//---------------------------------------------------------------------------------------------------------------------
+
+module.exports = symbols;
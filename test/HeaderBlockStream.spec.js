@@ -0,0 +1,203 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for HeaderBlockStream
+//
+// @module test/HeaderBlockStream.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it, before */
+// jshint multistr: true
+
+var assert = require('assert');
+
+var HeaderBlockStream = require('../header-parse').HeaderBlockStream;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var strict_doc = 'Title: A simple document containing meta-headers\r\n\
+CSS: style.css\r\n\
+\r\n\
+# A simple document containing meta-headers #\r\n\
+\r\n\
+Content of the document!\r\n';
+var strict_doc_expected = {
+    headerBlock: 'Title: A simple document containing meta-headers\r\nCSS: style.css\r\n',
+    headers: {
+        Title: 'A simple document containing meta-headers',
+        CSS: 'style.css',
+    },
+};
+var strict_doc_body = '# A simple document containing meta-headers #\r\n\r\nContent of the document!\r\n';
+
+var lenient_doc = strict_doc.replace(/\r\n/g, '\n');
+var lenient_doc_expected = {
+    headerBlock: 'Title: A simple document containing meta-headers\nCSS: style.css\n',
+    headers: {
+        Title: 'A simple document containing meta-headers',
+        CSS: 'style.css',
+    },
+};
+var lenient_doc_body = strict_doc_body.replace(/\r\n/g, '\n');
+
+var no_headers_doc = '# A document without meta-headers #\r\n\r\nContent of the document!\r\n';
+
+var utf8_doc = 'Title: Café\r\n\r\nCrème brûlée\r\n';
+var utf8_doc_expected = {
+    headerBlock: 'Title: Café\r\n',
+    headers: {Title: 'Café'},
+};
+var utf8_doc_body = 'Crème brûlée\r\n';
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Write `data` to a new HeaderBlockStream in chunks of `chunkSize` bytes, and collect the results.
+ */
+function run(data, chunkSize, options, callback)
+{
+    var headerStream = new HeaderBlockStream(options);
+    var doc, body = [];
+
+    headerStream.on('headers', function(d) { doc = d; });
+    headerStream.on('data', function(chunk) { body.push(chunk); });
+    headerStream.on('error', callback);
+    headerStream.on('end', function()
+    {
+        callback(null, doc, Buffer.concat(body).toString());
+    });
+
+    data = Buffer.from(data);
+    for(var idx = 0; idx < data.length; idx += chunkSize)
+    {
+        headerStream.write(data.slice(idx, idx + chunkSize));
+    } // end for
+    headerStream.end();
+} // end run
+
+function expect(data, chunkSize, options, expectedDoc, expectedBody, done)
+{
+    run(data, chunkSize, options, function(error, doc, body)
+    {
+        if(error)
+        {
+            return done(error);
+        } // end if
+
+        try
+        {
+            assert.deepEqual(doc, expectedDoc);
+            assert.strictEqual(body, expectedBody);
+        }
+        catch(exc)
+        {
+            return done(exc);
+        } // end try
+
+        done();
+    });
+} // end expect
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var options;
+
+var sharedTests = {
+    'parses a basic document using CRLF newlines written in one chunk': function(done)
+    {
+        expect(strict_doc, strict_doc.length, options, strict_doc_expected, strict_doc_body, done);
+    },
+
+    'parses a basic document using CRLF newlines written one byte at a time': function(done)
+    {
+        expect(strict_doc, 1, options, strict_doc_expected, strict_doc_body, done);
+    },
+
+    'parses a basic document using CRLF newlines written in uneven chunks': function(done)
+    {
+        expect(strict_doc, 7, options, strict_doc_expected, strict_doc_body, done);
+    },
+
+    'passes through a document without a header block as the body': function(done)
+    {
+        expect(no_headers_doc, 5, options, {}, no_headers_doc, done);
+    },
+
+    'passes through a document that ends before the header block does as the body': function(done)
+    {
+        var truncated = 'Title: A simple document\r\nCSS: sty';
+
+        expect(truncated, 3, options, {}, truncated, done);
+    },
+
+    'decodes the header block and passes the body through byte-for-byte': function(done)
+    {
+        expect(utf8_doc, 3, options, utf8_doc_expected, utf8_doc_body, done);
+    },
+
+    'does not parse headers when parsing is disabled': function(done)
+    {
+        var opts = {strict: options.strict, parse: false};
+
+        expect(strict_doc, 4, opts, {headerBlock: strict_doc_expected.headerBlock}, strict_doc_body, done);
+    },
+};
+
+describe('HeaderBlockStream', function()
+{
+    describe('in strict mode', function()
+    {
+        before(function()
+        {
+            options = {strict: true};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('doesn\'t parse a basic document using LF newlines', function(done)
+        {
+            expect(lenient_doc, 3, options, {}, lenient_doc, done);
+        });
+
+        it('splits on a CRLF CRLF sequence split across chunks', function(done)
+        {
+            var split = strict_doc.indexOf('\r\n\r\n') + 3;
+            var headerStream = new HeaderBlockStream(options);
+            var doc;
+
+            headerStream.on('headers', function(d) { doc = d; });
+            headerStream.write(strict_doc.slice(0, split));
+
+            assert.strictEqual(doc, undefined);
+
+            headerStream.end(strict_doc.slice(split));
+
+            assert.deepEqual(doc, strict_doc_expected);
+            done();
+        });
+    }); // end describe 'in strict mode'
+
+    describe('in lenient mode', function()
+    {
+        before(function()
+        {
+            options = {};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('parses a basic document using LF newlines written one byte at a time', function(done)
+        {
+            expect(lenient_doc, 1, options, lenient_doc_expected, lenient_doc_body, done);
+        });
+
+        it('decodes field names as UTF-8 when checking for a header block', function(done)
+        {
+            var expected = {headerBlock: 'Voilà: x\nTitle: y\n', headers: {'Voilà': 'x', Title: 'y'}};
+            expect('Voilà: x\nTitle: y\n\nbody', 1, options, expected, 'body', done);
+        });
+    }); // end describe 'in lenient mode'
+}); // end describe 'HeaderBlockStream'
@@ -0,0 +1,225 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for HeaderDocument
+//
+// @module test/HeaderDocument.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+// jshint multistr: true
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var HeaderDocument = headerParse.HeaderDocument;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var strict_doc = 'Received: from a.example.com\r\n\
+\tby b.example.com;  Tue, 1 Jul 2003 10:52:37 +0200\r\n\
+subject:Tightly   spaced\r\n\
+Received: from c.example.com\r\n\
+To:    someone@example.com\r\n\
+\r\n\
+Body text\r\n';
+
+var lenient_doc = 'Title: A simple document\n\
+CSS:   style.css  \r\n\
+\n\
+# Body #\n';
+
+var http_doc = 'Host: example.com\r\n\
+Not a field\r\n\
+Accept: */*\r\n\
+\r\n';
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('HeaderDocument', function()
+{
+    describe('in strict mode', function()
+    {
+        var options = {strict: true};
+
+        it('re-serializes an unedited document byte-for-byte', function()
+        {
+            assert.strictEqual(new HeaderDocument(strict_doc, options).toString(), strict_doc);
+            assert.strictEqual(new HeaderDocument(Buffer.from(strict_doc), options).toString(), strict_doc);
+        });
+
+        it('keeps the raw text, name spelling and value of each field', function()
+        {
+            var doc = new HeaderDocument(strict_doc, options);
+
+            assert.deepEqual(doc.nodes[1], {
+                type: 'field',
+                raw: 'subject:Tightly   spaced\r\n',
+                name: 'subject',
+                rawValue: 'Tightly   spaced',
+            });
+            assert.strictEqual(doc.nullLine, '\r\n');
+            assert.strictEqual(doc.body, 'Body text\r\n');
+        });
+
+        it('gets processed values case-insensitively', function()
+        {
+            var doc = new HeaderDocument(strict_doc, options);
+
+            assert.strictEqual(doc.get('SUBJECT'), 'Tightly spaced');
+            assert.deepEqual(doc.getAll('received'), [
+                'from a.example.com by b.example.com; Tue, 1 Jul 2003 10:52:37 +0200',
+                'from c.example.com',
+            ]);
+            assert(doc.has('to'));
+            assert(!doc.has('From'));
+        });
+
+        it('sets a field in place, keeping its name spelling and separator, and every other byte', function()
+        {
+            var doc = new HeaderDocument(strict_doc, options);
+
+            doc.set('Subject', 'Changed');
+
+            assert.strictEqual(doc.toString(), strict_doc.replace('subject:Tightly   spaced', 'subject:Changed'));
+        });
+
+        it('replaces every occurrence of a repeated field when setting it', function()
+        {
+            var doc = new HeaderDocument(strict_doc, options);
+
+            doc.set('Received', 'from z.example.com');
+
+            assert.strictEqual(doc.toString(), 'Received: from z.example.com\r\n\
+subject:Tightly   spaced\r\n\
+To:    someone@example.com\r\n\
+\r\n\
+Body text\r\n');
+        });
+
+        it('inserts a field before another one', function()
+        {
+            var doc = new HeaderDocument(strict_doc, options);
+
+            doc.insertBefore('to', 'DKIM-Signature', 'v=1; a=rsa-sha256');
+
+            assert.strictEqual(doc.toString(), strict_doc.replace('To:', 'DKIM-Signature: v=1; a=rsa-sha256\r\nTo:'));
+        });
+
+        it('throws an error when inserting before a field that isn\'t present', function()
+        {
+            var doc = new HeaderDocument(strict_doc, options);
+
+            assert.throws(function()
+            {
+                doc.insertBefore('From', 'Sender', 'someone@example.com');
+            }, /Field not found/);
+        });
+
+        it('removes every occurrence of a field, including its folded lines', function()
+        {
+            var doc = new HeaderDocument(strict_doc, options);
+
+            assert.strictEqual(doc.remove('received'), true);
+            assert.strictEqual(doc.remove('received'), false);
+            assert.strictEqual(doc.toString(), 'subject:Tightly   spaced\r\n\
+To:    someone@example.com\r\n\
+\r\n\
+Body text\r\n');
+        });
+
+        it('folds long values that are added', function()
+        {
+            var doc = new HeaderDocument(strict_doc, options);
+            var value = new Array(21).join('word ').trim();
+
+            doc.append('Keywords', value);
+
+            assert.strictEqual(doc.toString(), strict_doc.replace('\r\n\r\n', '\r\n\
+Keywords: word word word word word word word word word word word word word\r\n\
+ word word word word word word word\r\n\r\n'));
+            assert.strictEqual(doc.get('Keywords'), value);
+        });
+
+        it('throws an error on invalid field names', function()
+        {
+            var doc = new HeaderDocument(strict_doc, options);
+
+            assert.throws(function()
+            {
+                doc.append('Bad Name', 'value');
+            }, /Invalid field name/);
+        });
+
+        it('adds a header block to a document without one', function()
+        {
+            var doc = new HeaderDocument('Just a body\r\n', options);
+
+            assert.deepEqual(doc.nodes, []);
+
+            doc.append('Title', 'New');
+
+            assert.strictEqual(doc.toString(), 'Title: New\r\n\r\nJust a body\r\n');
+        });
+    }); // end describe 'in strict mode'
+
+    describe('in lenient mode', function()
+    {
+        it('re-serializes a document with mixed newlines byte-for-byte', function()
+        {
+            assert.strictEqual(new HeaderDocument(lenient_doc).toString(), lenient_doc);
+        });
+
+        it('uses the document\'s newline for new fields', function()
+        {
+            var doc = new HeaderDocument(lenient_doc);
+
+            doc.insertBefore('css', 'Author', 'Someone');
+
+            assert.strictEqual(doc.toString(), lenient_doc.replace('CSS:', 'Author: Someone\nCSS:'));
+        });
+
+        it('keeps the whitespace after the colon when setting a field', function()
+        {
+            var doc = new HeaderDocument(lenient_doc);
+
+            doc.set('css', 'other.css');
+
+            assert.strictEqual(doc.toString(), lenient_doc.replace('CSS:   style.css  \r\n', 'CSS:   other.css\n'));
+        });
+    }); // end describe 'in lenient mode'
+
+    describe('in http mode', function()
+    {
+        var options = {mode: 'http'};
+
+        it('keeps lines that aren\'t fields as other nodes', function()
+        {
+            var doc = new HeaderDocument(http_doc, options);
+
+            assert.deepEqual(doc.nodes.map(function(node) { return node.type; }), ['field', 'other', 'field']);
+            assert.strictEqual(doc.nodes[1].raw, 'Not a field\r\n');
+
+            doc.remove('host');
+
+            assert.strictEqual(doc.toString(), 'Not a field\r\nAccept: */*\r\n\r\n');
+        });
+    }); // end describe 'in http mode'
+
+    describe('in a custom dialect', function()
+    {
+        headerParse.defineDialect('document-kv', {separator: '=', whitespaceBeforeSeparator: true});
+        var options = {dialect: 'document-kv'};
+
+        it('gets the value of a field it has set, whatever precedes the separator', function()
+        {
+            var doc = new HeaderDocument('title = Hello\nauthor=Someone\n\nBody\n', options);
+
+            doc.set('title', 'World');
+            doc.set('author', 'Someone else');
+            doc.append('year', '2020');
+
+            assert.strictEqual(doc.get('title'), 'World');
+            assert.strictEqual(doc.get('author'), 'Someone else');
+            assert.strictEqual(doc.get('year'), '2020');
+            assert.strictEqual(doc.toString(), 'title = World\nauthor=Someone else\nyear= 2020\n\nBody\n');
+        });
+    }); // end describe 'in a custom dialect'
+}); // end describe 'HeaderDocument'
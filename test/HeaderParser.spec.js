@@ -0,0 +1,319 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for HeaderParser
+//
+// @module test/HeaderParser.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it, before */
+// jshint multistr: true
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var HeaderParser = headerParse.HeaderParser;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var strict_doc = 'Title: A simple document containing meta-headers\r\n\
+CSS: style.css\r\n\
+\r\n\
+# A simple document containing meta-headers #\r\n\
+\r\n\
+Content of the document!\r\n';
+var strict_doc_headerBlock = 'Title: A simple document containing meta-headers\r\nCSS: style.css\r\n';
+var strict_doc_headers = {
+    Title: 'A simple document containing meta-headers',
+    CSS: 'style.css',
+};
+var strict_doc_body = '# A simple document containing meta-headers #\r\n\r\nContent of the document!\r\n';
+
+var lenient_doc = strict_doc.replace(/\r\n/g, '\n');
+var lenient_doc_body = strict_doc_body.replace(/\r\n/g, '\n');
+
+var no_headers_doc = '# A document without meta-headers #\r\n\r\nContent of the document!\r\n';
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+/**
+ * Write `data` to a new HeaderParser in chunks of `chunkSize` bytes, stopping once it reports that it is complete.
+ */
+function run(data, chunkSize, options)
+{
+    var parser = new HeaderParser(options);
+
+    data = Buffer.from(data);
+    for(var idx = 0; idx < data.length; idx += chunkSize)
+    {
+        if(parser.write(data.slice(idx, idx + chunkSize)))
+        {
+            // Hand the rest of the data to the parser as well, as a server would with the rest of the body.
+            parser.write(data.slice(idx + chunkSize));
+            return parser;
+        } // end if
+    } // end for
+
+    parser.end();
+    return parser;
+} // end run
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var options;
+
+var sharedTests = {
+    'parses a basic document using CRLF newlines written in one chunk': function()
+    {
+        var parser = run(strict_doc, strict_doc.length, options);
+
+        assert(parser.complete);
+        assert.strictEqual(parser.headerBlock, strict_doc_headerBlock);
+        assert.deepEqual(parser.headers, strict_doc_headers);
+        assert.strictEqual(parser.leftover.toString(), strict_doc_body);
+    },
+
+    'parses a basic document using CRLF newlines written one byte at a time': function()
+    {
+        var parser = run(strict_doc, 1, options);
+
+        assert.strictEqual(parser.headerBlock, strict_doc_headerBlock);
+        assert.deepEqual(parser.headers, strict_doc_headers);
+        assert.strictEqual(parser.leftover.toString(), strict_doc_body);
+    },
+
+    'returns true from write() only once the null line has been written': function()
+    {
+        var parser = new HeaderParser(options);
+        var split = strict_doc.indexOf('\r\n\r\n') + 3;
+
+        assert.strictEqual(parser.write(strict_doc.slice(0, split)), false);
+        assert.strictEqual(parser.complete, false);
+        assert.strictEqual(parser.headers, undefined);
+
+        assert.strictEqual(parser.write(strict_doc.slice(split)), true);
+        assert.strictEqual(parser.complete, true);
+        assert.deepEqual(parser.headers, strict_doc_headers);
+        assert.strictEqual(parser.leftover.toString(), strict_doc_body);
+    },
+
+    'holds a lone CR at the end of a chunk until the next chunk arrives': function()
+    {
+        var parser = new HeaderParser(options);
+
+        assert.strictEqual(parser.write('Title: Test\r'), false);
+        assert.strictEqual(parser.write('\n\r'), false);
+        assert.strictEqual(parser.write('\nBody'), true);
+
+        assert.strictEqual(parser.headerBlock, 'Title: Test\r\n');
+        assert.deepEqual(parser.headers, {Title: 'Test'});
+        assert.strictEqual(parser.leftover.toString(), 'Body');
+    },
+
+    'appends data written after completion to the leftover bytes': function()
+    {
+        var parser = new HeaderParser(options);
+
+        assert.strictEqual(parser.write('Title: Test\r\n\r\nBo'), true);
+        assert.strictEqual(parser.write('dy'), true);
+        assert.strictEqual(parser.leftover.toString(), 'Body');
+    },
+
+    'completes without a header block as soon as a line can\'t be part of one': function()
+    {
+        var parser = new HeaderParser(options);
+
+        assert.strictEqual(parser.write(no_headers_doc.slice(0, 40)), true);
+        assert.strictEqual(parser.headerBlock, undefined);
+        assert.strictEqual(parser.headers, undefined);
+        assert.strictEqual(parser.leftover.toString(), no_headers_doc.slice(0, 40));
+    },
+
+    'returns everything as leftover if the data ends before the header block does': function()
+    {
+        var truncated = 'Title: A simple document\r\nCSS: sty';
+        var parser = run(truncated, 3, options);
+
+        assert(parser.complete);
+        assert.strictEqual(parser.headerBlock, undefined);
+        assert.strictEqual(parser.leftover.toString(), truncated);
+    },
+
+    'decodes the header block and leaves the body bytes intact': function()
+    {
+        var parser = run('Title: Café\r\n\r\nCrème brûlée\r\n', 1, options);
+
+        assert.strictEqual(parser.headerBlock, 'Title: Café\r\n');
+        assert.deepEqual(parser.headers, {Title: 'Café'});
+        assert.strictEqual(parser.leftover.toString(), 'Crème brûlée\r\n');
+    },
+
+    'does not parse headers when parsing is disabled': function()
+    {
+        var parser = run(strict_doc, 5, {mode: options.mode, strict: options.strict, parse: false});
+
+        assert.strictEqual(parser.headerBlock, strict_doc_headerBlock);
+        assert.strictEqual(parser.headers, undefined);
+    },
+
+    'throws a LineLengthError as soon as a line grows longer than maxLineLength': function()
+    {
+        var parser = new HeaderParser({mode: options.mode, strict: options.strict, maxLineLength: 20});
+
+        assert.strictEqual(parser.write('Title: 0123456789\r\nCSS: 0123456789'), false);
+        assert.throws(function()
+        {
+            parser.write('0123456789');
+        }, function(error)
+        {
+            return error instanceof headerParse.LineLengthError && error.line == 2;
+        });
+    },
+
+    'throws a HeaderBlockSizeError as soon as the header block grows larger than maxHeaderBlockSize': function()
+    {
+        var parser = new HeaderParser({mode: options.mode, strict: options.strict, maxHeaderBlockSize: 30});
+
+        assert.strictEqual(parser.write('Title: 0123456789\r\n'), false);
+        assert.throws(function()
+        {
+            parser.write('CSS: 0123456789');
+        }, headerParse.HeaderBlockSizeError);
+    },
+};
+
+describe('HeaderParser', function()
+{
+    describe('in strict mode', function()
+    {
+        before(function()
+        {
+            options = {strict: true};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('doesn\'t parse a basic document using LF newlines', function()
+        {
+            var parser = run(lenient_doc, 3, options);
+
+            assert.strictEqual(parser.headerBlock, undefined);
+            assert.strictEqual(parser.leftover.toString(), lenient_doc);
+        });
+
+        it('rejects a lone CR inside a line, even when split across chunks', function()
+        {
+            var parser = new HeaderParser(options);
+
+            parser.write('Title: A\r');
+            assert.strictEqual(parser.write('B\r\n\r\n'), true);
+            assert.strictEqual(parser.headerBlock, undefined);
+            assert.strictEqual(parser.leftover.toString(), 'Title: A\rB\r\n\r\n');
+        });
+    }); // end describe 'in strict mode'
+
+    describe('in lenient mode', function()
+    {
+        before(function()
+        {
+            options = {};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('parses a basic document using LF newlines written one byte at a time', function()
+        {
+            var parser = run(lenient_doc, 1, options);
+
+            assert.strictEqual(parser.headerBlock, strict_doc_headerBlock.replace(/\r\n/g, '\n'));
+            assert.deepEqual(parser.headers, strict_doc_headers);
+            assert.strictEqual(parser.leftover.toString(), lenient_doc_body);
+        });
+
+        it('parses folded fields split across chunks', function()
+        {
+            var parser = run('Title: A simple\n  document\nCSS: style.css\n\nBody', 2, options);
+
+            assert.deepEqual(parser.headers, {Title: 'A simple document', CSS: 'style.css'});
+            assert.strictEqual(parser.leftover.toString(), 'Body');
+        });
+
+        it('decodes lines as UTF-8 before checking them, as extractHeaderBlock() does', function()
+        {
+            // The second byte of "à" (`\xa0`) would be whitespace if it were checked as a character on its own.
+            var doc = 'Voilà: x\nTitle: y\n\nbody';
+            var expected = headerParse.extractHeaderBlock(doc);
+
+            [1, 5, doc.length].forEach(function(chunkSize)
+            {
+                var parser = run(doc, chunkSize, options);
+
+                assert.strictEqual(parser.headerBlock, expected.headerBlock);
+                assert.deepEqual(parser.headers, expected.headers);
+                assert.strictEqual(parser.leftover.toString(), expected.body);
+            });
+        });
+
+        it('scans a long field name written one byte at a time in linear time', function()
+        {
+            var start = Date.now();
+            var parser = run('X-' + new Array(40000).join('a') + ': y\n\nBody', 1, options);
+
+            assert.strictEqual(parser.leftover.toString(), 'Body');
+            assert(Date.now() - start < 1000);
+        });
+    }); // end describe 'in lenient mode'
+
+    describe('in http mode', function()
+    {
+        before(function()
+        {
+            options = {mode: 'http'};
+        });
+
+        for(var desc in sharedTests)
+        {
+            if(desc.indexOf('can\'t be part of one') == -1)
+            {
+                it(desc, sharedTests[desc]);
+            } // end if
+        } // end for
+
+        it('agrees with extractHeaderBlock() on lines with stray line terminators', function()
+        {
+            var docs = [
+                'A: b\r\n#\rx\tbAb\n\r\n',
+                'A: b\r\nc\rd\n\r\n\r\nBody',
+                'A=\r\r\n\r\nBody',
+                'A\u2028b\r\n\r\n',
+            ];
+
+            docs.forEach(function(doc)
+            {
+                var expected = headerParse.extractHeaderBlock(doc, {mode: 'http', parse: false});
+
+                [1, 3, doc.length].forEach(function(chunkSize)
+                {
+                    var parser = run(doc, chunkSize, {mode: 'http', parse: false});
+
+                    assert.strictEqual(parser.headerBlock, expected.headerBlock, JSON.stringify(doc));
+                    assert.strictEqual(parser.leftover.toString(), expected.body, JSON.stringify(doc));
+                });
+            });
+        });
+
+        it('throws on invalid header block data once the null line arrives', function()
+        {
+            var parser = new HeaderParser(options);
+
+            assert.strictEqual(parser.write('Host: example.com\r\nnot a field\r\n'), false);
+            assert.throws(function()
+            {
+                parser.write('\r\n');
+            }, /Invalid header block data/);
+        });
+    }); // end describe 'in http mode'
+}); // end describe 'HeaderParser'
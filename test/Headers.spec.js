@@ -0,0 +1,203 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for Headers
+//
+// @module test/Headers.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it, beforeEach */
+
+var assert = require('assert');
+
+var Headers = require('../header-parse').Headers;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var list = [
+    {name: 'Received', value: 'from a.example.com'},
+    {name: 'content-type', value: 'text/plain'},
+    {name: 'RECEIVED', value: 'from b.example.com'},
+];
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('Headers', function()
+{
+    var headers;
+
+    beforeEach(function()
+    {
+        headers = new Headers(list);
+    });
+
+    describe('constructor', function()
+    {
+        it('accepts a plain object, including array values', function()
+        {
+            headers = new Headers({'Content-Type': 'text/plain', 'Received': ['from a', 'from b']});
+
+            assert.deepEqual(headers.entries(), [
+                ['Content-Type', 'text/plain'],
+                ['Received', 'from a'],
+                ['Received', 'from b'],
+            ]);
+        });
+
+        it('copies another Headers collection', function()
+        {
+            var copy = new Headers(headers);
+            copy.delete('Received');
+
+            assert.strictEqual(headers.length, 3);
+            assert.strictEqual(copy.length, 1);
+        });
+
+        it('canonicalizes names when requested', function()
+        {
+            headers = new Headers(list, {canonicalize: true});
+
+            assert.deepEqual(headers.keys(), ['Received', 'Content-Type']);
+        });
+    }); // end describe 'constructor'
+
+    describe('.get()', function()
+    {
+        it('looks up fields case-insensitively', function()
+        {
+            assert.strictEqual(headers.get('Content-Type'), 'text/plain');
+            assert.strictEqual(headers.get('CONTENT-TYPE'), 'text/plain');
+        });
+
+        it('returns the last value of a repeated field', function()
+        {
+            assert.strictEqual(headers.get('received'), 'from b.example.com');
+        });
+
+        it('returns undefined for a missing field', function()
+        {
+            assert.strictEqual(headers.get('Subject'), undefined);
+        });
+    }); // end describe '.get()'
+
+    describe('.getAll()', function()
+    {
+        it('returns every value of a repeated field, in order', function()
+        {
+            assert.deepEqual(headers.getAll('Received'), ['from a.example.com', 'from b.example.com']);
+        });
+
+        it('returns an empty array for a missing field', function()
+        {
+            assert.deepEqual(headers.getAll('Subject'), []);
+        });
+    }); // end describe '.getAll()'
+
+    describe('.has()', function()
+    {
+        it('checks for fields case-insensitively', function()
+        {
+            assert.strictEqual(headers.has('CONTENT-type'), true);
+            assert.strictEqual(headers.has('Subject'), false);
+        });
+    }); // end describe '.has()'
+
+    describe('.set()', function()
+    {
+        it('replaces every occurrence, keeping the position of the first', function()
+        {
+            headers.set('received', 'from c.example.com');
+
+            assert.deepEqual(headers.entries(), [
+                ['received', 'from c.example.com'],
+                ['content-type', 'text/plain'],
+            ]);
+        });
+
+        it('appends a missing field', function()
+        {
+            headers.set('Subject', 'Hello');
+
+            assert.deepEqual(headers.entries()[3], ['Subject', 'Hello']);
+        });
+    }); // end describe '.set()'
+
+    describe('.append()', function()
+    {
+        it('adds a new occurrence after all existing fields', function()
+        {
+            headers.append('received', 'from c.example.com');
+
+            assert.deepEqual(headers.getAll('Received'),
+                ['from a.example.com', 'from b.example.com', 'from c.example.com']);
+            assert.strictEqual(headers.length, 4);
+        });
+    }); // end describe '.append()'
+
+    describe('.delete()', function()
+    {
+        it('removes every occurrence case-insensitively', function()
+        {
+            assert.strictEqual(headers.delete('received'), true);
+            assert.deepEqual(headers.entries(), [['content-type', 'text/plain']]);
+        });
+
+        it('returns false for a missing field', function()
+        {
+            assert.strictEqual(headers.delete('Subject'), false);
+            assert.strictEqual(headers.length, 3);
+        });
+    }); // end describe '.delete()'
+
+    describe('.entries()', function()
+    {
+        it('keeps the original spelling of each occurrence', function()
+        {
+            assert.deepEqual(headers.entries(), [
+                ['Received', 'from a.example.com'],
+                ['content-type', 'text/plain'],
+                ['RECEIVED', 'from b.example.com'],
+            ]);
+        });
+    }); // end describe '.entries()'
+
+    describe('.toObject()', function()
+    {
+        it('keeps the last value of each field by default', function()
+        {
+            assert.deepEqual(headers.toObject(), {'Received': 'from b.example.com', 'content-type': 'text/plain'});
+        });
+
+        it('keeps every value of each field in array mode', function()
+        {
+            assert.deepEqual(headers.toObject('array'), {
+                'Received': ['from a.example.com', 'from b.example.com'],
+                'content-type': ['text/plain'],
+            });
+        });
+
+        it('keeps fields with any name', function()
+        {
+            var proto = '__proto__';
+            headers = new Headers([
+                {name: proto, value: 'x'},
+                {name: 'Constructor', value: 'y'},
+                {name: proto, value: 'z'},
+            ]);
+
+            assert.deepEqual(headers.keys(), [proto, 'Constructor']);
+
+            var obj = headers.toObject('array');
+            assert.deepEqual(Object.keys(obj), [proto, 'Constructor']);
+            assert.deepEqual(obj[proto], ['x', 'z']);
+            assert.strictEqual(Object.getPrototypeOf(obj), Object.prototype);
+            assert.strictEqual(headers.toObject()[proto], 'z');
+        });
+    }); // end describe '.toObject()'
+
+    describe('.canonicalizeName()', function()
+    {
+        it('capitalizes each hyphen-separated word', function()
+        {
+            assert.strictEqual(Headers.canonicalizeName('content-TYPE'), 'Content-Type');
+            assert.strictEqual(Headers.canonicalizeName('x-forwarded-for'), 'X-Forwarded-For');
+        });
+    }); // end describe '.canonicalizeName()'
+}); // end describe 'Headers'
@@ -0,0 +1,201 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for Scanner
+//
+// @module test/Scanner.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var samples = [
+    '',
+    '\r\n',
+    '\n',
+    'Title: A simple document\r\nCSS: style.css\r\n\r\nBody\r\n',
+    'Title: A simple document\nCSS: style.css\n\nBody\n',
+    'Title: A simple document\r\nCSS: style.css\n\r\nBody\r\n',
+    'Subject: Folded\r\n  across\r\n\tlines\r\n\r\n',
+    'Subject: Folded\n  across\n\tlines\n\n',
+    'Subject:\r\n folded from the start\r\n\r\n',
+    'No-Colon\r\nSubject: x\r\n\r\n',
+    ': no name\r\n\r\n',
+    'a:b:c d\r\n\r\n',
+    'A:: x\r\n\r\n',
+    'Key : value\r\n\r\n',
+    'Lone: carriage\rreturn\r\n\r\n',
+    'Bad: line\r\r\n\r\n',
+    'Separator:   inside\r\n\r\n',
+    'Fold: with\n separator\n\n',
+    'Spaces:   lots   of \t  space   \r\n\r\n',
+    'Trailing: fold\r\n \r\n\r\n',
+    '  Leading: whitespace\r\n\r\n',
+    'Café: näme\r\n\r\n',
+    'Name: nbsp \r\n\r\n',
+    '# comment\r\nKey = value\r\n// other: comment\r\n\r\n',
+    'Key=value\r\n#Key=x\r\n folded\r\n\r\n',
+    'Key =: value\n#\n\n',
+];
+
+var alphabet = ['A', 'b', '-', ':', ':', ' ', ' ', '\t', '\r', '\n', '\r\n', '\r\n', ' ', ' ', 'é', '#', '='];
+
+headerParse.defineDialect('scanner-comments', {commentPrefixes: ['#', '//'], whitespaceBeforeSeparator: true});
+headerParse.defineDialect('scanner-pairs', {
+    base: 'strict',
+    separator: '=',
+    fieldNameChar: /[A-Za-z#=-]/,
+    commentPrefixes: ['#'],
+});
+
+/**
+ * Generate pseudo-random strings from `alphabet`, the same ones each time.
+ */
+function randomSamples(count)
+{
+    var seed = 42;
+    var result = [];
+
+    function next(max)
+    {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % max;
+    } // end next
+
+    for(var idx = 0; idx < count; idx++)
+    {
+        var length = next(30), sample = '';
+        for(var charIdx = 0; charIdx < length; charIdx++)
+        {
+            sample += alphabet[next(alphabet.length)];
+        } // end for
+
+        result.push(sample);
+    } // end for
+
+    return result;
+} // end randomSamples
+
+var allSamples = samples.concat(randomSamples(2000));
+
+/**
+ * Collect every field found by the `header` regex, as the scanner would return them.
+ */
+function regexFields(re, data)
+{
+    var fields = [], match;
+
+    re.header.lastIndex = 0;
+    while((match = re.header.exec(data)))
+    {
+        fields.push({
+            name: match[1],
+            value: match[2],
+            raw: match[0],
+            index: match.index,
+            end: match.index + match[0].length,
+        });
+    } // end while
+
+    return fields;
+} // end regexFields
+
+function scannerFields(scan, data)
+{
+    var fields = [];
+
+    for(var field = scan.nextField(data, 0); field; field = scan.nextField(data, field.end))
+    {
+        fields.push(field);
+    } // end for
+
+    return fields;
+} // end scannerFields
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('Scanner', function()
+{
+    ['strict', 'lenient', 'http', 'scanner-comments', 'scanner-pairs'].forEach(function(mode)
+    {
+        describe('in ' + mode + ' mode', function()
+        {
+            var dialect = headerParse.dialects[mode];
+            var re = dialect.regexes;
+            var scan = dialect.scanner;
+
+            it('finds the same header block as the headerBlock regex', function()
+            {
+                allSamples.forEach(function(data)
+                {
+                    var match = re.headerBlock.exec(data);
+                    var expected = match ? {headerBlock: match[1], length: match[0].length} : null;
+
+                    assert.deepEqual(scan.headerBlock(data), expected, JSON.stringify(data));
+                });
+            });
+
+            it('finds the same fields as the header regex', function()
+            {
+                allSamples.forEach(function(data)
+                {
+                    assert.deepEqual(scannerFields(scan, data), regexFields(re, data), JSON.stringify(data));
+                });
+            });
+
+            it('trims the same way as the trim regex', function()
+            {
+                allSamples.forEach(function(data)
+                {
+                    assert.strictEqual(scan.trim(data), data.replace(re.trim, '$1'), JSON.stringify(data));
+                });
+            });
+
+            it('collapses whitespace the same way as the linearWhiteSpace regex', function()
+            {
+                allSamples.forEach(function(data)
+                {
+                    assert.strictEqual(scan.collapseWhitespace(data), data.replace(re.linearWhiteSpace, ' '),
+                        JSON.stringify(data));
+                });
+            });
+
+            it('unfolds the same way as the fold regex', function()
+            {
+                allSamples.forEach(function(data)
+                {
+                    assert.strictEqual(scan.unfold(data), data.replace(re.fold, '$1'), JSON.stringify(data));
+                });
+            });
+
+            it('replaces folds the same way as the obsFold regex', function()
+            {
+                allSamples.forEach(function(data)
+                {
+                    assert.strictEqual(scan.replaceFolds(data), data.replace(re.obsFold, ' '), JSON.stringify(data));
+                });
+            });
+
+            it('scans a long header block without a null line in linear time', function()
+            {
+                var data = new Array(20001).join('X-Field' + scan.separator + ' value\r\n continued\r\n');
+
+                var start = Date.now();
+                assert.strictEqual(scan.headerBlock(data), null);
+                assert.strictEqual(scannerFields(scan, data).length, 20000);
+                assert(Date.now() - start < 1000);
+            });
+
+            it('validates a field name followed by a long run of whitespace in linear time', function()
+            {
+                var data = 'X' + new Array(80001).join(' ') + scan.separator + ' value\r\n';
+
+                var start = Date.now();
+                headerParse.validateHeaders(data, {dialect: mode});
+                assert(Date.now() - start < 1000);
+            });
+        }); // end describe 'in <mode> mode'
+    });
+}); // end describe 'Scanner'
@@ -0,0 +1,166 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for applySchema, and the schema option of parseHeaders and extractHeaderBlock
+//
+// @module test/applySchema.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+// jshint multistr: true
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var applySchema = headerParse.applySchema;
+var parseHeaders = headerParse.parseHeaders;
+var extractHeaderBlock = headerParse.extractHeaderBlock;
+var symbols = headerParse.symbols;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var schema = {
+    Title: {required: true},
+    Tags: {type: 'list', repeats: true},
+    Draft: {type: 'boolean', default: false},
+    Date: {type: 'date'},
+    Weight: {type: 'number', default: 0},
+    Layout: {allowed: ['post', 'page'], default: 'post'},
+};
+
+var metadata = 'Title: A simple document\n\
+tags: one, two,\n\
+Tags: three\n\
+Draft: yes\n\
+Date: Tue, 1 Jul 2003 10:52:37 +0200\n\
+Weight: -1.5\n\
+Author: Someone\n\
+\n\
+# Body #\n';
+
+var metadata_expected = {
+    Title: 'A simple document',
+    Tags: ['one', 'two', 'three'],
+    Draft: true,
+    Date: new Date('2003-07-01T08:52:37Z'),
+    Weight: -1.5,
+    Layout: 'post',
+    Author: 'Someone',
+};
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('applySchema', function()
+{
+    it('converts fields to typed values, and fills in defaults', function()
+    {
+        var result = parseHeaders(metadata.split('\n\n')[0] + '\n', {schema: schema});
+
+        assert.deepEqual(result, metadata_expected);
+        assert.deepEqual(result[symbols.schemaErrors], []);
+    });
+
+    it('reports missing required fields', function()
+    {
+        var result = applySchema([{name: 'Draft', value: 'no'}], schema);
+
+        assert.deepEqual(result, {Draft: false, Weight: 0, Layout: 'post'});
+        assert.deepEqual(result[symbols.schemaErrors], [
+            {field: 'Title', code: 'missing-field', message: 'Missing required field "Title"'},
+        ]);
+    });
+
+    it('reports and leaves out invalid and disallowed values', function()
+    {
+        var result = applySchema([
+            {name: 'Title', value: 'Invalid'},
+            {name: 'Draft', value: 'maybe'},
+            {name: 'Weight', value: '12kg'},
+            {name: 'Layout', value: 'home'},
+        ], schema);
+
+        assert.deepEqual(result, {Title: 'Invalid'});
+        assert.deepEqual(result[symbols.schemaErrors].map(function(error) { return [error.field, error.code]; }), [
+            ['Draft', 'invalid-value'],
+            ['Weight', 'invalid-value'],
+            ['Layout', 'not-allowed'],
+        ]);
+        assert.strictEqual(result[symbols.schemaErrors][0].message,
+            'Invalid value for field "Draft": Invalid boolean: "maybe"');
+    });
+
+    it('reports fields that repeat when they shouldn\'t, and uses the last occurrence', function()
+    {
+        var result = applySchema([{name: 'Title', value: 'First'}, {name: 'TITLE', value: 'Second'}], schema);
+
+        assert.strictEqual(result.Title, 'Second');
+        assert.deepEqual(result[symbols.schemaErrors], [
+            {field: 'Title', code: 'repeated-field', message: 'Field "Title" occurs 2 times, but may only occur once'},
+        ]);
+    });
+
+    it('accepts custom type functions and Headers collections', function()
+    {
+        var headers = parseHeaders('Version: 1.2.3\n', {collection: true});
+        var result = applySchema(headers, {
+            version: {
+                type: function(value) { return value.split('.').map(Number); },
+            },
+        });
+
+        assert.deepEqual(result, {version: [1, 2, 3]});
+    });
+
+    it('accepts ISO 8601 dates without a time', function()
+    {
+        var result = applySchema([{name: 'Date', value: '2020-01-02'}], {Date: {type: 'date'}});
+
+        assert.deepEqual(result, {Date: new Date('2020-01-02T00:00:00Z')});
+        assert.deepEqual(result[symbols.schemaErrors], []);
+
+        result = applySchema([{name: 'Date', value: '2020-02-30'}], {Date: {type: 'date'}}, {strict: true});
+
+        assert.deepEqual(result, {});
+        assert.deepEqual(result[symbols.schemaErrors].map(function(error) { return error.code; }), ['invalid-value']);
+    });
+
+    it('keeps fields with any name', function()
+    {
+        var proto = '__proto__';
+        var result = parseHeaders('schemaErrors: none\n__proto__: x\nconstructor: y\n', {
+            schema: {constructor: {type: 'list'}},
+        });
+
+        assert.deepEqual(Object.keys(result), ['schemaErrors', proto, 'constructor']);
+        assert.strictEqual(result.schemaErrors, 'none');
+        assert.strictEqual(result[proto], 'x');
+        assert.deepEqual(result.constructor, ['y']);
+        assert.deepEqual(result[symbols.schemaErrors], []);
+    });
+
+    it('throws an error on unknown types', function()
+    {
+        assert.throws(function()
+        {
+            applySchema([{name: 'Title', value: 'x'}], {Title: {type: 'uuid'}});
+        }, /Unknown type for field "Title": "uuid"/);
+    });
+}); // end describe 'applySchema'
+
+describe('extractHeaderBlock with a schema', function()
+{
+    it('returns the typed values and schema errors', function()
+    {
+        var doc = extractHeaderBlock(metadata, {schema: schema});
+
+        assert.deepEqual(doc.headers, metadata_expected);
+        assert.deepEqual(doc.schemaErrors, []);
+        assert.strictEqual(doc.body, '# Body #\n');
+    });
+
+    it('applies the schema even if there is no header block', function()
+    {
+        var doc = extractHeaderBlock('# Body #\n', {schema: schema});
+
+        assert.deepEqual(doc.headers, {Draft: false, Weight: 0, Layout: 'post'});
+        assert.deepEqual(doc.schemaErrors.map(function(error) { return error.code; }), ['missing-field']);
+        assert.strictEqual(doc.body, '# Body #\n');
+    });
+}); // end describe 'extractHeaderBlock with a schema'
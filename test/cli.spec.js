@@ -0,0 +1,164 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for the header-parse command-line tool
+//
+// @module test/cli.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+
+var assert = require('assert');
+var childProcess = require('child_process');
+var path = require('path');
+var stream = require('stream');
+
+var cli = require('../lib/cli');
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var lenient_doc = 'Subject: Hello,\n   world\nReceived: first\nreceived: second\n\nBody text\n';
+var strict_doc = lenient_doc.replace(/\n/g, '\r\n');
+
+/**
+ * Run the tool with the given arguments and standard input, and collect its output and exit status.
+ */
+function run(argv, input, callback)
+{
+    var stdin = new stream.PassThrough();
+    var stdout = '', stderr = '';
+
+    var io = {
+        stdin: stdin,
+        stdout: {write: function(data) { stdout += data; }},
+        stderr: {write: function(data) { stderr += data; }},
+    };
+
+    cli.run(argv, io, function(status)
+    {
+        callback({status: status, stdout: stdout, stderr: stderr});
+    });
+
+    stdin.end(input);
+} // end run
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('header-parse CLI', function()
+{
+    it('prints the headers and body of standard input as JSON', function(done)
+    {
+        run([], lenient_doc, function(result)
+        {
+            assert.strictEqual(result.status, 0);
+            assert.deepEqual(JSON.parse(result.stdout), {
+                file: '-',
+                headers: {Subject: 'Hello, world', Received: 'second'},
+                body: 'Body text\n',
+            });
+            done();
+        });
+    });
+
+    it('prints one line per input as NDJSON', function(done)
+    {
+        run(['--format', 'ndjson', '--headers-only', '-', '-'], lenient_doc, function(result)
+        {
+            var lines = result.stdout.split('\n');
+
+            assert.strictEqual(result.status, 0);
+            assert.strictEqual(lines.length, 3);
+            assert.deepEqual(JSON.parse(lines[0]), {file: '-', headers: {Subject: 'Hello, world', Received: 'second'}});
+            assert.strictEqual(lines[2], '');
+            done();
+        });
+    });
+
+    it('prints every field as `Name: value` lines in text format', function(done)
+    {
+        run(['-f', 'text', '--headers-only'], lenient_doc, function(result)
+        {
+            assert.strictEqual(result.status, 0);
+            assert.strictEqual(result.stdout, 'Subject: Hello, world\nReceived: first\nreceived: second\n');
+            done();
+        });
+    });
+
+    it('selects fields case-insensitively', function(done)
+    {
+        run(['--field=RECEIVED', '--repeated', 'array', '--headers-only'], lenient_doc, function(result)
+        {
+            assert.strictEqual(result.status, 0);
+            assert.deepEqual(JSON.parse(result.stdout).headers, {Received: ['first', 'second']});
+            done();
+        });
+    });
+
+    it('prints fields with any name', function(done)
+    {
+        run(['--headers-only'], '__proto__: x\n\n', function(result)
+        {
+            assert.strictEqual(result.status, 0);
+            assert.strictEqual(result.stdout.replace(/\s+/g, ''), '{"file":"-","headers":{"__proto__":"x"}}');
+            done();
+        });
+    });
+
+    it('passes the whitespace options through to the parser', function(done)
+    {
+        run(['--no-collapse', '--no-unfold', '-F', 'subject'], lenient_doc, function(result)
+        {
+            assert.deepEqual(JSON.parse(result.stdout).headers, {Subject: 'Hello,\n   world'});
+            done();
+        });
+    });
+
+    it('prints only the body with --body', function(done)
+    {
+        run(['--body'], lenient_doc, function(result)
+        {
+            assert.strictEqual(result.status, 0);
+            assert.strictEqual(result.stdout, 'Body text\n');
+            done();
+        });
+    });
+
+    it('parses a valid document in strict mode', function(done)
+    {
+        run(['--strict', '--headers-only'], strict_doc, function(result)
+        {
+            assert.strictEqual(result.status, 0);
+            assert.deepEqual(JSON.parse(result.stdout).headers, {Subject: 'Hello, world', Received: 'second'});
+            done();
+        });
+    });
+
+    it('exits with status 1 and explains the problem on a strict-mode error', function(done)
+    {
+        run(['--strict'], lenient_doc, function(result)
+        {
+            assert.strictEqual(result.status, 1);
+            assert.strictEqual(result.stdout, '');
+            assert(/^header-parse: -: Invalid header block: .*\(line 1, column 16\)\n$/.test(result.stderr),
+                result.stderr);
+            done();
+        });
+    });
+
+    it('exits with status 2 on invalid arguments', function(done)
+    {
+        run(['--format', 'xml'], lenient_doc, function(result)
+        {
+            assert.strictEqual(result.status, 2);
+            assert(/Unknown format/.test(result.stderr));
+            done();
+        });
+    });
+
+    it('runs as an executable', function()
+    {
+        var result = childProcess.spawnSync(process.execPath,
+            [path.join(__dirname, '..', 'bin', 'header-parse'), '--strict', '-f', 'text', '--headers-only'],
+            {input: strict_doc, encoding: 'utf8'});
+
+        assert.strictEqual(result.status, 0);
+        assert.strictEqual(result.stdout, 'Subject: Hello, world\nReceived: first\nreceived: second\n');
+    });
+}); // end describe 'header-parse CLI'
@@ -56,6 +56,12 @@ var lenient_tab_folded_strict_collapsed_expected = 'This sentence is folded\n\
 var lenient_not_folded = 'This is not a valid fold;\n\
 the LF should not be unfolded.';
 
+var structured = '  "John   Smith"\t (the  \t(first)  one) \\  <john@example.com>  ';
+var structured_expected = '"John   Smith" (the  \t(first)  one) \\  <john@example.com>';
+
+var structured_folded = 'attachment; filename="a\r\n  b.txt"  (a\r\n\tcomment)';
+var structured_folded_expected = 'attachment; filename="a  b.txt" (a\tcomment)';
+
 // ---------------------------------------------------------------------------------------------------------------------
 
 var options;
@@ -134,6 +140,20 @@ var sharedTests = {
 
         assert.strictEqual(result, strict_not_folded);
     },
+
+    'leaves whitespace inside quoted-strings, comments and quoted-pairs alone with the structured option': function()
+    {
+        var result = collapse(structured, Object.assign({}, options, {structured: true}));
+
+        assert.strictEqual(result, structured_expected);
+    },
+
+    'only unfolds lines inside quoted-strings and comments with the structured option': function()
+    {
+        var result = collapse(structured_folded, Object.assign({}, options, {structured: true}));
+
+        assert.strictEqual(result, structured_folded_expected);
+    },
 };
 
 describe('collapse()', function()
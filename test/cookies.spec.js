@@ -0,0 +1,163 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for parseCookie() and parseSetCookie()
+//
+// @module test/cookies.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var parseCookie = headerParse.parseCookie;
+var parseSetCookie = headerParse.parseSetCookie;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var full = 'SID=31d4d96e407aad42; Path=/; Domain=.Example.COM; Expires=Wed, 09 Jun 2021 10:18:14 GMT; Max-Age=3600; \
+Secure; HttpOnly; SameSite=lax';
+var full_expected = {
+    name: 'SID',
+    value: '31d4d96e407aad42',
+    expires: new Date('2021-06-09T10:18:14Z'),
+    maxAge: 3600,
+    domain: 'example.com',
+    path: '/',
+    secure: true,
+    httpOnly: true,
+    sameSite: 'Lax',
+};
+
+var bare = 'lang=en-US';
+var bare_expected = {
+    name: 'lang',
+    value: 'en-US',
+    expires: null,
+    maxAge: null,
+    domain: null,
+    path: null,
+    secure: false,
+    httpOnly: false,
+    sameSite: null,
+};
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('parseCookie', function()
+{
+    it('parses name/value pairs in order, keeping repeated names', function()
+    {
+        var expected = [{name: 'SID', value: '31d4d96e407aad42'}, {name: 'lang', value: '"en-US"'},
+            {name: 'lang', value: 'de'}];
+
+        assert.deepEqual(parseCookie('SID=31d4d96e407aad42; lang="en-US"; lang=de'), expected);
+        assert.deepEqual(parseCookie('SID=31d4d96e407aad42; lang="en-US"; lang=de', {strict: true}), expected);
+    });
+
+    it('accepts sloppy separators and skips pairs without a name in lenient mode', function()
+    {
+        assert.deepEqual(parseCookie(' a=1;b=2 ;; flag; =3; c = x=y '), [
+            {name: 'a', value: '1'},
+            {name: 'b', value: '2'},
+            {name: 'c', value: 'x=y'},
+        ]);
+    });
+
+    it('throws an error on invalid pairs in strict mode', function()
+    {
+        assert.throws(function() { parseCookie('a=1;b=2', {strict: true}); }, /Invalid cookie-pair "a=1;b=2"/);
+        assert.throws(function() { parseCookie('a=1; flag', {strict: true}); }, /Invalid cookie-pair "flag"/);
+        assert.throws(function() { parseCookie('a=x y', {strict: true}); }, /Invalid cookie-pair "a=x y"/);
+    });
+
+    it('uses the strictness of the mode or dialect option', function()
+    {
+        assert.throws(function() { parseCookie('a=1;b=2', {mode: 'http'}); }, /Invalid cookie-pair "a=1;b=2"/);
+        assert.throws(function() { parseCookie('a=1;b=2', {dialect: 'strict'}); }, /Invalid cookie-pair/);
+        assert.strictEqual(parseCookie('a=1;b=2', {mode: 'lenient', strict: true}).length, 2);
+    });
+
+    it('trims pairs with long runs of whitespace inside them in linear time', function()
+    {
+        var spaces = new Array(50000).join(' ');
+        var start = Date.now();
+
+        assert.deepEqual(parseCookie('a=x' + spaces + 'y; b' + spaces + 'c=1'),
+            [{name: 'a', value: 'x' + spaces + 'y'}, {name: 'b' + spaces + 'c', value: '1'}]);
+        assert(Date.now() - start < 1000);
+    });
+}); // end describe 'parseCookie'
+
+describe('parseSetCookie', function()
+{
+    it('parses a cookie and all of its attributes', function()
+    {
+        assert.deepEqual(parseSetCookie(full), full_expected);
+        assert.deepEqual(parseSetCookie(full, {strict: true}), full_expected);
+        assert.deepEqual(parseSetCookie(bare), bare_expected);
+    });
+
+    it('parses each of a list of Set-Cookie fields separately', function()
+    {
+        var headers = headerParse.parseHeaders('Set-Cookie: lang=en-US\r\nSet-Cookie: no-equals\r\n\
+Set-Cookie: SID=x; Secure, Expires=Thu, 01 Jan 1970 00:00:00 GMT\r\n', {collection: true});
+
+        var cookies = parseSetCookie(headers.getAll('set-cookie'));
+
+        assert.strictEqual(cookies.length, 2);
+        assert.deepEqual(cookies[0], bare_expected);
+        assert.strictEqual(cookies[1].value, 'x');
+        assert.strictEqual(cookies[1].secure, false); // "Secure, Expires" isn't the Secure attribute
+    });
+
+    it('follows the lenient parsing algorithm', function()
+    {
+        assert.strictEqual(parseSetCookie('no-equals; Path=/'), null);
+        assert.strictEqual(parseSetCookie(' =value'), null);
+
+        var cookie = parseSetCookie(' name = a value ; max-age=soon; Max-Age=-1; Path=relative; DOMAIN=; \
+expires=never; samesite=sometimes; Unknown=1; secure');
+
+        assert.deepEqual(cookie, {
+            name: 'name',
+            value: 'a value',
+            expires: null,
+            maxAge: -1,
+            domain: null,
+            path: null,
+            secure: true,
+            httpOnly: false,
+            sameSite: null,
+        });
+    });
+
+    it('throws an error on anything the lenient algorithm would ignore in strict mode', function()
+    {
+        var options = {strict: true};
+
+        assert.throws(function() { parseSetCookie('no-equals', options); }, /Missing cookie name/);
+        assert.throws(function() { parseSetCookie('a=x y', options); }, /Invalid cookie-pair/);
+        assert.throws(function() { parseSetCookie('a=1; Max-Age=soon', options); }, /Invalid Max-Age "soon"/);
+        assert.throws(function() { parseSetCookie('a=1; Path=x', options); }, /Invalid Path "x"/);
+        assert.throws(function() { parseSetCookie('a=1; Domain=', options); }, /Empty Domain/);
+        assert.throws(function() { parseSetCookie('a=1; SameSite=x', options); }, /Invalid SameSite "x"/);
+        assert.throws(function() { parseSetCookie('a=1; Expires=never', options); }, /Invalid date: "never"/);
+    });
+
+    it('uses the strictness of the mode or dialect option', function()
+    {
+        assert.throws(function() { parseSetCookie('a=1; Path=x', {mode: 'http'}); }, /Invalid Path "x"/);
+        assert.throws(function() { parseSetCookie('a=1; Path=x', {dialect: 'strict'}); }, /Invalid Path "x"/);
+        assert.strictEqual(parseSetCookie('a=1; Path=x', {mode: 'lenient', strict: true}).path, null);
+    });
+
+    it('trims pairs and attributes with long runs of whitespace inside them in linear time', function()
+    {
+        var spaces = new Array(50000).join(' ');
+        var start = Date.now();
+
+        var cookie = parseSetCookie('a=x' + spaces + 'y; Path=/' + spaces + 'p; Unknown' + spaces + 'attribute');
+        assert.strictEqual(cookie.value, 'x' + spaces + 'y');
+        assert.strictEqual(cookie.path, '/' + spaces + 'p');
+        assert(Date.now() - start < 1000);
+    });
+}); // end describe 'parseSetCookie'
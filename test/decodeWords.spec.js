@@ -0,0 +1,205 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for decodeWords()
+//
+// @module test/decodeWords.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it, before */
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var decodeWords = headerParse.decodeWords;
+var parseHeaders = headerParse.parseHeaders;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+// Examples from RFC2047 section 8
+var rfc_examples = [
+    ['(=?ISO-8859-1?Q?a?=)', '(a)'],
+    ['(=?ISO-8859-1?Q?a?= b)', '(a b)'],
+    ['(=?ISO-8859-1?Q?a?= =?ISO-8859-1?Q?b?=)', '(ab)'],
+    ['(=?ISO-8859-1?Q?a?=  =?ISO-8859-1?Q?b?=)', '(ab)'],
+    ['(=?ISO-8859-1?Q?a?=\r\n    =?ISO-8859-1?Q?b?=)', '(ab)'],
+    ['(=?ISO-8859-1?Q?a_b?=)', '(a b)'],
+    ['(=?ISO-8859-1?Q?a?= =?ISO-8859-2?Q?_b?=)', '(a b)'],
+];
+
+var utf8_base64 = '=?UTF-8?B?Q2Fmw6kgY3LDqG1l?=';
+var utf8_base64_expected = 'Café crème';
+
+var utf8_q = '=?utf-8?q?Caf=C3=A9_cr=C3=A8me?=';
+var utf8_q_expected = 'Café crème';
+
+var latin2 = '=?ISO-8859-2?Q?=A3=F3d=BC?=';
+var latin2_expected = 'Łódź';
+
+var cp1251 = '=?windows-1251?B?z/Do4uXy?=';
+var cp1251_expected = 'Привет';
+
+var language_tagged = '=?US-ASCII*EN?Q?Keith_Moore?=';
+var language_tagged_expected = 'Keith Moore';
+
+// A three-byte UTF-8 character (€, E2 82 AC) split between two encoded-words
+var split_char = '=?UTF-8?Q?Price:_=E2=82?= =?UTF-8?Q?=AC5?=';
+var split_char_expected = 'Price: €5';
+
+var unknown_charset = '=?x-unknown?Q?abc?=';
+
+var mixed = 'Re: =?UTF-8?Q?Caf=C3=A9?= meeting';
+var mixed_expected = 'Re: Café meeting';
+
+var embedded = 'Re:=?UTF-8?Q?Caf=C3=A9?=';
+var embedded_expected = 'Re:Café';
+
+var invalid_q = '=?UTF-8?Q?a=ZZb?=';
+var invalid_q_lenient_expected = 'a=ZZb';
+
+var header_block = 'Subject: =?UTF-8?B?Q2Fmw6kgY3LDqG1l?=\r\n\
+ =?UTF-8?Q?_br=C3=BBl=C3=A9e?=\r\n\
+From: =?ISO-8859-1?Q?Andr=E9?= Pirard <PIRARD@vm1.ulg.ac.be>';
+var header_block_expected = {
+    'Subject': 'Café crème brûlée',
+    'From': 'André Pirard <PIRARD@vm1.ulg.ac.be>',
+};
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var options;
+
+var sharedTests = {
+    'decodes the examples from RFC 2047': function()
+    {
+        rfc_examples.forEach(function(example)
+        {
+            assert.strictEqual(decodeWords(example[0], options), example[1]);
+        });
+    },
+
+    'decodes base64-encoded UTF-8': function()
+    {
+        assert.strictEqual(decodeWords(utf8_base64, options), utf8_base64_expected);
+    },
+
+    'decodes Q-encoded UTF-8 with a lowercase charset and encoding': function()
+    {
+        assert.strictEqual(decodeWords(utf8_q, options), utf8_q_expected);
+    },
+
+    'decodes ISO-8859-2': function()
+    {
+        assert.strictEqual(decodeWords(latin2, options), latin2_expected);
+    },
+
+    'decodes Windows-1251': function()
+    {
+        assert.strictEqual(decodeWords(cp1251, options), cp1251_expected);
+    },
+
+    'decodes the other ISO-8859-x and Windows-125x charsets without relying on the runtime': function()
+    {
+        assert.strictEqual(decodeWords('=?windows-1252?Q?=80=935=94?=', options), '\u20ac\u201c5\u201d');
+        assert.strictEqual(decodeWords('=?cp1250?Q?=8A=9F?=', options), '\u0160\u017a');
+        assert.strictEqual(decodeWords('=?ISO-8859-7?Q?=E1=E2=E3?=', options), '\u03b1\u03b2\u03b3');
+        assert.strictEqual(decodeWords('=?iso_8859-15?Q?=A4?=', options), '\u20ac');
+        assert.strictEqual(decodeWords('=?ISO-8859-16?Q?=AA=BA?=', options), '\u0218\u0219');
+        assert.strictEqual(decodeWords('=?ISO-8859-3?Q?=A5?=', options), '\ufffd');
+    },
+
+    'ignores RFC 2231 language tags': function()
+    {
+        assert.strictEqual(decodeWords(language_tagged, options), language_tagged_expected);
+    },
+
+    'decodes a multibyte character split between adjacent encoded-words': function()
+    {
+        assert.strictEqual(decodeWords(split_char, options), split_char_expected);
+    },
+
+    'leaves encoded-words in unknown charsets as-is': function()
+    {
+        assert.strictEqual(decodeWords(unknown_charset, options), unknown_charset);
+    },
+
+    'keeps whitespace between encoded-words and other text': function()
+    {
+        assert.strictEqual(decodeWords(mixed, options), mixed_expected);
+    },
+
+    'decodes encoded-words in parseHeaders() when requested': function()
+    {
+        var result = parseHeaders(header_block, {strict: options.strict, decodeEncodedWords: true});
+
+        assert.deepEqual(result, header_block_expected);
+    },
+
+    'does not decode encoded-words in parseHeaders() by default': function()
+    {
+        var result = parseHeaders(header_block, {strict: options.strict});
+
+        assert.strictEqual(result.From, '=?ISO-8859-1?Q?Andr=E9?= Pirard <PIRARD@vm1.ulg.ac.be>');
+    },
+};
+
+describe('decodeWords()', function()
+{
+    describe('in strict mode', function()
+    {
+        before(function()
+        {
+            options = {strict: true};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('does not decode encoded-words embedded in other text', function()
+        {
+            assert.strictEqual(decodeWords(embedded, options), embedded);
+        });
+
+        it('does not decode encoded-words with invalid encoded-text', function()
+        {
+            assert.strictEqual(decodeWords(invalid_q, options), invalid_q);
+        });
+
+        it('does not decode encoded-words longer than 75 characters', function()
+        {
+            var long_word = '=?UTF-8?Q?' + new Array(70).join('a') + '?=';
+
+            assert.strictEqual(decodeWords(long_word, options), long_word);
+        });
+    }); // end describe 'in strict mode'
+
+    describe('in lenient mode', function()
+    {
+        before(function()
+        {
+            options = {};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('decodes encoded-words embedded in other text', function()
+        {
+            assert.strictEqual(decodeWords(embedded, options), embedded_expected);
+        });
+
+        it('decodes encoded-words with invalid encoded-text as well as possible', function()
+        {
+            assert.strictEqual(decodeWords(invalid_q, options), invalid_q_lenient_expected);
+        });
+    }); // end describe 'in lenient mode'
+
+    it('follows the strict or lenient rules of the selected mode or dialect', function()
+    {
+        assert.strictEqual(decodeWords(embedded, {mode: 'strict'}), embedded);
+        assert.strictEqual(decodeWords(embedded, {mode: 'http'}), embedded);
+        assert.strictEqual(decodeWords(embedded, {dialect: headerParse.dialects.strict}), embedded);
+        assert.strictEqual(decodeWords(embedded, {dialect: 'lenient', strict: true}), embedded_expected);
+    });
+}); // end describe '.decodeWords()'
@@ -0,0 +1,176 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for defineDialect()
+//
+// @module test/defineDialect.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+// jshint multistr: true
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var defineDialect = headerParse.defineDialect;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var ini = defineDialect('test-ini', {
+    separator: '=',
+    whitespaceBeforeSeparator: true,
+    fieldNameChar: /[A-Za-z0-9_.-]/,
+    commentPrefixes: ['#', ';'],
+});
+
+var validated = defineDialect('test-validated', {
+    base: 'strict',
+    validate: function(name, value)
+    {
+        if(name.toLowerCase() == 'port' && !/^\d+$/.test(value))
+        {
+            return 'not a number';
+        } // end if
+    },
+});
+
+var ini_doc = '# Connection settings\n\
+host = example.com\n\
+port=8080\n\
+; folded values are still unfolded\n\
+description = a long\n\
+  description\n\
+\n\
+Body\n';
+
+var validated_block = 'Host: example.com\r\n\
+Port: eighty\r\n';
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('defineDialect', function()
+{
+    it('adds the dialect to dialects, and returns it', function()
+    {
+        assert.strictEqual(headerParse.dialects['test-ini'], ini);
+        assert.strictEqual(ini.name, 'test-ini');
+        assert.strictEqual(ini.newline, '\n');
+        assert.strictEqual(validated.newline, '\r\n');
+    });
+
+    it('is selected by the dialect option, by name or as an object', function()
+    {
+        assert.strictEqual(headerParse.getDialect({dialect: 'test-ini'}), ini);
+        assert.strictEqual(headerParse.getDialect({dialect: ini, mode: 'http'}), ini);
+        assert.throws(function() { headerParse.getDialect({dialect: 'test-missing'}); },
+            /Unknown mode: "test-missing"/);
+    });
+
+    it('parses fields with a custom separator, skipping comment lines', function()
+    {
+        var doc = headerParse.extractHeaderBlock(ini_doc, {dialect: 'test-ini'});
+
+        assert.deepEqual(doc.headers, {host: 'example.com', port: '8080', description: 'a long description'});
+        assert.strictEqual(doc.body, 'Body\n');
+    });
+
+    it('only allows whitespace before the separator if the spec does', function()
+    {
+        assert.deepEqual(headerParse.parseHeaders('a = 1\nb=2\n', {dialect: 'test-ini'}), {a: '1', b: '2'});
+        assert.deepEqual(headerParse.parseHeaders('Key : value\nOther: x\n'), {Other: 'x'});
+    });
+
+    it('builds on the rules of its base dialect', function()
+    {
+        var derived = defineDialect('test-ini-derived', {base: 'test-ini', commentPrefixes: ['//']});
+
+        assert.deepEqual(headerParse.parseHeaders('// comment\na = 1\n', {dialect: derived}), {a: '1'});
+        assert.deepEqual(headerParse.parseHeaders('#a = 1\n', {dialect: derived}), {});
+        assert.throws(function() { headerParse.parseHeaders('Key: x\nOther: y\n', {dialect: validated}); },
+            /Invalid header block data/);
+    });
+
+    it('formats fields with the custom separator', function()
+    {
+        assert.strictEqual(headerParse.formatHeaders({host: 'example.com'}, {dialect: 'test-ini'}),
+            'host= example.com\n');
+        assert.throws(function() { headerParse.formatHeaders({'#host': 'x'}, {dialect: 'test-ini'}); },
+            /Invalid field name: "#host"/);
+    });
+
+    it('checks each field with the validate hook', function()
+    {
+        assert.throws(function() { headerParse.parseHeaders(validated_block, {dialect: 'test-validated'}); },
+            /Invalid field "Port": not a number/);
+        assert.throws(function() { headerParse.formatHeaders({Port: 'eighty'}, {dialect: 'test-validated'}); },
+            /Invalid field "Port": not a number/);
+        assert.strictEqual(headerParse.formatHeaders({Port: '80'}, {dialect: 'test-validated'}), 'Port: 80\r\n');
+    });
+
+    it('reports fields rejected by the validate hook as diagnostics', function()
+    {
+        var headers = headerParse.parseHeaders(validated_block, {dialect: 'test-validated', diagnostics: true});
+
+        assert.deepEqual(headers, {Host: 'example.com', Port: 'eighty'});
+        assert.deepEqual(headers[headerParse.symbols.diagnostics], [{
+            code: 'invalid-field',
+            message: 'Invalid field "Port": not a number',
+            severity: 'error',
+            offset: 19,
+            line: 2,
+            column: 1,
+        }]);
+    });
+
+    it('validates header blocks with the custom rules', function()
+    {
+        var codes = headerParse.validateHeaders('# comment\nkey = value\nkey: value\n', {dialect: 'test-ini'})
+            .map(function(diag) { return diag.code + ': ' + diag.message; });
+
+        assert.deepEqual(codes, [
+            'bare-lf: Line ends with a bare LF instead of CRLF',
+            'bare-lf: Line ends with a bare LF instead of CRLF',
+            'not-a-field: Line is not a field (missing "=")',
+            'bare-lf: Line ends with a bare LF instead of CRLF',
+        ]);
+    });
+
+    it('is used by HeaderParser and HeaderDocument', function()
+    {
+        var parser = new headerParse.HeaderParser({dialect: 'test-ini'});
+        assert.strictEqual(parser.write('# Conn'), false);
+        assert.strictEqual(parser.write('ection settings\nhost '), false);
+        assert.strictEqual(parser.write('= example.com\n\nBody'), true);
+        assert.deepEqual(parser.headers, {host: 'example.com'});
+        assert.strictEqual(parser.leftover.toString(), 'Body');
+
+        var doc = new headerParse.HeaderDocument(ini_doc, {dialect: 'test-ini'});
+        doc.set('host', 'example.org');
+        assert.strictEqual(doc.toString(), ini_doc.replace('example.com', 'example.org'));
+    });
+
+    it('accepts names from Object.prototype without affecting other dialects', function()
+    {
+        var proto = '__proto__';
+        var shadowing = defineDialect('hasOwnProperty', {});
+        var protoDialect = defineDialect(proto, {base: 'hasOwnProperty', separator: '='});
+
+        assert.strictEqual(headerParse.getDialect({dialect: 'hasOwnProperty'}), shadowing);
+        assert.strictEqual(headerParse.getDialect({dialect: proto}), protoDialect);
+        assert.strictEqual(headerParse.getDialect({mode: 'strict'}).name, 'strict');
+        assert.deepEqual(headerParse.parseHeaders('a=1\n', {dialect: proto}), {a: '1'});
+        assert.throws(function() { headerParse.getDialect({dialect: 'toString'}); }, /Unknown mode: "toString"/);
+        assert.throws(function() { defineDialect('test-bad', {base: 'constructor'}); },
+            /Invalid base dialect: "constructor"/);
+    });
+
+    it('throws an error on invalid specs', function()
+    {
+        assert.throws(function() { defineDialect('test-ini', {}); }, /Dialect already defined: "test-ini"/);
+        assert.throws(function() { defineDialect('', {}); }, /Invalid dialect name: ""/);
+        assert.throws(function() { defineDialect('test-bad', {base: 'http'}); }, /Invalid base dialect: "http"/);
+        assert.throws(function() { defineDialect('test-bad', {separator: '=='}); }, /Invalid separator: "=="/);
+        assert.throws(function() { defineDialect('test-bad', {separator: ' '}); }, /Invalid separator: " "/);
+        assert.throws(function() { defineDialect('test-bad', {fieldNameChar: /[^=]/}); }, /Invalid fieldNameChar/);
+        assert.throws(function() { defineDialect('test-bad', {commentPrefixes: ['']}); }, /Invalid commentPrefixes/);
+        assert.throws(function() { defineDialect('test-bad', {validate: true}); }, /Invalid validate hook: true/);
+        assert.strictEqual(headerParse.dialects['test-bad'], undefined);
+    });
+}); // end describe 'defineDialect'
@@ -0,0 +1,148 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for DKIM canonicalization
+//
+// @module test/dkim.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+// jshint multistr: true
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var canonicalizeHeader = headerParse.canonicalizeHeader;
+var canonicalizeBody = headerParse.canonicalizeBody;
+var canonicalizeSignedHeaders = headerParse.canonicalizeSignedHeaders;
+var HeaderDocument = headerParse.HeaderDocument;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+// The example from RFC6376 section 3.4.5.
+var example_body = ' C \r\nD \t E\r\n\r\n\r\n';
+
+var message = 'Received: from a.example.com\r\n\
+From: Someone <someone@example.com>\r\n\
+Subject:  Hello,\r\n\
+\tworld  \r\n\
+Received: from b.example.com\r\n\
+DKIM-Signature: v=1; a=rsa-sha256; d=example.com; s=sel;\r\n\
+\th=Received : from:Subject:received:received; bh=abc=;\r\n\
+\tb=dGVzdA\r\n\
+\t bGluZQ==\r\n\
+\r\n\
+Body\r\n';
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('canonicalizeHeader', function()
+{
+    it('leaves fields unchanged with the simple algorithm', function()
+    {
+        assert.strictEqual(canonicalizeHeader('A', ' X', 'simple'), 'A: X');
+        assert.strictEqual(canonicalizeHeader('B ', ' Y\t\r\n\tZ  ', 'simple'), 'B : Y\t\r\n\tZ  ');
+    });
+
+    it('lowercases, unfolds and collapses fields with the relaxed algorithm', function()
+    {
+        assert.strictEqual(canonicalizeHeader('A', ' X', 'relaxed'), 'a:X');
+        assert.strictEqual(canonicalizeHeader('B ', ' Y\t\r\n\tZ  ', 'relaxed'), 'b:Y Z');
+        assert.strictEqual(canonicalizeHeader('Subject', '\r\n folded', 'relaxed'), 'subject:folded');
+    });
+
+    it('throws an error on an unknown algorithm', function()
+    {
+        assert.throws(function()
+        {
+            canonicalizeHeader('A', ' X', 'nofws');
+        }, /Unknown canonicalization algorithm/);
+    });
+}); // end describe 'canonicalizeHeader'
+
+describe('canonicalizeBody', function()
+{
+    it('removes empty lines at the end of the body with the simple algorithm', function()
+    {
+        assert.strictEqual(canonicalizeBody(example_body, 'simple'), ' C \r\nD \t E\r\n');
+        assert.strictEqual(canonicalizeBody('No newline', 'simple'), 'No newline\r\n');
+    });
+
+    it('reduces whitespace and removes empty lines at the end of the body with the relaxed algorithm', function()
+    {
+        assert.strictEqual(canonicalizeBody(example_body, 'relaxed'), ' C\r\nD E\r\n');
+        assert.strictEqual(canonicalizeBody(Buffer.from('Line  \r\n \t\r\n'), 'relaxed'), 'Line\r\n');
+    });
+
+    it('canonicalizes an empty body', function()
+    {
+        assert.strictEqual(canonicalizeBody('', 'simple'), '\r\n');
+        assert.strictEqual(canonicalizeBody('\r\n\r\n', 'simple'), '\r\n');
+        assert.strictEqual(canonicalizeBody('', 'relaxed'), '');
+        assert.strictEqual(canonicalizeBody(' \r\n', 'relaxed'), '');
+    });
+
+    it('canonicalizes long runs of newlines and whitespace inside the body in linear time', function()
+    {
+        var newlines = new Array(100000).join('\r\n');
+        var spaces = new Array(100000).join(' ');
+        var start = Date.now();
+
+        assert.strictEqual(canonicalizeBody('a' + newlines + 'b', 'simple'), 'a' + newlines + 'b\r\n');
+        assert.strictEqual(canonicalizeBody('a' + spaces + 'b' + spaces, 'relaxed'), 'a b\r\n');
+        assert(Date.now() - start < 1000);
+    });
+}); // end describe 'canonicalizeBody'
+
+describe('canonicalizeSignedHeaders', function()
+{
+    var doc = new HeaderDocument(message, {strict: true});
+
+    it('picks repeated fields from the bottom up, and skips missing ones', function()
+    {
+        assert.strictEqual(canonicalizeSignedHeaders(doc, ['Received', 'from', 'Subject', 'received', 'received'],
+            'relaxed'), 'received:from b.example.com\r\n\
+from:Someone <someone@example.com>\r\n\
+subject:Hello, world\r\n\
+received:from a.example.com\r\n');
+    });
+
+    it('accepts the value of an h= tag', function()
+    {
+        assert.strictEqual(canonicalizeSignedHeaders(doc, 'Received : from:\r\n\tSubject', 'simple'), 'Received: \
+from b.example.com\r\n\
+From: Someone <someone@example.com>\r\n\
+Subject:  Hello,\r\n\
+\tworld  \r\n');
+    });
+
+    it('adds the DKIM-Signature field without the value of its b= tag', function()
+    {
+        var signature = doc.nodes[doc.nodes.length - 1];
+
+        assert.strictEqual(canonicalizeSignedHeaders(doc, 'from', 'relaxed', signature), 'from:\
+Someone <someone@example.com>\r\n\
+dkim-signature:v=1; a=rsa-sha256; d=example.com; s=sel; h=Received : from:Subject:received:received; bh=abc=; b=');
+
+        assert.strictEqual(canonicalizeSignedHeaders(doc, [], 'simple', signature), 'DKIM-Signature: \
+v=1; a=rsa-sha256; d=example.com; s=sel;\r\n\
+\th=Received : from:Subject:received:received; bh=abc=;\r\n\
+\tb=');
+    });
+
+    it('canonicalizes the example from RFC6376 section 3.4.5, given a dialect that accepts its fields', function()
+    {
+        headerParse.defineDialect('dkim-example', {base: 'strict', whitespaceBeforeSeparator: true});
+        var example = new HeaderDocument('A: X\r\nB : Y\t\r\n\tZ  \r\n\r\n' + example_body, {dialect: 'dkim-example'});
+
+        assert.strictEqual(canonicalizeSignedHeaders(example, 'a:b', 'simple'), 'A: X\r\nB : Y\t\r\n\tZ  \r\n');
+        assert.strictEqual(canonicalizeSignedHeaders(example, 'a:b', 'relaxed'), 'a:X\r\nb:Y Z\r\n');
+        assert.strictEqual(canonicalizeBody(example.body, 'simple'), ' C \r\nD \t E\r\n');
+        assert.strictEqual(canonicalizeBody(example.body, 'relaxed'), ' C\r\nD E\r\n');
+    });
+
+    it('signs fields with any name', function()
+    {
+        var fields = new HeaderDocument('Constructor: a\r\n__proto__: b\r\n\r\n', {strict: true});
+
+        assert.strictEqual(canonicalizeSignedHeaders(fields, 'constructor:__proto__', 'relaxed'),
+            'constructor:a\r\n__proto__:b\r\n');
+    });
+}); // end describe 'canonicalizeSignedHeaders'
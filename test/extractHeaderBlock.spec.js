@@ -8,7 +8,8 @@
 
 var assert = require('assert');
 
-var extractHeaderBlock = require('../header-parse').extractHeaderBlock;
+var headerParse = require('../header-parse');
+var extractHeaderBlock = headerParse.extractHeaderBlock;
 
 // ---------------------------------------------------------------------------------------------------------------------
 
@@ -67,6 +68,20 @@ var mixed_body_doc_expected = {
     },
 };
 
+var repeated_doc = 'Tag: first\r\n\
+Title: A document with repeated meta-headers\r\n\
+Tag: second\r\n\
+\r\n\
+Content of the document!\r\n';
+var repeated_doc_expected_array = {
+    headerBlock: 'Tag: first\r\nTitle: A document with repeated meta-headers\r\nTag: second\r\n',
+    body: 'Content of the document!\r\n',
+    headers: {
+        Tag: ['first', 'second'],
+        Title: ['A document with repeated meta-headers'],
+    },
+};
+
 // ---------------------------------------------------------------------------------------------------------------------
 
 var options;
@@ -78,6 +93,82 @@ var sharedTests = {
 
         assert.deepEqual(result, strict_doc_expected);
     },
+
+    'records the location of each field and the body when requested': function()
+    {
+        options.locations = true;
+
+        var result = extractHeaderBlock(strict_doc, options);
+
+        // Clean up options changes
+        delete options.locations;
+
+        assert.deepEqual(result.locations.map(function(loc) { return [loc.name, loc.offset, loc.line]; }),
+            [['Title', 0, 1], ['CSS', 50, 2]]);
+        assert.deepEqual(result.bodyLocation, {offset: 68, line: 4, column: 1});
+    },
+
+    'records the location of the body of a document without headers when requested': function()
+    {
+        options.locations = true;
+
+        var result = extractHeaderBlock('No headers here.', options);
+
+        // Clean up options changes
+        delete options.locations;
+
+        assert.deepEqual(result, {body: 'No headers here.', bodyLocation: {offset: 0, line: 1, column: 1}});
+    },
+
+    'keeps all values of repeated fields when requested': function()
+    {
+        options.repeated = 'array';
+
+        var result = extractHeaderBlock(repeated_doc, options);
+
+        // Clean up options changes
+        delete options.repeated;
+
+        assert.deepEqual(result, repeated_doc_expected_array);
+    },
+
+    'parses a header block exactly maxHeaderBlockSize characters long': function()
+    {
+        var result = extractHeaderBlock(strict_doc, Object.assign({maxHeaderBlockSize: 66}, options));
+
+        assert.deepEqual(result, strict_doc_expected);
+    },
+
+    'throws a HeaderBlockSizeError on a header block larger than maxHeaderBlockSize, even when not parsing': function()
+    {
+        assert.throws(function()
+        {
+            extractHeaderBlock(strict_doc, Object.assign({maxHeaderBlockSize: 65, parse: false}, options));
+        }, headerParse.HeaderBlockSizeError);
+
+        assert.throws(function()
+        {
+            extractHeaderBlock(strict_doc, Object.assign({maxHeaderBlockSize: 20}, options));
+        }, headerParse.HeaderBlockSizeError);
+    },
+
+    'doesn\'t apply maxHeaderBlockSize to a document without headers': function()
+    {
+        var doc = '# A document without meta-headers #\r\n\r\nContent of the document!\r\n';
+
+        var result = extractHeaderBlock(doc, Object.assign({maxHeaderBlockSize: 10}, options));
+
+        assert.deepEqual(result, {body: doc});
+    },
+
+    'doesn\'t apply maxHeaderBlockSize to a document whose long first line only looks like a field': function()
+    {
+        var doc = 'https://example.com/' + new Array(100).join('a') + '\r\nSee the link above.\r\n';
+
+        var result = extractHeaderBlock(doc, Object.assign({maxHeaderBlockSize: 50}, options));
+
+        assert.deepEqual(result, {body: doc});
+    },
 };
 
 describe('extractHeaderBlock()', function()
@@ -0,0 +1,164 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for the HTTP/1.1 header dialect
+//
+// @module test/http.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+// jshint multistr: true
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var parseHeaders = headerParse.parseHeaders;
+var extractHeaderBlock = headerParse.extractHeaderBlock;
+var validateHeaders = headerParse.validateHeaders;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var options = {mode: 'http'};
+
+var valid = 'Host: example.com\r\n\
+Content-Type: text/plain; charset=utf-8\r\n\
+X-Custom_Header.1: value\r\n';
+var valid_expected = {
+    'Host': 'example.com',
+    'Content-Type': 'text/plain; charset=utf-8',
+    'X-Custom_Header.1': 'value',
+};
+
+var obs_text = 'X-Name: caf\xe9\r\n';
+var obs_text_expected = {'X-Name': 'caf\xe9'};
+
+var space_before_colon = 'Host: example.com\r\nTransfer-Encoding : chunked\r\n';
+var obs_fold = 'X-Folded: first\r\n  second\r\n';
+var bare_lf = 'Host: example.com\nContent-Length: 5\r\n';
+var bare_cr = 'Host: example.com\rContent-Length: 5\r\n';
+var non_token = 'Bad(Name): value\r\n';
+var not_a_field = 'Host: example.com\r\nThis is not a field\r\n';
+var control_char = 'X-Value: a\x00b\r\n';
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('http mode', function()
+{
+    describe('parseHeaders()', function()
+    {
+        it('parses valid HTTP header fields', function()
+        {
+            assert.deepEqual(parseHeaders(valid, options), valid_expected);
+        });
+
+        it('accepts obs-text in field values', function()
+        {
+            assert.deepEqual(parseHeaders(obs_text, options), obs_text_expected);
+        });
+
+        it('throws an error on whitespace between the field name and colon', function()
+        {
+            assert.throws(function()
+            {
+                parseHeaders(space_before_colon, options);
+            }, /Whitespace between field name/);
+        });
+
+        it('throws an error on obsolete line folding by default', function()
+        {
+            assert.throws(function()
+            {
+                parseHeaders(obs_fold, options);
+            }, /Obsolete line folding/);
+        });
+
+        it('replaces obsolete line folding with a single space when requested', function()
+        {
+            var result = parseHeaders(obs_fold, {mode: 'http', obsFold: 'replace', collapse: false, trim: false});
+
+            assert.deepEqual(result, {'X-Folded': ' first second'});
+        });
+
+        it('throws an error on bare LF line endings', function()
+        {
+            assert.throws(function()
+            {
+                parseHeaders(bare_lf, options);
+            });
+        });
+
+        it('throws an error on bare CR characters', function()
+        {
+            assert.throws(function()
+            {
+                parseHeaders(bare_cr, options);
+            });
+        });
+
+        it('throws an error on field names that are not tokens', function()
+        {
+            assert.throws(function()
+            {
+                parseHeaders(non_token, options);
+            }, /Invalid field name/);
+        });
+
+        it('throws an error on lines that are not fields, instead of skipping them', function()
+        {
+            assert.throws(function()
+            {
+                parseHeaders(not_a_field, options);
+            });
+        });
+
+        it('throws an error on control characters in field values', function()
+        {
+            assert.throws(function()
+            {
+                parseHeaders(control_char, options);
+            }, /control character/);
+        });
+
+        it('throws an error on an unknown mode', function()
+        {
+            assert.throws(function()
+            {
+                parseHeaders(valid, {mode: 'smtp'});
+            }, /Unknown mode/);
+        });
+    }); // end describe 'parseHeaders()'
+
+    describe('extractHeaderBlock()', function()
+    {
+        it('parses a header block using CRLF newlines', function()
+        {
+            var result = extractHeaderBlock(valid + '\r\nbody', options);
+
+            assert.deepEqual(result, {headerBlock: valid, headers: valid_expected, body: 'body'});
+        });
+
+        it('throws an error on an invalid header block, instead of treating it as the body', function()
+        {
+            assert.throws(function()
+            {
+                extractHeaderBlock(space_before_colon + '\r\nbody', options);
+            });
+        });
+    }); // end describe 'extractHeaderBlock()'
+
+    describe('validateHeaders()', function()
+    {
+        it('reports obsolete line folding as a warning when it will be replaced', function()
+        {
+            var result = validateHeaders(obs_fold, {mode: 'http', obsFold: 'replace'});
+
+            assert.deepEqual(result.map(function(diag) { return [diag.code, diag.severity]; }),
+                [['obs-fold', 'warning']]);
+        });
+
+        it('reports control characters in field values', function()
+        {
+            var result = validateHeaders(control_char, options);
+
+            assert.deepEqual(result.map(function(diag) { return [diag.code, diag.column]; }),
+                [['invalid-field-value', 11]]);
+        });
+    }); // end describe 'validateHeaders()'
+}); // end describe 'http mode'
@@ -0,0 +1,153 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for the Accept-* parsers and negotiate()
+//
+// @module test/negotiation.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var parseAccept = headerParse.parseAccept;
+var parseAcceptLanguage = headerParse.parseAcceptLanguage;
+var parseAcceptCharset = headerParse.parseAcceptCharset;
+var parseAcceptEncoding = headerParse.parseAcceptEncoding;
+var negotiate = headerParse.negotiate;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+// The example from RFC7231 section 5.3.2.
+var accept = 'text/*;q=0.3, text/html;q=0.7, text/html;level=1, text/html;level=2;q=0.4, */*;q=0.5';
+
+function values(entries)
+{
+    return entries.map(function(entry) { return entry.value + ';q=' + entry.q; });
+} // end values
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('parseAccept', function()
+{
+    it('ranks media ranges by quality value, then by specificity', function()
+    {
+        var entries = parseAccept(accept);
+
+        assert.deepEqual(values(entries), [
+            'text/html;q=1',
+            'text/html;q=0.7',
+            '*/*;q=0.5',
+            'text/html;q=0.4',
+            'text/*;q=0.3',
+        ]);
+        assert.deepEqual(entries[0], {value: 'text/html', q: 1, params: {level: '1'}, type: 'text', subtype: 'html'});
+        assert.deepEqual(values(parseAccept('text/*, text/plain, */*')), ['text/plain;q=1', 'text/*;q=1', '*/*;q=1']);
+    });
+
+    it('merges the entries of repeated fields', function()
+    {
+        assert.deepEqual(values(parseAccept(['text/plain;q=0.5', 'application/json'])),
+            ['application/json;q=1', 'text/plain;q=0.5']);
+    });
+
+    it('throws an error on invalid quality values and media ranges in strict mode', function()
+    {
+        assert.throws(function() { parseAccept('text/html;q=1.5', {strict: true}); }, /Invalid quality value "1.5"/);
+        assert.throws(function() { parseAccept('text/html;q', {strict: true}); }, /Invalid quality value null/);
+        assert.throws(function() { parseAccept('*', {strict: true}); }, /Invalid media range "\*"/);
+    });
+
+    it('accepts invalid quality values and media ranges in lenient mode', function()
+    {
+        assert.deepEqual(values(parseAccept('text/html;q=1.5, text/plain;q=high, *;q=0.1')),
+            ['text/html;q=1', '*;q=0.1']);
+        assert.strictEqual(parseAccept('*')[0].subtype, '*');
+    });
+
+    it('uses the strictness of the mode or dialect option', function()
+    {
+        assert.throws(function() { parseAccept('*', {mode: 'http'}); }, /Invalid media range "\*"/);
+        assert.throws(function() { parseAccept('*', {dialect: 'strict'}); }, /Invalid media range "\*"/);
+        assert.strictEqual(parseAccept('*', {mode: 'lenient', strict: true})[0].subtype, '*');
+    });
+}); // end describe 'parseAccept'
+
+describe('parseAcceptLanguage, parseAcceptCharset and parseAcceptEncoding', function()
+{
+    it('rank their entries by quality value, then by specificity', function()
+    {
+        assert.deepEqual(values(parseAcceptLanguage('*;q=0.5, en, en-GB;q=0.8, da')),
+            ['en;q=1', 'da;q=1', 'en-GB;q=0.8', '*;q=0.5']);
+        assert.deepEqual(values(parseAcceptCharset('*, iso-8859-5, unicode-1-1;q=0.8')),
+            ['iso-8859-5;q=1', '*;q=1', 'unicode-1-1;q=0.8']);
+        assert.deepEqual(values(parseAcceptEncoding('gzip;q=1.0, identity; q=0.5, *;q=0')),
+            ['gzip;q=1', 'identity;q=0.5', '*;q=0']);
+    });
+}); // end describe 'parseAcceptLanguage, parseAcceptCharset and parseAcceptEncoding'
+
+describe('negotiate', function()
+{
+    it('gives each media type the quality value of the most specific matching range', function()
+    {
+        assert.strictEqual(negotiate(accept, ['text/plain', 'image/jpeg']), 'image/jpeg');
+        assert.strictEqual(negotiate(accept, ['text/html;level=2', 'text/plain']), 'text/html;level=2');
+        assert.strictEqual(negotiate(accept, ['text/html;level=3', 'text/html;level=1']), 'text/html;level=1');
+        assert.strictEqual(negotiate(accept, ['text/html', 'image/jpeg']), 'text/html');
+    });
+
+    it('prefers the first available value when quality values are equal', function()
+    {
+        assert.strictEqual(negotiate('text/html, application/json', ['application/json', 'text/html']),
+            'application/json');
+    });
+
+    it('returns null when nothing is acceptable', function()
+    {
+        assert.strictEqual(negotiate('text/html, */*;q=0', ['application/json']), null);
+        assert.strictEqual(negotiate('application/json', ['text/html']), null);
+    });
+
+    it('accepts everything when the field is absent', function()
+    {
+        assert.strictEqual(negotiate(undefined, ['text/html', 'text/plain']), 'text/html');
+        assert.strictEqual(negotiate(null, []), null);
+    });
+
+    it('accepts parsed entries', function()
+    {
+        assert.strictEqual(negotiate(parseAccept('text/plain;q=0.5, text/*;q=0.1'), ['text/css', 'text/plain']),
+            'text/plain');
+    });
+
+    it('matches languages with RFC4647 basic filtering', function()
+    {
+        var options = {field: 'Accept-Language'};
+
+        assert.strictEqual(negotiate('en', ['de', 'en-US'], options), 'en-US');
+        assert.strictEqual(negotiate('en', ['english'], options), null);
+        assert.strictEqual(negotiate('en;q=0.5, EN-gb', ['en-US', 'en-GB-oxendict'], options), 'en-GB-oxendict');
+        assert.strictEqual(negotiate('fr, *;q=0.1', ['de', 'fr-CA'], options), 'fr-CA');
+        assert.strictEqual(negotiate('fr, *;q=0.1', ['de'], options), 'de');
+    });
+
+    it('matches charsets case-insensitively', function()
+    {
+        assert.strictEqual(negotiate('ISO-8859-1;q=0.5, utf-8', ['iso-8859-1', 'UTF-8'], {field: 'accept-charset'}),
+            'UTF-8');
+    });
+
+    it('treats identity as acceptable unless it is excluded', function()
+    {
+        var options = {field: 'Accept-Encoding'};
+
+        assert.strictEqual(negotiate('gzip;q=0.5', ['br', 'identity'], options), 'identity');
+        assert.strictEqual(negotiate('', ['gzip', 'identity'], options), 'identity');
+        assert.strictEqual(negotiate('gzip;q=0.5, identity;q=0', ['identity', 'gzip'], options), 'gzip');
+        assert.strictEqual(negotiate('*;q=0', ['identity'], options), null);
+        assert.strictEqual(negotiate('br, *;q=0.1', ['identity', 'br'], options), 'br');
+    });
+
+    it('throws an error on unsupported fields', function()
+    {
+        assert.throws(function() { negotiate('x', ['x'], {field: 'Accept-Ranges'}); }, /Unsupported field/);
+    });
+}); // end describe 'negotiate'
@@ -0,0 +1,283 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for parseAddressList()
+//
+// @module test/parseAddressList.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it, before */
+
+var assert = require('assert');
+
+var parseAddressList = require('../header-parse').parseAddressList;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var bare = 'jdoe@example.com';
+var bare_expected = [{name: null, address: 'jdoe@example.com', group: null}];
+
+var name_addr = 'John Doe <jdoe@machine.example>, Mary Smith <mary@example.net>';
+var name_addr_expected = [
+    {name: 'John Doe', address: 'jdoe@machine.example', group: null},
+    {name: 'Mary Smith', address: 'mary@example.net', group: null},
+];
+
+var quoted_name = '"Joe Q. Public" <john.q.public@example.com>, "Giant; \\"Big\\" Box" <sysservices@example.net>';
+var quoted_name_expected = [
+    {name: 'Joe Q. Public', address: 'john.q.public@example.com', group: null},
+    {name: 'Giant; "Big" Box', address: 'sysservices@example.net', group: null},
+];
+
+var quoted_local = '"john doe"@example.com, <"weird\\"one"@[192.168.0.1]>';
+var quoted_local_expected = [
+    {name: null, address: '"john doe"@example.com', group: null},
+    {name: null, address: '"weird\\"one"@[192.168.0.1]', group: null},
+];
+
+var groups = 'A Group:Ed Jones <c@a.test>,joe@where.test,John <jdoe@one.test>;, Mary <mary@x.test>, \
+Undisclosed recipients:;';
+var groups_expected = [
+    {name: 'Ed Jones', address: 'c@a.test', group: 'A Group'},
+    {name: null, address: 'joe@where.test', group: 'A Group'},
+    {name: 'John', address: 'jdoe@one.test', group: 'A Group'},
+    {name: 'Mary', address: 'mary@x.test', group: null},
+];
+
+var comments = 'Pete(A nice \\) chap) <pete(his account)@silly.test(his host)>, jdoe@example.com (John (Jr.) Doe)';
+var comments_expected = [
+    {name: 'Pete', address: 'pete@silly.test', group: null},
+    {name: 'John (Jr.) Doe', address: 'jdoe@example.com', group: null},
+];
+
+var route = 'Joe <@relay1.example,@relay2.example:joe@example.com>';
+var route_expected = [{name: 'Joe', address: 'joe@example.com', group: null}];
+
+var obs_phrase = 'Joe Q. Public <john.q.public@example.com>';
+var obs_phrase_expected = [{name: 'Joe Q. Public', address: 'john.q.public@example.com', group: null}];
+
+var unquoted_comma = 'Doe, John <jdoe@example.com>, Smith, Mary J. <mary@example.net>';
+var unquoted_comma_lenient_expected = [
+    {name: 'Doe, John', address: 'jdoe@example.com', group: null},
+    {name: 'Smith, Mary J.', address: 'mary@example.net', group: null},
+];
+
+var unterminated = 'John Doe <jdoe@example.com';
+var unterminated_lenient_expected = [{name: 'John Doe', address: 'jdoe@example.com', group: null}];
+
+var no_address = 'undisclosed, jdoe@example.com';
+var no_address_lenient_expected = [{name: null, address: 'jdoe@example.com', group: null}];
+
+// The group examples from RFC5322 appendix A.5
+var rfc_groups = 'A Group(Some people)\r\n\
+     :Chris Jones <c@(Chris\'s host.)public.example>,\r\n\
+         joe@example.org,\r\n\
+  John <jdoe@one.test> (my dear friend); (the end of the group), \
+(Empty list)(start)Hidden recipients  :(nobody(that I know))  ;';
+var rfc_groups_expected = [
+    {name: 'Chris Jones', address: 'c@public.example', group: 'A Group'},
+    {name: null, address: 'joe@example.org', group: 'A Group'},
+    {name: 'John', address: 'jdoe@one.test', group: 'A Group'},
+];
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var options;
+
+var sharedTests = {
+    'parses a bare addr-spec': function()
+    {
+        assert.deepEqual(parseAddressList(bare, options), bare_expected);
+    },
+
+    'parses name-addrs': function()
+    {
+        assert.deepEqual(parseAddressList(name_addr, options), name_addr_expected);
+    },
+
+    'parses quoted display names': function()
+    {
+        assert.deepEqual(parseAddressList(quoted_name, options), quoted_name_expected);
+    },
+
+    'parses quoted local parts and domain literals': function()
+    {
+        assert.deepEqual(parseAddressList(quoted_local, options), quoted_local_expected);
+    },
+
+    'parses groups, including empty groups': function()
+    {
+        assert.deepEqual(parseAddressList(groups, options), groups_expected);
+    },
+
+    'ignores comments, except as the name of a bare addr-spec': function()
+    {
+        assert.deepEqual(parseAddressList(comments, options), comments_expected);
+    },
+
+    'drops obsolete routes': function()
+    {
+        assert.deepEqual(parseAddressList(route, options), route_expected);
+    },
+
+    'parses obsolete phrases containing periods': function()
+    {
+        assert.deepEqual(parseAddressList(obs_phrase, options), obs_phrase_expected);
+    },
+
+    'accepts comments after a group and as a group\'s only content': function()
+    {
+        assert.deepEqual(parseAddressList(rfc_groups, options), rfc_groups_expected);
+        assert.deepEqual(parseAddressList('G:;(c)', options), []);
+        assert.deepEqual(parseAddressList('G:(c);, jdoe@example.com', options),
+            [{name: null, address: 'jdoe@example.com', group: null}]);
+    },
+
+    'returns an empty list for an empty field body': function()
+    {
+        assert.deepEqual(parseAddressList('', options), []);
+    },
+};
+
+describe('parseAddressList()', function()
+{
+    describe('in strict mode', function()
+    {
+        before(function()
+        {
+            options = {strict: true};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('throws an error on unquoted commas in display names', function()
+        {
+            assert.throws(function()
+            {
+                parseAddressList(unquoted_comma, options);
+            });
+        });
+
+        it('throws an error on an unterminated angle-addr', function()
+        {
+            assert.throws(function()
+            {
+                parseAddressList(unterminated, options);
+            });
+        });
+
+        it('throws an error on an entry without an address', function()
+        {
+            assert.throws(function()
+            {
+                parseAddressList(no_address, options);
+            });
+        });
+
+        it('throws an error on an addr-spec without a domain', function()
+        {
+            assert.throws(function()
+            {
+                parseAddressList('John <jdoe@>', options);
+            });
+        });
+
+        it('throws an error on a trailing comma', function()
+        {
+            ['jdoe@example.com,', 'jdoe@example.com, (comment)', 'Group: jdoe@example.com,;'].forEach(function(data)
+            {
+                assert.throws(function()
+                {
+                    parseAddressList(data, options);
+                }, /Trailing ','/);
+            });
+        });
+
+        it('throws an error on stray closing characters and backslashes', function()
+        {
+            ['John) <jdoe@example.com>', 'jdoe@example.com]', 'John\\Doe <jdoe@example.com>'].forEach(function(data)
+            {
+                assert.throws(function()
+                {
+                    parseAddressList(data, options);
+                }, /Unexpected character/);
+            });
+        });
+    }); // end describe 'in strict mode'
+
+    describe('in lenient mode', function()
+    {
+        before(function()
+        {
+            options = {};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('accepts unquoted commas in display names', function()
+        {
+            assert.deepEqual(parseAddressList(unquoted_comma, options), unquoted_comma_lenient_expected);
+        });
+
+        it('accepts an unterminated angle-addr', function()
+        {
+            assert.deepEqual(parseAddressList(unterminated, options), unterminated_lenient_expected);
+        });
+
+        it('skips entries without an address', function()
+        {
+            assert.deepEqual(parseAddressList(no_address, options), no_address_lenient_expected);
+        });
+
+        it('accepts a trailing comma', function()
+        {
+            assert.deepEqual(parseAddressList('jdoe@example.com,', options),
+                [{name: null, address: 'jdoe@example.com', group: null}]);
+        });
+
+        it('skips a stray closing parenthesis', function()
+        {
+            assert.deepEqual(parseAddressList('John) <jdoe@example.com>, jane@example.com (Jane))', options), [
+                {name: 'John', address: 'jdoe@example.com', group: null},
+                {name: 'Jane', address: 'jane@example.com', group: null},
+            ]);
+        });
+
+        it('skips a stray closing bracket', function()
+        {
+            assert.deepEqual(parseAddressList('John] <jdoe@example.com]>', options),
+                [{name: 'John', address: 'jdoe@example.com', group: null}]);
+        });
+
+        it('keeps a stray backslash', function()
+        {
+            assert.deepEqual(parseAddressList('John\\Doe <jdoe@example.com>, \\', options),
+                [{name: 'John\\Doe', address: 'jdoe@example.com', group: null}]);
+        });
+
+        it('handles long runs of entries without an address', function()
+        {
+            var many_commas = new Array(20001).join(',') + 'jdoe@example.com';
+
+            assert.deepEqual(parseAddressList(many_commas, options),
+                [{name: null, address: 'jdoe@example.com', group: null}]);
+        });
+    }); // end describe 'in lenient mode'
+
+    it('follows the strict or lenient rules of the selected mode or dialect', function()
+    {
+        [{mode: 'strict'}, {dialect: 'strict'}].forEach(function(dialectOptions)
+        {
+            assert.throws(function()
+            {
+                parseAddressList(unquoted_comma, dialectOptions);
+            });
+        });
+
+        assert.deepEqual(parseAddressList(unquoted_comma, {mode: 'lenient', strict: true}),
+            unquoted_comma_lenient_expected);
+    });
+}); // end describe '.parseAddressList()'
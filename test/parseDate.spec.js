@@ -0,0 +1,199 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for parseDate()
+//
+// @module test/parseDate.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it, before */
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var parseDate = headerParse.parseDate;
+var parseHeaders = headerParse.parseHeaders;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var nov6 = Date.UTC(1994, 10, 6, 8, 49, 37);
+
+var valid_dates = [
+    ['Sun, 06 Nov 1994 08:49:37 GMT', nov6],
+    ['Sunday, 06-Nov-94 08:49:37 GMT', nov6],
+    ['Sun Nov  6 08:49:37 1994', nov6],
+    ['6 Nov 1994 08:49:37 +0000', nov6],
+    ['Sun, 6 Nov 1994 03:49:37 -0500', nov6],
+    ['Sun, 06 Nov 1994 03:49:37 EST', nov6],
+    ['Sun, 06 Nov 1994 01:49:37 PDT', nov6],
+    ['Sun, 06 Nov 1994 08:49:37 UT', nov6],
+    ['Sun, 06 Nov 1994 08:49:37 Z', nov6],
+    ['Sun, 06 Nov 94 08:49:37 GMT', nov6],
+    ['Sun, 06 Nov 094 08:49:37 GMT', nov6],
+    ['Sun, 06 Nov 1994 10:49:37 +0200 (CEST)', nov6],
+    ['Sun , 06 Nov 1994 08 : 49 : 37 GMT', nov6],
+    ['sun, 06 nov 1994 08:49:37 gmt', nov6],
+    ['Thu, 01 Jan 2015 00:00 +0000', Date.UTC(2015, 0, 1, 0, 0, 0)],
+    ['Mon, 01 Jan 2001 00:00:00 GMT', Date.UTC(2001, 0, 1, 0, 0, 0)],
+];
+
+var lenient_dates = [
+    ['Sunday, 06 November 1994 08:49:37 GMT', nov6],
+    ['Sun 06 Nov 1994 08:49:37 GMT', nov6],
+    ['Sun, 06-Nov-1994 08:49:37 GMT', nov6],
+    ['06/Nov/1994 10:49:37 +02:00', nov6],
+    ['Sun, 06 Nov 1994 08:49:37 UTC', nov6],
+    ['Sun, 06 Nov 1994 08:49:37', nov6],
+    ['Sun, 06 Nov 1994 08:49:37.123 GMT', nov6],
+    ['Sun, 06 Nov 1994 10:49:37 +0200 CEST', nov6],
+    ['Sun, 06 Nov 1994 10:49:37 +02', nov6],
+    ['Mon, 06 Nov 1994 08:49:37 GMT', nov6],
+    ['Sun Nov 6 08:49:37 UTC 1994', nov6],
+    ['1994-11-06T08:49:37Z', nov6],
+    ['1994-11-06 10:49:37+02:00', nov6],
+];
+
+var invalid_dates = [
+    'not a date',
+    '0',
+    'Sun, 31 Apr 1994 08:49:37 GMT',
+    'Sun, 06 Nov 1994 24:49:37 GMT',
+];
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var options;
+
+var sharedTests = {
+    'parses RFC 5322, IMF-fixdate, RFC 850 and asctime dates': function()
+    {
+        valid_dates.forEach(function(example)
+        {
+            assert.strictEqual(parseDate(example[0], options).getTime(), example[1], example[0]);
+        });
+    },
+
+    'ignores deeply nested comments in linear time': function()
+    {
+        var depth = 100000;
+        var date = 'Sun, 06 Nov 1994 08:49:37 GMT ' + new Array(depth + 1).join('(') + new Array(depth + 1).join(')');
+
+        var start = Date.now();
+        assert.strictEqual(parseDate(date, options).getTime(), nov6);
+        assert(Date.now() - start < 1000);
+    },
+
+    'parses date fields in parseHeaders() when requested': function()
+    {
+        var block = 'Date: Sun, 06 Nov 1994 08:49:37 GMT\r\nSubject: Not a date';
+        var result = parseHeaders(block, {strict: options.strict, valueParsers: true});
+
+        assert.strictEqual(result.Date.getTime(), nov6);
+        assert.strictEqual(result.Subject, 'Not a date');
+    },
+
+    'calls custom value parsers in parseHeaders(), matching field names case-insensitively': function()
+    {
+        var block = 'Content-Length: 42\r\nSubject: Not a number';
+        var result = parseHeaders(block, {strict: options.strict, valueParsers: {'content-length': Number}});
+
+        assert.deepEqual(result, {'Content-Length': 42, 'Subject': 'Not a number'});
+    },
+
+    'parses the rest of the header block when a value parser fails': function()
+    {
+        var block = 'Expires: 0\r\nDate: Sun, 06 Nov 1994 08:49:37 GMT\r\nLast-Modified: yesterday\r\n';
+        var result = parseHeaders(block, {strict: options.strict, valueParsers: true, diagnostics: true});
+
+        assert.strictEqual(result.Expires, null);
+        assert.strictEqual(result.Date.getTime(), nov6);
+        assert.strictEqual(result['Last-Modified'], null);
+        assert.deepEqual(result[headerParse.symbols.diagnostics].map(function(diag)
+        {
+            return [diag.code, diag.severity, diag.line, diag.column];
+        }), options.strict ? [['invalid-value', 'error', 1, 1], ['invalid-value', 'error', 3, 1]] : []);
+
+        result = parseHeaders(block, {mode: options.strict ? 'http' : 'lenient', valueParsers: true});
+        assert.strictEqual(result.Expires, null);
+        assert.strictEqual(result.Date.getTime(), nov6);
+    },
+};
+
+describe('parseDate()', function()
+{
+    describe('in strict mode', function()
+    {
+        before(function()
+        {
+            options = {strict: true};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('throws an error on malformed variants', function()
+        {
+            lenient_dates.forEach(function(example)
+            {
+                assert.throws(function()
+                {
+                    parseDate(example[0], options);
+                }, Error, example[0]);
+            });
+        });
+
+        it('throws an error on invalid dates', function()
+        {
+            invalid_dates.forEach(function(example)
+            {
+                assert.throws(function()
+                {
+                    parseDate(example, options);
+                }, Error, example);
+            });
+        });
+    }); // end describe 'in strict mode'
+
+    describe('in lenient mode', function()
+    {
+        before(function()
+        {
+            options = {};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('parses malformed variants', function()
+        {
+            lenient_dates.forEach(function(example)
+            {
+                assert.strictEqual(parseDate(example[0], options).getTime(), example[1], example[0]);
+            });
+        });
+
+        it('returns null for invalid dates', function()
+        {
+            invalid_dates.forEach(function(example)
+            {
+                assert.strictEqual(parseDate(example, options), null, example);
+            });
+        });
+    }); // end describe 'in lenient mode'
+
+    it('follows the strict or lenient rules of the selected mode or dialect', function()
+    {
+        var date = 'Sun, 6 Nov 1994 08:49:37';
+
+        [{mode: 'strict'}, {mode: 'http'}, {dialect: 'strict'}].forEach(function(dialectOptions)
+        {
+            assert.throws(function()
+            {
+                parseDate(date, dialectOptions);
+            }, /Invalid date/);
+        });
+
+        assert.strictEqual(parseDate(date, {mode: 'lenient', strict: true}).getTime(), 784111777000);
+    });
+}); // end describe '.parseDate()'
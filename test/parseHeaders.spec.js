@@ -8,7 +8,10 @@
 
 var assert = require('assert');
 
-var parseHeaders = require('../header-parse').parseHeaders;
+var headerParse = require('../header-parse');
+var parseHeaders = headerParse.parseHeaders;
+var Headers = headerParse.Headers;
+var symbols = headerParse.symbols;
 
 // ---------------------------------------------------------------------------------------------------------------------
 
@@ -59,6 +62,26 @@ var invalid_header_expected = {
     'Content-Type': 'application/x-www-form-urlencoded',
 };
 
+var strict_repeated_headers = 'Received: from a.example.com\r\n\
+Subject: Repeated fields\r\n\
+Received: from b.example.com\r\n\
+Received: from c.example.com';
+var lenient_repeated_headers = strict_repeated_headers.replace(/\r\n/g, '\n');
+var repeated_headers_expected = {
+    'Received': 'from c.example.com',
+    'Subject': 'Repeated fields',
+};
+var repeated_headers_expected_array = {
+    'Received': ['from a.example.com', 'from b.example.com', 'from c.example.com'],
+    'Subject': ['Repeated fields'],
+};
+var repeated_headers_expected_list = [
+    {name: 'Received', value: 'from a.example.com'},
+    {name: 'Subject', value: 'Repeated fields'},
+    {name: 'Received', value: 'from b.example.com'},
+    {name: 'Received', value: 'from c.example.com'},
+];
+
 // ---------------------------------------------------------------------------------------------------------------------
 
 var options = {};
@@ -69,6 +92,7 @@ options = {
     collapse: true,
     trim: true,
     unfold: true,
+    repeated: 'last',
 };
 */
 
@@ -154,6 +178,161 @@ var sharedTests = {
 
         assert.deepEqual(result, strict_tab_folded_expected_noUnfold);
     },
+
+    'keeps only the last value of repeated fields using CRLF newlines': function()
+    {
+        var result = parseHeaders(strict_repeated_headers, options);
+
+        assert.deepEqual(result, repeated_headers_expected);
+    },
+
+    'keeps all values of repeated fields as arrays using CRLF newlines': function()
+    {
+        options.repeated = 'array';
+
+        var result = parseHeaders(strict_repeated_headers, options);
+
+        // Clean up options changes
+        delete options.repeated;
+
+        assert.deepEqual(result, repeated_headers_expected_array);
+    },
+
+    'keeps all values of repeated fields as an ordered list using CRLF newlines': function()
+    {
+        options.repeated = 'list';
+
+        var result = parseHeaders(strict_repeated_headers, options);
+
+        // Clean up options changes
+        delete options.repeated;
+
+        assert.deepEqual(result, repeated_headers_expected_list);
+    },
+
+    'returns a case-insensitive Headers collection when requested': function()
+    {
+        options.collection = true;
+
+        var result = parseHeaders(strict_repeated_headers, options);
+
+        // Clean up options changes
+        delete options.collection;
+
+        assert.ok(result instanceof Headers);
+        assert.strictEqual(result.get('subject'), 'Repeated fields');
+        assert.deepEqual(result.toList(), repeated_headers_expected_list);
+    },
+
+    'records the location of each field when requested': function()
+    {
+        options.locations = true;
+
+        var result = parseHeaders(strict_multiple_headers, options);
+
+        // Clean up options changes
+        delete options.locations;
+
+        assert.deepEqual(result, multiple_headers_expected);
+        assert.deepEqual(result[symbols.locations], [
+            {name: 'Accept', raw: 'Accept: text/plain', offset: 0, end: 18, line: 1, column: 1},
+            {
+                name: 'Content-Type', raw: 'Content-Type: application/x-www-form-urlencoded',
+                offset: 20, end: 67, line: 2, column: 1,
+            },
+            {
+                name: 'Proxy-Authorization', raw: 'Proxy-Authorization: Basic\r\n QWxhZGRpbjpvcGVuIHNlc2FtZQ==',
+                offset: 69, end: 126, line: 3, column: 1,
+            },
+        ]);
+    },
+
+    'keeps fields named like the recorded metadata': function()
+    {
+        var result = parseHeaders('locations: x\r\ndiagnostics: y\r\n',
+            {strict: options.strict, locations: true, diagnostics: true});
+
+        assert.deepEqual(result, {locations: 'x', diagnostics: 'y'});
+        assert.deepEqual(result[symbols.locations].map(function(loc) { return loc.name; }),
+            ['locations', 'diagnostics']);
+        assert.deepEqual(result[symbols.diagnostics], []);
+    },
+
+    'throws an error on an invalid value for the repeated option': function()
+    {
+        options.repeated = 'first';
+
+        assert.throws(function()
+        {
+            parseHeaders(basic, options);
+        });
+
+        // Clean up options changes
+        delete options.repeated;
+    },
+
+    'parses headers within all size limits': function()
+    {
+        var limits = {maxHeaderBlockSize: 128, maxFields: 3, maxLineLength: 47, maxValueLength: 37};
+
+        var result = parseHeaders(strict_multiple_headers, Object.assign({}, options, limits));
+
+        assert.deepEqual(result, multiple_headers_expected);
+    },
+
+    'throws a HeaderBlockSizeError on a header block larger than maxHeaderBlockSize': function()
+    {
+        assert.throws(function()
+        {
+            parseHeaders(strict_multiple_headers, Object.assign({}, options, {maxHeaderBlockSize: 100}));
+        }, function(error)
+        {
+            return error instanceof headerParse.HeaderBlockSizeError && error instanceof headerParse.HeaderLimitError
+                && error.limit == 'maxHeaderBlockSize' && error.max == 100;
+        });
+    },
+
+    'throws a FieldCountError on more fields than maxFields': function()
+    {
+        assert.throws(function()
+        {
+            parseHeaders(strict_multiple_headers, Object.assign({}, options, {maxFields: 2}));
+        }, function(error)
+        {
+            return error instanceof headerParse.FieldCountError && error.limit == 'maxFields' && error.max == 2;
+        });
+    },
+
+    'throws a LineLengthError on a line longer than maxLineLength': function()
+    {
+        assert.throws(function()
+        {
+            parseHeaders(strict_multiple_headers, Object.assign({}, options, {maxLineLength: 46}));
+        }, function(error)
+        {
+            return error instanceof headerParse.LineLengthError && error.limit == 'maxLineLength' && error.line == 2;
+        });
+    },
+
+    'strips comments and keeps quoted whitespace with the stripComments and structured options': function()
+    {
+        var result = parseHeaders('From: "John   Smith"  (work\r\n (main)) <john@example.com>\r\n',
+            Object.assign({}, options, {stripComments: true, structured: true}));
+
+        assert.deepEqual(result, {From: '"John   Smith" <john@example.com>'});
+    },
+
+    'throws a ValueLengthError on a folded field body longer than maxValueLength': function()
+    {
+        assert.throws(function()
+        {
+            parseHeaders(strict_multiple_headers, Object.assign({}, options, {maxValueLength: 34}));
+        }, function(error)
+        {
+            return error instanceof headerParse.ValueLengthError && error.limit == 'maxValueLength'
+                && error.fieldName == 'Proxy-Authorization';
+        });
+    },
 };
 
 describe('parseHeaders()', function()
@@ -281,5 +460,54 @@ describe('parseHeaders()', function()
 
             assert.deepEqual(result, lenient_tab_folded_expected_noUnfold);
         });
+
+        it('keeps all values of repeated fields as arrays using LF newlines', function()
+        {
+            options.repeated = 'array';
+
+            var result = parseHeaders(lenient_repeated_headers, options);
+
+            // Clean up options changes
+            delete options.repeated;
+
+            assert.deepEqual(result, repeated_headers_expected_array);
+        });
+
+        it('keeps all values of repeated fields as an ordered list using LF newlines', function()
+        {
+            options.repeated = 'list';
+
+            var result = parseHeaders(lenient_repeated_headers, options);
+
+            // Clean up options changes
+            delete options.repeated;
+
+            assert.deepEqual(result, repeated_headers_expected_list);
+        });
     }); // end describe 'in lenient mode'
+
+    describe('with field names from Object.prototype', function()
+    {
+        var data = 'hasOwnProperty: a\r\n__proto__: b\r\nhasOwnProperty: c\r\n__proto__: d\r\n';
+        var proto = '__proto__';
+
+        it('keeps them as ordinary fields', function()
+        {
+            var result = parseHeaders(data);
+
+            assert.deepEqual(Object.keys(result), ['hasOwnProperty', proto]);
+            assert.strictEqual(result.hasOwnProperty, 'c');
+            assert.strictEqual(result[proto], 'd');
+            assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+        });
+
+        it('keeps all of their values as arrays', function()
+        {
+            var result = parseHeaders(data, {repeated: 'array'});
+
+            assert.deepEqual(result.hasOwnProperty, ['a', 'c']);
+            assert.deepEqual(result[proto], ['b', 'd']);
+            assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+        });
+    }); // end describe 'with field names from Object.prototype'
 }); // end describe '.parseHeaders()'
@@ -0,0 +1,167 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for parseHttpMessage()
+//
+// @module test/parseHttpMessage.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+// jshint multistr: true
+
+var assert = require('assert');
+
+var parseHttpMessage = require('../header-parse').parseHttpMessage;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var request = 'GET /x?y=1 HTTP/1.1\r\n\
+Host: a\r\n\
+Accept: */*\r\n\
+\r\n';
+var request_expected = {
+    startLine: {type: 'request', raw: 'GET /x?y=1 HTTP/1.1', method: 'GET', target: '/x?y=1', version: 'HTTP/1.1'},
+    headerBlock: 'Host: a\r\nAccept: */*\r\n',
+    headers: {Host: 'a', Accept: '*/*'},
+    body: '',
+};
+
+var response = 'HTTP/1.1 404 Not Found\r\n\
+Content-Type: text/plain\r\n\
+Content-Length: 9\r\n\
+\r\n\
+Not Found';
+var response_expected = {
+    startLine: {
+        type: 'status', raw: 'HTTP/1.1 404 Not Found', version: 'HTTP/1.1', statusCode: 404, reason: 'Not Found',
+    },
+    headerBlock: 'Content-Type: text/plain\r\nContent-Length: 9\r\n',
+    headers: {'Content-Type': 'text/plain', 'Content-Length': '9'},
+    body: 'Not Found',
+};
+
+var empty_reason = 'HTTP/1.1 200 \r\n\r\n';
+var no_headers = 'GET / HTTP/1.0\r\n\r\n';
+var leading_crlf = '\r\n\r\n' + request;
+var lenient_request = 'get  /x   http/1.1\nHost: a\n\n';
+var lenient_response = 'HTTP/1.1 204\n\n';
+var truncated = 'GET / HTTP/1.1\r\nHost: a\r\n';
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('parseHttpMessage()', function()
+{
+    describe('in http mode', function()
+    {
+        it('parses a request', function()
+        {
+            assert.deepEqual(parseHttpMessage(request), request_expected);
+        });
+
+        it('parses a response', function()
+        {
+            assert.deepEqual(parseHttpMessage(response), response_expected);
+        });
+
+        it('parses a status line with an empty reason phrase', function()
+        {
+            assert.strictEqual(parseHttpMessage(empty_reason).startLine.reason, '');
+        });
+
+        it('parses a message without headers', function()
+        {
+            var result = parseHttpMessage(no_headers);
+
+            assert.deepEqual(result.headers, {});
+            assert.strictEqual(result.startLine.version, 'HTTP/1.0');
+        });
+
+        it('ignores empty lines before the start line', function()
+        {
+            assert.deepEqual(parseHttpMessage(leading_crlf), request_expected);
+        });
+
+        it('accepts a Buffer', function()
+        {
+            assert.deepEqual(parseHttpMessage(Buffer.from(request)), request_expected);
+        });
+
+        it('throws an error on a malformed start line', function()
+        {
+            assert.throws(function()
+            {
+                parseHttpMessage(lenient_request.replace(/\n/g, '\r\n'));
+            }, /Invalid HTTP start line/);
+        });
+
+        it('throws an error on a message that does not start with a start line', function()
+        {
+            assert.throws(function()
+            {
+                parseHttpMessage('Host: a\r\n\r\n');
+            }, /Invalid HTTP start line/);
+        });
+
+        it('throws an error on a header block without a terminating null line', function()
+        {
+            assert.throws(function()
+            {
+                parseHttpMessage(truncated);
+            }, /Missing end of header section/);
+        });
+
+        it('throws an error on invalid header fields', function()
+        {
+            assert.throws(function()
+            {
+                parseHttpMessage('GET / HTTP/1.1\r\nHost : a\r\n\r\n');
+            });
+        });
+    }); // end describe 'in http mode'
+
+    describe('in lenient mode', function()
+    {
+        var options = {mode: 'lenient'};
+
+        it('parses a request with extra whitespace, LF newlines and a lowercase version', function()
+        {
+            var result = parseHttpMessage(lenient_request, options);
+
+            assert.deepEqual(result.startLine,
+                {type: 'request', raw: 'get  /x   http/1.1', method: 'get', target: '/x', version: 'http/1.1'});
+            assert.deepEqual(result.headers, {Host: 'a'});
+        });
+
+        it('parses a status line without a reason phrase', function()
+        {
+            var result = parseHttpMessage(lenient_response, options);
+
+            assert.strictEqual(result.startLine.statusCode, 204);
+            assert.strictEqual(result.startLine.reason, '');
+        });
+
+        it('trims whitespace around the reason phrase', function()
+        {
+            var result = parseHttpMessage('HTTP/1.1 404 \t Not  Found \t\n\n', options);
+
+            assert.strictEqual(result.startLine.reason, 'Not  Found');
+        });
+
+        it('parses a long reason phrase full of whitespace in linear time', function()
+        {
+            var spaces = new Array(50000).join(' ');
+            var start = Date.now();
+
+            var result = parseHttpMessage('HTTP/1.1 200 O' + spaces + 'K' + spaces + '\n\n', options);
+            assert.strictEqual(result.startLine.reason, 'O' + spaces + 'K');
+            assert(Date.now() - start < 1000);
+        });
+
+        it('treats a header block without a terminating null line as the body', function()
+        {
+            var result = parseHttpMessage(truncated, options);
+
+            assert.deepEqual(result, {
+                startLine: {type: 'request', raw: 'GET / HTTP/1.1', method: 'GET', target: '/', version: 'HTTP/1.1'},
+                body: 'Host: a\r\n',
+            });
+        });
+    }); // end describe 'in lenient mode'
+}); // end describe '.parseHttpMessage()'
@@ -0,0 +1,177 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for parseList()
+//
+// @module test/parseList.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var parseList = headerParse.parseList;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var tokens = 'GET, HEAD,OPTIONS';
+var tokens_expected = [
+    {name: 'GET', value: null, params: {}},
+    {name: 'HEAD', value: null, params: {}},
+    {name: 'OPTIONS', value: null, params: {}},
+];
+
+var directives = 'no-cache="Set-Cookie, X-Foo", max-age=3600, private';
+var directives_expected = [
+    {name: 'no-cache', value: 'Set-Cookie, X-Foo', params: {}},
+    {name: 'max-age', value: '3600', params: {}},
+    {name: 'private', value: null, params: {}},
+];
+
+var empty_elements = ', ,gzip,, deflate ,';
+var empty_elements_expected = [
+    {name: 'gzip', value: null, params: {}},
+    {name: 'deflate', value: null, params: {}},
+];
+
+var params = 'text/html;level=1;q=0.5, text/*; Q="0.1;x"; flag';
+var params_expected = [
+    {name: 'text/html', value: null, params: {level: '1', q: '0.5'}},
+    {name: 'text/*', value: null, params: {q: '0.1;x', flag: null}},
+];
+
+var etags = '"a,b", W/"c;d" ,"xyzzy=="';
+var etags_expected = [
+    {name: '"a,b"', value: null, params: {}},
+    {name: 'W/"c;d"', value: null, params: {}},
+    {name: '"xyzzy=="', value: null, params: {}},
+];
+
+var escaped = 'ext="a \\"quoted\\" \\\\ value"';
+var escaped_expected = [{name: 'ext', value: 'a "quoted" \\ value', params: {}}];
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('parseList', function()
+{
+    [{}, {strict: true}].forEach(function(options)
+    {
+        describe('in ' + (options.strict ? 'strict' : 'lenient') + ' mode', function()
+        {
+            it('parses a list of tokens', function()
+            {
+                assert.deepEqual(parseList(tokens, options), tokens_expected);
+            });
+
+            it('parses directives, without splitting quoted-strings', function()
+            {
+                assert.deepEqual(parseList(directives, options), directives_expected);
+            });
+
+            it('skips empty elements', function()
+            {
+                assert.deepEqual(parseList(empty_elements, options), empty_elements_expected);
+                assert.deepEqual(parseList('', options), []);
+            });
+
+            it('parses parameters, lowercasing their names', function()
+            {
+                assert.deepEqual(parseList(params, options), params_expected);
+            });
+
+            it('keeps quoted-strings in names, such as entity-tags, whole', function()
+            {
+                var headers = headerParse.parseHeaders('If-Match: "a,b", W/"c;d"\r\nIf-None-Match: "xyzzy=="\r\n',
+                    {collection: true});
+
+                assert.deepEqual(parseList(etags, options), etags_expected);
+                assert.deepEqual(parseList([headers.get('if-match'), headers.get('if-none-match')], options),
+                    etags_expected);
+            });
+
+            it('unescapes quoted-strings', function()
+            {
+                assert.deepEqual(parseList(escaped, options), escaped_expected);
+                assert.deepEqual(parseList(Buffer.from(escaped), options), escaped_expected);
+            });
+
+            it('merges the elements of repeated fields', function()
+            {
+                var headers = headerParse.parseHeaders('Cache-Control: no-store\r\nCache-Control: max-age=0, \r\n',
+                    {collection: true});
+
+                assert.deepEqual(parseList(headers.getAll('cache-control'), options), [
+                    {name: 'no-store', value: null, params: {}},
+                    {name: 'max-age', value: '0', params: {}},
+                ]);
+            });
+        }); // end describe 'in <mode> mode'
+    });
+
+    describe('in strict mode', function()
+    {
+        var options = {strict: true};
+
+        it('throws an error on invalid names and values', function()
+        {
+            assert.throws(function() { parseList('no cache', options); }, /Invalid name "no cache" at position 8/);
+            assert.throws(function() { parseList('=1', options); }, /Invalid name ""/);
+            assert.throws(function() { parseList('max-age=1 2', options); }, /Invalid token "1 2"/);
+        });
+
+        it('throws an error on malformed quoted-strings', function()
+        {
+            assert.throws(function() { parseList('a="unterminated', options); }, /Unterminated quoted-string/);
+            assert.throws(function() { parseList('a="x"y, b', options); }, /Unexpected data after quoted-string/);
+        });
+
+        it('throws an error on parameters without an element', function()
+        {
+            assert.throws(function() { parseList('a, ;q=1', options); }, /Parameter without an element/);
+            assert.throws(function() { parseList('a;;q=1', options); }, /Empty parameter/);
+        });
+    }); // end describe 'in strict mode'
+
+    describe('in lenient mode', function()
+    {
+        it('accepts malformed elements', function()
+        {
+            assert.deepEqual(parseList('no cache, a="x"y;b=1, c="unterminated, d'), [
+                {name: 'no cache', value: null, params: {}},
+                {name: 'a', value: 'x', params: {b: '1'}},
+                {name: 'c', value: 'unterminated, d', params: {}},
+            ]);
+        });
+
+        it('keeps quoted-strings in names whole, even in malformed elements', function()
+        {
+            var warning = '199 - "Misc, warning" "Wed, 21 Oct 2015 07:28:00 GMT", 299 example.com "x;y"';
+
+            assert.deepEqual(parseList(warning), [
+                {name: '199 - "Misc, warning" "Wed, 21 Oct 2015 07:28:00 GMT"', value: null, params: {}},
+                {name: '299 example.com "x;y"', value: null, params: {}},
+            ]);
+        });
+
+        it('skips parameters without an element, up to the next element', function()
+        {
+            assert.deepEqual(parseList('; p=1, a, b'), [
+                {name: 'a', value: null, params: {}},
+                {name: 'b', value: null, params: {}},
+            ]);
+            assert.deepEqual(parseList('a, ;q="x,y";r, b'), [
+                {name: 'a', value: null, params: {}},
+                {name: 'b', value: null, params: {}},
+            ]);
+        });
+    }); // end describe 'in lenient mode'
+
+    describe('with the mode or dialect option', function()
+    {
+        it('uses the strictness of the selected dialect', function()
+        {
+            assert.throws(function() { parseList('no cache', {mode: 'http'}); }, /Invalid name "no cache"/);
+            assert.throws(function() { parseList('no cache', {dialect: 'strict'}); }, /Invalid name "no cache"/);
+            assert.deepEqual(parseList('no cache', {mode: 'lenient', strict: true}),
+                [{name: 'no cache', value: null, params: {}}]);
+        });
+    }); // end describe 'with the mode or dialect option'
+}); // end describe 'parseList'
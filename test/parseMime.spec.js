@@ -0,0 +1,319 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for parseMime()
+//
+// @module test/parseMime.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it, before */
+// jshint multistr: true
+
+var assert = require('assert');
+
+var parseMime = require('../header-parse').parseMime;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var simple = 'Subject: Plain\r\n\
+\r\n\
+Just some text.\r\n';
+
+var multipart = 'From: Nathaniel Borenstein <nsb@bellcore.com>\r\n\
+Subject: Sample message\r\n\
+MIME-Version: 1.0\r\n\
+Content-type: multipart/mixed; boundary="simple boundary"\r\n\
+\r\n\
+This is the preamble.\r\n\
+--simple boundary\r\n\
+\r\n\
+This is implicitly typed plain US-ASCII text.\r\n\
+It does NOT end with a linebreak.\r\n\
+--simple boundary  \r\n\
+Content-type: text/plain; charset=us-ascii\r\n\
+\r\n\
+This is explicitly typed plain US-ASCII text.\r\n\
+It DOES end with a linebreak.\r\n\
+\r\n\
+--simple boundary--\r\n\
+This is the epilogue.\r\n';
+
+var nested = 'Content-Type: multipart/mixed; boundary=outer\r\n\
+\r\n\
+--outer\r\n\
+Content-Type: multipart/alternative; boundary=inner\r\n\
+\r\n\
+--inner\r\n\
+Content-Type: text/plain\r\n\
+\r\n\
+Plain\r\n\
+--inner\r\n\
+Content-Type: text/html\r\n\
+\r\n\
+<p>HTML</p>\r\n\
+--inner--\r\n\
+--outer\r\n\
+Content-Type: message/rfc822\r\n\
+\r\n\
+Subject: Forwarded\r\n\
+\r\n\
+Forwarded body\r\n\
+--outer--\r\n';
+
+var digest = 'Content-Type: multipart/digest; boundary=d\r\n\
+\r\n\
+--d\r\n\
+\r\n\
+Subject: First\r\n\
+\r\n\
+First body\r\n\
+--d--\r\n';
+
+var unterminated = 'Content-Type: multipart/mixed; boundary=b\r\n\
+\r\n\
+--b\r\n\
+Content-Type: text/plain\r\n\
+\r\n\
+Never closed\r\n';
+
+var no_boundary = 'Content-Type: multipart/mixed\r\n\
+\r\n\
+--b\r\n\
+\r\n\
+Text\r\n\
+--b--\r\n';
+
+/**
+ * Build a message with encapsulated messages nested `levels` levels deep.
+ */
+function nestedMessages(levels)
+{
+    return new Array(levels + 1).join('Content-Type: message/rfc822\r\n\r\n') + 'Innermost\r\n';
+} // end nestedMessages
+
+/**
+ * Build a message with multipart body parts (each holding a single part) nested `levels` levels deep.
+ */
+function nestedMultiparts(levels)
+{
+    var message = 'Innermost\r\n';
+    for(var level = levels - 1; level >= 0; level--)
+    {
+        message = 'Content-Type: multipart/mixed; boundary=b' + level + '\r\n\r\n--b' + level + '\r\n' + message
+            + '\r\n--b' + level + '--\r\n';
+    } // end for
+
+    return message;
+} // end nestedMultiparts
+
+/**
+ * Count the levels of parts and encapsulated messages below the given entity, following the first part of each.
+ */
+function depth(entity)
+{
+    var levels = 0;
+    while(entity.message || (entity.parts && entity.parts[0]))
+    {
+        entity = entity.message || entity.parts[0];
+        levels++;
+    } // end while
+
+    return levels;
+} // end depth
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var options;
+
+function nl(str)
+{
+    return options.strict ? str : str.replace(/\r\n/g, '\n');
+} // end nl
+
+var sharedTests = {
+    'uses the default content type for a message without one': function()
+    {
+        var result = parseMime(nl(simple), options);
+
+        assert.deepEqual(result.contentType, {value: 'text/plain', params: {charset: 'us-ascii'}});
+        assert.strictEqual(result.body, nl('Just some text.\r\n'));
+        assert.strictEqual(result.parts, undefined);
+    },
+
+    'splits a multipart body, keeping the preamble and epilogue': function()
+    {
+        var result = parseMime(nl(multipart), options);
+
+        assert.strictEqual(result.contentType.value, 'multipart/mixed');
+        assert.strictEqual(result.preamble, nl('This is the preamble.'));
+        assert.strictEqual(result.epilogue, nl('This is the epilogue.\r\n'));
+        assert.strictEqual(result.parts.length, 2);
+
+        assert.deepEqual(result.parts[0].headers, {});
+        assert.strictEqual(result.parts[0].body,
+            nl('This is implicitly typed plain US-ASCII text.\r\nIt does NOT end with a linebreak.'));
+
+        assert.deepEqual(result.parts[1].headers, {'Content-type': 'text/plain; charset=us-ascii'});
+        assert.strictEqual(result.parts[1].body,
+            nl('This is explicitly typed plain US-ASCII text.\r\nIt DOES end with a linebreak.\r\n'));
+    },
+
+    'recurses into nested multiparts and encapsulated messages': function()
+    {
+        var result = parseMime(nl(nested), options);
+
+        var alternative = result.parts[0];
+        assert.strictEqual(alternative.contentType.value, 'multipart/alternative');
+        assert.deepEqual(alternative.parts.map(function(part) { return part.body; }), ['Plain', '<p>HTML</p>']);
+
+        var forwarded = result.parts[1];
+        assert.strictEqual(forwarded.contentType.value, 'message/rfc822');
+        assert.deepEqual(forwarded.message.headers, {Subject: 'Forwarded'});
+        assert.strictEqual(forwarded.message.body, 'Forwarded body');
+    },
+
+    'defaults the content type of digest parts to message/rfc822': function()
+    {
+        var result = parseMime(nl(digest), options);
+
+        assert.strictEqual(result.parts[0].contentType.value, 'message/rfc822');
+        assert.deepEqual(result.parts[0].message.headers, {Subject: 'First'});
+    },
+
+    'parses parts and messages nested up to maxDepth levels deep': function()
+    {
+        var limited = {strict: options.strict, maxDepth: 3};
+
+        assert.strictEqual(depth(parseMime(nl(nestedMessages(3)), limited)), 3);
+        assert.strictEqual(depth(parseMime(nl(nestedMultiparts(3)), limited)), 3);
+        assert.strictEqual(depth(parseMime(nl(nestedMessages(100)), options)), 100);
+    },
+
+    'finds the Content-Type field when headers are returned as a Headers collection': function()
+    {
+        var result = parseMime(nl(multipart), {strict: options.strict, collection: true});
+
+        assert.strictEqual(result.parts.length, 2);
+    },
+};
+
+describe('parseMime()', function()
+{
+    describe('in strict mode', function()
+    {
+        before(function()
+        {
+            options = {strict: true};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('throws an error on a missing closing boundary', function()
+        {
+            assert.throws(function()
+            {
+                parseMime(unterminated, options);
+            });
+        });
+
+        it('throws an error on a missing boundary parameter', function()
+        {
+            assert.throws(function()
+            {
+                parseMime(no_boundary, options);
+            });
+        });
+
+        it('throws an error on parts or messages nested more than maxDepth levels deep', function()
+        {
+            assert.throws(function()
+            {
+                parseMime(nestedMessages(5000), options);
+            }, /nested more than 100 levels deep/);
+
+            assert.throws(function()
+            {
+                parseMime(nestedMultiparts(3000), options);
+            }, /nested more than 100 levels deep/);
+
+            assert.throws(function()
+            {
+                parseMime(nestedMessages(4), {strict: true, maxDepth: 3});
+            }, /nested more than 3 levels deep/);
+        });
+
+        it('does not split on boundaries preceded by LF newlines', function()
+        {
+            var mixed = multipart.replace('\r\n--simple boundary--', '\n--simple boundary--');
+
+            assert.throws(function()
+            {
+                parseMime(mixed, options);
+            });
+        });
+    }); // end describe 'in strict mode'
+
+    describe('in lenient mode', function()
+    {
+        before(function()
+        {
+            options = {};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('runs the last part to the end of the body on a missing closing boundary', function()
+        {
+            var result = parseMime(unterminated, options);
+
+            assert.strictEqual(result.parts.length, 1);
+            assert.strictEqual(result.parts[0].body, 'Never closed\r\n');
+            assert.strictEqual(result.epilogue, null);
+        });
+
+        it('leaves a multipart body without a boundary parameter unsplit', function()
+        {
+            var result = parseMime(no_boundary, options);
+
+            assert.strictEqual(result.parts, undefined);
+            assert.strictEqual(result.body, '--b\r\n\r\nText\r\n--b--\r\n');
+        });
+
+        it('leaves parts and messages nested more than maxDepth levels deep unparsed', function()
+        {
+            var result = parseMime(nl(nestedMessages(5000)), options);
+            assert.strictEqual(depth(result), 100);
+
+            result = parseMime(nl(nestedMultiparts(3000)), options);
+            assert.strictEqual(depth(result), 100);
+
+            result = parseMime(nl(nestedMessages(4)), {maxDepth: 3});
+            assert.strictEqual(depth(result), 3);
+            assert.strictEqual(result.message.message.message.contentType.value, 'message/rfc822');
+            assert.strictEqual(result.message.message.message.body, nl('Innermost\r\n'));
+        });
+
+        it('splits on boundaries using mixed LF and CRLF newlines', function()
+        {
+            var result = parseMime(multipart.replace('\r\n--simple boundary--', '\n--simple boundary--'), options);
+
+            assert.strictEqual(result.parts.length, 2);
+        });
+    }); // end describe 'in lenient mode'
+
+    it('follows the strict or lenient rules of the selected mode or dialect', function()
+    {
+        [{mode: 'strict'}, {dialect: 'strict'}].forEach(function(dialectOptions)
+        {
+            assert.throws(function()
+            {
+                parseMime(no_boundary, dialectOptions);
+            });
+        });
+
+        assert.strictEqual(parseMime(no_boundary, {mode: 'lenient', strict: true}).parts, undefined);
+    });
+}); // end describe '.parseMime()'
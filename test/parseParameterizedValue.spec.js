@@ -0,0 +1,217 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for parseParameterizedValue()
+//
+// @module test/parseParameterizedValue.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it, before */
+
+var assert = require('assert');
+
+var parseParameterizedValue = require('../header-parse').parseParameterizedValue;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var bare = 'text/plain';
+var bare_expected = {value: 'text/plain', params: {}};
+
+var basic = 'multipart/mixed; boundary="abc"; charset=utf-8';
+var basic_expected = {value: 'multipart/mixed', params: {boundary: 'abc', charset: 'utf-8'}};
+
+var mixed_case = 'text/plain; CharSet=UTF-8';
+var mixed_case_expected = {value: 'text/plain', params: {charset: 'UTF-8'}};
+
+var quoted = 'attachment; filename="my \\"quoted\\" file; name.txt"';
+var quoted_expected = {value: 'attachment', params: {filename: 'my "quoted" file; name.txt'}};
+
+var extended = 'attachment; filename*=UTF-8\'\'%E2%82%AC%20rates.txt';
+var extended_expected = {value: 'attachment', params: {filename: '€ rates.txt'}};
+
+var continuation = 'message/external-body; access-type=URL;\r\n\
+ URL*0="ftp://";\r\n\
+ URL*1="cs.utk.edu/pub/moore/bulk-mailer/bulk-mailer.tar"';
+var continuation_expected = {
+    value: 'message/external-body',
+    params: {'access-type': 'URL', 'url': 'ftp://cs.utk.edu/pub/moore/bulk-mailer/bulk-mailer.tar'},
+};
+
+var extended_continuation = 'application/x-stuff;\r\n\
+ title*0*=us-ascii\'en\'This%20is%20even%20more%20;\r\n\
+ title*1*=%2A%2A%2Afun%2A%2A%2A%20;\r\n\
+ title*2="isn\'t it!"';
+var extended_continuation_expected = {
+    value: 'application/x-stuff',
+    params: {title: 'This is even more ***fun*** isn\'t it!'},
+};
+
+var non_latin1_continuation = 'attachment; filename*0="na€me"; filename*1=".txt"';
+var non_latin1_continuation_expected = {value: 'attachment', params: {filename: 'na€me.txt'}};
+
+var both = 'attachment; filename="euro.txt"; filename*=UTF-8\'\'%E2%82%AC.txt';
+var both_expected = {value: 'attachment', params: {filename: '€.txt'}};
+
+var latin1_extended = 'attachment; filename*=iso-8859-1\'de\'Gr%FC%DFe.txt';
+var latin1_extended_expected = {value: 'attachment', params: {filename: 'Grüße.txt'}};
+
+var unquoted_spaces = 'attachment; filename=my file.txt';
+var unquoted_spaces_lenient_expected = {value: 'attachment', params: {filename: 'my file.txt'}};
+
+var trailing_semicolon = 'text/plain; charset=utf-8;';
+var trailing_semicolon_lenient_expected = {value: 'text/plain', params: {charset: 'utf-8'}};
+
+var unterminated = 'attachment; filename="unterminated.txt';
+var unterminated_lenient_expected = {value: 'attachment', params: {filename: 'unterminated.txt'}};
+
+var missing_section = 'text/plain; title*0=a; title*2=c';
+var missing_section_lenient_expected = {value: 'text/plain', params: {title: 'ac'}};
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var options;
+
+var sharedTests = {
+    'parses a value without parameters': function()
+    {
+        assert.deepEqual(parseParameterizedValue(bare, options), bare_expected);
+    },
+
+    'parses token and quoted-string parameters': function()
+    {
+        assert.deepEqual(parseParameterizedValue(basic, options), basic_expected);
+    },
+
+    'lowercases parameter names': function()
+    {
+        assert.deepEqual(parseParameterizedValue(mixed_case, options), mixed_case_expected);
+    },
+
+    'unescapes quoted-strings, which may contain semicolons': function()
+    {
+        assert.deepEqual(parseParameterizedValue(quoted, options), quoted_expected);
+    },
+
+    'decodes charset-tagged RFC 2231 values': function()
+    {
+        assert.deepEqual(parseParameterizedValue(extended, options), extended_expected);
+    },
+
+    'decodes charset-tagged RFC 2231 values in ISO-8859-1': function()
+    {
+        assert.deepEqual(parseParameterizedValue(latin1_extended, options), latin1_extended_expected);
+    },
+
+    'joins RFC 2231 continuations': function()
+    {
+        assert.deepEqual(parseParameterizedValue(continuation, options), continuation_expected);
+    },
+
+    'joins RFC 2231 continuations mixing extended and plain sections': function()
+    {
+        assert.deepEqual(parseParameterizedValue(extended_continuation, options), extended_continuation_expected);
+    },
+
+    'joins plain RFC 2231 continuations without re-decoding them': function()
+    {
+        assert.deepEqual(parseParameterizedValue(non_latin1_continuation, options), non_latin1_continuation_expected);
+    },
+
+    'prefers the RFC 2231 value when both are present': function()
+    {
+        assert.deepEqual(parseParameterizedValue(both, options), both_expected);
+    },
+};
+
+describe('parseParameterizedValue()', function()
+{
+    describe('in strict mode', function()
+    {
+        before(function()
+        {
+            options = {strict: true};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('throws an error on an unquoted value containing spaces', function()
+        {
+            assert.throws(function()
+            {
+                parseParameterizedValue(unquoted_spaces, options);
+            });
+        });
+
+        it('throws an error on a trailing semicolon', function()
+        {
+            assert.throws(function()
+            {
+                parseParameterizedValue(trailing_semicolon, options);
+            });
+        });
+
+        it('throws an error on an unterminated quoted-string', function()
+        {
+            assert.throws(function()
+            {
+                parseParameterizedValue(unterminated, options);
+            });
+        });
+
+        it('throws an error on a missing continuation section', function()
+        {
+            assert.throws(function()
+            {
+                parseParameterizedValue(missing_section, options);
+            });
+        });
+    }); // end describe 'in strict mode'
+
+    describe('in lenient mode', function()
+    {
+        before(function()
+        {
+            options = {};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('accepts an unquoted value containing spaces', function()
+        {
+            assert.deepEqual(parseParameterizedValue(unquoted_spaces, options), unquoted_spaces_lenient_expected);
+        });
+
+        it('ignores a trailing semicolon', function()
+        {
+            assert.deepEqual(parseParameterizedValue(trailing_semicolon, options),
+                trailing_semicolon_lenient_expected);
+        });
+
+        it('runs an unterminated quoted-string to the end of the data', function()
+        {
+            assert.deepEqual(parseParameterizedValue(unterminated, options), unterminated_lenient_expected);
+        });
+
+        it('joins whatever continuation sections are present', function()
+        {
+            assert.deepEqual(parseParameterizedValue(missing_section, options), missing_section_lenient_expected);
+        });
+    }); // end describe 'in lenient mode'
+
+    it('follows the strict or lenient rules of the selected mode or dialect', function()
+    {
+        [{mode: 'strict'}, {mode: 'http'}, {dialect: 'strict'}].forEach(function(dialectOptions)
+        {
+            assert.throws(function()
+            {
+                parseParameterizedValue(unquoted_spaces, dialectOptions);
+            });
+        });
+
+        assert.deepEqual(parseParameterizedValue(unquoted_spaces, {mode: 'lenient', strict: true}),
+            unquoted_spaces_lenient_expected);
+    });
+}); // end describe '.parseParameterizedValue()'
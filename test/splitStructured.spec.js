@@ -0,0 +1,67 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for splitStructured() and stripComments()
+//
+// @module test/splitStructured.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it */
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var splitStructured = headerParse.splitStructured;
+var stripComments = headerParse.stripComments;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var address = '"Smith, John (Jr.)" (a (nested) comment) <john\\@x@example.com>';
+var address_expected = [
+    {text: '"Smith, John (Jr.)"', type: 'quoted-string'},
+    {text: ' ', type: 'text'},
+    {text: '(a (nested) comment)', type: 'comment'},
+    {text: ' <john', type: 'text'},
+    {text: '\\@', type: 'quoted-pair'},
+    {text: 'x@example.com>', type: 'text'},
+];
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+describe('splitStructured()', function()
+{
+    it('splits out quoted-strings, nested comments and quoted-pairs', function()
+    {
+        assert.deepEqual(splitStructured(address), address_expected);
+        assert.deepEqual(splitStructured(Buffer.from(address)), address_expected);
+        assert.deepEqual(splitStructured(''), []);
+    });
+
+    it('does not end quoted-strings or comments at escaped delimiters', function()
+    {
+        assert.deepEqual(splitStructured('"a \\" b"(c \\) d)'), [
+            {text: '"a \\" b"', type: 'quoted-string'},
+            {text: '(c \\) d)', type: 'comment'},
+        ]);
+    });
+
+    it('runs unterminated quoted-strings and comments to the end of the data', function()
+    {
+        assert.deepEqual(splitStructured('a "b (c'), [
+            {text: 'a ', type: 'text'},
+            {text: '"b (c', type: 'quoted-string'},
+        ]);
+        assert.deepEqual(splitStructured('a (b (c) d'), [
+            {text: 'a ', type: 'text'},
+            {text: '(b (c) d', type: 'comment'},
+        ]);
+        assert.deepEqual(splitStructured('a \\'), [{text: 'a ', type: 'text'}, {text: '\\', type: 'quoted-pair'}]);
+    });
+}); // end describe 'splitStructured()'
+
+describe('stripComments()', function()
+{
+    it('replaces each comment with a space, leaving quoted-strings and quoted-pairs alone', function()
+    {
+        assert.strictEqual(stripComments(address), '"Smith, John (Jr.)"   <john\\@x@example.com>');
+        assert.strictEqual(stripComments('Tue, 1 Jul 2003 10:52:37 +0200 (CEST)'), 'Tue, 1 Jul 2003 10:52:37 +0200  ');
+        assert.strictEqual(stripComments('1.0(comment)\\(not a comment\\)'), '1.0 \\(not a comment\\)');
+    });
+}); // end describe 'stripComments()'
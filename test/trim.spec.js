@@ -31,6 +31,12 @@ var internal_tab = 'This value has some\t\t\trepeated internal tabs.';
 var failing = ' Basic\r\n\tQWxhZGRpbjpvcGVuIHNlc2FtZQ==';
 var failing_expected = 'Basic\r\n\tQWxhZGRpbjpvcGVuIHNlc2FtZQ==';
 
+var structured_unterminated = '  "unterminated   ';
+var structured_unterminated_expected = '"unterminated   ';
+
+var structured_quoted_pair = ' escaped\\ ';
+var structured_quoted_pair_expected = 'escaped\\ ';
+
 // ---------------------------------------------------------------------------------------------------------------------
 
 var options;
@@ -84,6 +90,21 @@ var sharedTests = {
 
         assert.strictEqual(result, failing_expected);
     },
+
+    'keeps trailing whitespace inside an unterminated quoted-string with the structured option': function()
+    {
+        var result = trim(structured_unterminated, Object.assign({}, options, {structured: true}));
+
+        assert.strictEqual(result, structured_unterminated_expected);
+        assert.strictEqual(trim(structured_unterminated, options), '"unterminated');
+    },
+
+    'keeps a trailing quoted-pair with the structured option': function()
+    {
+        var result = trim(structured_quoted_pair, Object.assign({}, options, {structured: true}));
+
+        assert.strictEqual(result, structured_quoted_pair_expected);
+    },
 };
 
 describe('trim()', function()
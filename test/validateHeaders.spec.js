@@ -0,0 +1,156 @@
+// ---------------------------------------------------------------------------------------------------------------------
+// Unit tests for validateHeaders()
+//
+// @module test/validateHeaders.spec
+// ---------------------------------------------------------------------------------------------------------------------
+/* globals describe, it, before */
+// jshint multistr: true
+
+var assert = require('assert');
+
+var headerParse = require('../header-parse');
+var validateHeaders = headerParse.validateHeaders;
+var parseHeaders = headerParse.parseHeaders;
+var extractHeaderBlock = headerParse.extractHeaderBlock;
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var valid = 'Accept: text/plain\r\n\
+Proxy-Authorization: Basic\r\n\
+ QWxhZGRpbjpvcGVuIHNlc2FtZQ==\r\n';
+
+var problems = 'Accept: text/plain\r\n\
+This is an invalid header!\r\n\
+Content-Type : text/html\r\n\
+Bad Name: value\r\n\
+X-Café: value\r\n\
+Subject: Café\n\
+X-Long: ' + new Array(1000).join('x') + '\r\n';
+
+function summarize(diagnostics)
+{
+    return diagnostics.map(function(diag)
+    {
+        return [diag.code, diag.severity, diag.line, diag.column];
+    });
+} // end summarize
+
+// ---------------------------------------------------------------------------------------------------------------------
+
+var options;
+
+var sharedTests = {
+    'reports nothing for a valid header block': function()
+    {
+        assert.deepEqual(validateHeaders(valid, options), []);
+    },
+
+    'reports a continuation line without a preceding field': function()
+    {
+        assert.deepEqual(summarize(validateHeaders(' folded\r\nAccept: text/plain\r\n', options)),
+            [['not-a-field', 'error', 1, 1]]);
+    },
+
+    'reports an empty field name': function()
+    {
+        assert.deepEqual(summarize(validateHeaders(': value\r\n', options)),
+            [['invalid-field-name', 'error', 1, 1]]);
+    },
+
+    'includes a message and offset with each problem': function()
+    {
+        var diagnostics = validateHeaders('Accept: text/plain\r\nContent-Type : text/html\r\n', options);
+
+        assert.strictEqual(diagnostics.length, 1);
+        assert.strictEqual(diagnostics[0].offset, 32);
+        assert.ok(/Content-Type/.test(diagnostics[0].message));
+    },
+
+    'reports lines longer than the given maximum': function()
+    {
+        var diagnostics = validateHeaders('Subject: A somewhat long subject\r\n', {
+            strict: options.strict,
+            maxLineLength: 20,
+        });
+
+        assert.deepEqual(summarize(diagnostics),
+            [['line-too-long', options.strict ? 'error' : 'warning', 1, 21]]);
+    },
+
+    'collects problems instead of throwing in parseHeaders() when requested': function()
+    {
+        var result = parseHeaders(problems, {strict: options.strict, diagnostics: true});
+
+        assert.strictEqual(result.Accept, 'text/plain');
+        assert.strictEqual(result[headerParse.symbols.diagnostics].length, validateHeaders(problems, options).length);
+    },
+
+    'copies diagnostics to the document in extractHeaderBlock() when requested': function()
+    {
+        var result = extractHeaderBlock('Accept: text/plain\r\nSubject: A somewhat long subject\r\n\r\nBody', {
+            strict: options.strict,
+            diagnostics: true,
+            maxLineLength: 20,
+        });
+
+        assert.deepEqual(summarize(result.diagnostics),
+            [['line-too-long', options.strict ? 'error' : 'warning', 2, 21]]);
+    },
+};
+
+describe('validateHeaders()', function()
+{
+    describe('in strict mode', function()
+    {
+        before(function()
+        {
+            options = {strict: true};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('reports every problem as an error', function()
+        {
+            assert.deepEqual(summarize(validateHeaders(problems, options)), [
+                ['not-a-field', 'error', 2, 1],
+                ['whitespace-before-colon', 'error', 3, 13],
+                ['invalid-field-name', 'error', 4, 1],
+                ['invalid-field-name', 'error', 5, 1],
+                ['non-ascii', 'error', 5, 6],
+                ['non-ascii', 'error', 6, 13],
+                ['bare-lf', 'error', 6, 14],
+                ['line-too-long', 'error', 7, 999],
+            ]);
+        });
+    }); // end describe 'in strict mode'
+
+    describe('in lenient mode', function()
+    {
+        before(function()
+        {
+            options = {};
+        });
+
+        for(var desc in sharedTests)
+        {
+            it(desc, sharedTests[desc]);
+        } // end for
+
+        it('reports problems that lose data as errors, and others as warnings', function()
+        {
+            assert.deepEqual(summarize(validateHeaders(problems, options)), [
+                ['not-a-field', 'error', 2, 1],
+                ['whitespace-before-colon', 'error', 3, 13],
+                ['invalid-field-name', 'error', 4, 1],
+                ['invalid-field-name', 'warning', 5, 1],
+                ['non-ascii', 'warning', 5, 6],
+                ['non-ascii', 'warning', 6, 13],
+                ['bare-lf', 'warning', 6, 14],
+                ['line-too-long', 'warning', 7, 999],
+            ]);
+        });
+    }); // end describe 'in lenient mode'
+}); // end describe '.validateHeaders()'